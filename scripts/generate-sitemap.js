@@ -19,6 +19,9 @@ const BASE_ROUTES = [
     { url: '/methodology', priority: '0.8', changefreq: 'monthly' },
     { url: '/contact', priority: '0.7', changefreq: 'monthly' },
     { url: '/cities', priority: '0.8', changefreq: 'monthly' },
+    { url: '/ramadan-eid-by-country', priority: '0.8', changefreq: 'weekly' },
+    { url: '/converter', priority: '0.8', changefreq: 'monthly' },
+    { url: '/prediction-accuracy', priority: '0.6', changefreq: 'monthly' },
     { url: '/privacy', priority: '0.5', changefreq: 'yearly' },
     { url: '/terms', priority: '0.5', changefreq: 'yearly' },
 ];
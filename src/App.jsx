@@ -16,6 +16,9 @@ const CityDetail = lazy(() => import('./pages/CityDetail'));
 const Privacy = lazy(() => import('./pages/Privacy'));
 const Terms = lazy(() => import('./pages/Terms'));
 const CitiesDirectory = lazy(() => import('./pages/CitiesDirectory'));
+const CountryMonthStarts = lazy(() => import('./pages/CountryMonthStarts'));
+const Converter = lazy(() => import('./pages/Converter'));
+const AnnouncementAccuracy = lazy(() => import('./pages/AnnouncementAccuracy'));
 
 // Article pages
 const HijriCalendarHistory = lazy(() => import('./pages/articles/HijriCalendarHistory'));
@@ -51,6 +54,7 @@ function App() {
             <Link to="/methodology">Methodology</Link>
             <Link to="/contact">Contact</Link>
             <Link to="/cities">Locations</Link>
+            <Link to="/converter">Converter</Link>
           </nav>
         </header>
 
@@ -66,6 +70,9 @@ function App() {
             <Route path="/contact" element={<Contact />} />
             <Route path="/cities" element={<CitiesDirectory />} />
             <Route path="/city/:cityName" element={<CityDetail />} />
+            <Route path="/ramadan-eid-by-country" element={<CountryMonthStarts />} />
+            <Route path="/converter" element={<Converter />} />
+            <Route path="/prediction-accuracy" element={<AnnouncementAccuracy />} />
             <Route path="/privacy" element={<Privacy />} />
             <Route path="/terms" element={<Terms />} />
 
@@ -90,6 +97,9 @@ function App() {
             <Link to="/methodology" style={{ color: '#94a3b8' }}>Methodology</Link>
             <Link to="/contact" style={{ color: '#94a3b8' }}>Contact</Link>
             <Link to="/cities" style={{ color: '#94a3b8' }}>Locations</Link>
+            <Link to="/ramadan-eid-by-country" style={{ color: '#94a3b8' }}>Dates by Country</Link>
+            <Link to="/converter" style={{ color: '#94a3b8' }}>Date Converter</Link>
+            <Link to="/prediction-accuracy" style={{ color: '#94a3b8' }}>Prediction Accuracy</Link>
             <Link to="/terms" style={{ color: '#94a3b8' }}>Terms of Service</Link>
             <Link to="/privacy" style={{ color: '#94a3b8' }}>Privacy Policy</Link>
           </div>
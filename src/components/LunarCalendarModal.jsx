@@ -1,25 +1,66 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import MoonMap from './MoonMap';
-import { resetGlobalCalculationTracking, globalCalculationTracking } from '../utils/moonMapTracking';
-import { calculateLunarCalendar, getHijriYear } from '../utils/lunarCalendar';
+import { resetGlobalCalculationTracking, globalCalculationTracking, getGridCacheKey } from '../utils/moonMapTracking';
+import { calculateLunarCalendar, getNight1MethodLabel, ISLAMIC_MONTHS, getSharedNightExplanation, getCountryPolicyLabel, getConjunctionOffsetLabel, CALENDAR_MODES, CALENDAR_DIRECTIONS, GLOBAL_RULES, DEFAULT_GLOBAL_RULE } from '../utils/lunarCalendar';
+import { saveCalendarRun, loadCalendarRun, clearCalendarRun } from '../utils/calendarCache';
 import { MAJOR_CITIES } from '../data/cities';
 import { generateLunarCalendarPDF, captureMapAsImage } from '../utils/pdfExport';
-import { getNightWindow } from '../utils/astronomy';
+import { getCalendarDiscrepancies, getDiscrepancyReasonLabel, formatDayDifference, DISCREPANCY_REASONS } from '../utils/calendarDiscrepancies';
+import { getObservancesForNight, getObservanceDate, createCustomObservance, loadCustomObservances, saveCustomObservances } from '../utils/observances';
+import { OBSERVANCE_TIMES } from '../data/observances';
+import { getPrayerTimes, formatPrayerTime, PRAYER_METHODS, PRAYER_NAMES, ASR_METHODS, HIGH_LATITUDE_METHODS, DEFAULT_PRAYER_SETTINGS } from '../utils/prayerTimes';
+import { getNightWindow, formatAlmanacTime, getCriterion, normalizeElevation, formatVisibilityWindow, VISIBILITY_CRITERIA, DEFAULT_CRITERION, TIME_ZONE_MODES, CONJUNCTION_MODES, NIGHT_DEFINITIONS, DEFAULT_NIGHT_DEFINITION, resolveNightDefinition, SHARED_NIGHT_DIRECTIONS, DEFAULT_SHARED_NIGHT_POLICY, describeSharedNightPolicy } from '../utils/astronomy';
+
+// Report dates are calendar days stored as UTC midnight
+const formatReportDay = (date) => date
+    ? date.toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+    : '—';
+
+// Calendar lengths offered in the modal, in lunar months
+const CALENDAR_RANGES = [
+    { months: 12, label: '1 year' },
+    { months: 24, label: '2 years' },
+    { months: 36, label: '3 years' },
+    { months: 60, label: '5 years' },
+    { months: 120, label: '10 years' }
+];
 
 /**
  * Modal component for displaying lunar calendar
  */
-function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onViewNight1, onCalendarCalculated, preservedCalendarData }) {
+function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, initialCriterion = DEFAULT_CRITERION, onViewNight1, onCalendarCalculated, preservedCalendarData }) {
     const [modalDate, setModalDate] = useState('');
     const [modalLocationName, setModalLocationName] = useState('');
+    const [modalElevation, setModalElevation] = useState(0);
+    const [modalCriterion, setModalCriterion] = useState(initialCriterion);
+    const [modalCalendarMode, setModalCalendarMode] = useState(CALENDAR_MODES.VISIBILITY);
+    const [modalGlobalRule, setModalGlobalRule] = useState(DEFAULT_GLOBAL_RULE);
+    const [modalTimeZoneMode, setModalTimeZoneMode] = useState(TIME_ZONE_MODES.LONGITUDE);
+    const [modalConjunctionMode, setModalConjunctionMode] = useState(CONJUNCTION_MODES.GEOCENTRIC);
+    const [modalNightDefinition, setModalNightDefinition] = useState(DEFAULT_NIGHT_DEFINITION);
+    const [modalFajrAngle, setModalFajrAngle] = useState(NIGHT_DEFINITIONS.fajr.dawnAngle);
+    const [modalMinOverlap, setModalMinOverlap] = useState(DEFAULT_SHARED_NIGHT_POLICY.minOverlapMinutes);
+    const [modalSharedDirection, setModalSharedDirection] = useState(DEFAULT_SHARED_NIGHT_POLICY.direction);
+    const [modalMaxDistance, setModalMaxDistance] = useState('');
+    const [modalSameContinent, setModalSameContinent] = useState(DEFAULT_SHARED_NIGHT_POLICY.sameContinent);
+    const [modalNumMonths, setModalNumMonths] = useState(12);
+    const [modalDirection, setModalDirection] = useState(CALENDAR_DIRECTIONS.FORWARD);
+    const [calculatingMonths, setCalculatingMonths] = useState(12);
+    const [unfinishedRun, setUnfinishedRun] = useState(null);
     const [calendarData, setCalendarData] = useState(null);
     const [isCalculating, setIsCalculating] = useState(false);
     const [calculationProgress, setCalculationProgress] = useState(0);
     const [exportProgressPercentage, setExportProgressPercentage] = useState(0);
     const [error, setError] = useState(null);
-    const [lastModalParams, setLastModalParams] = useState({ date: null, location: null });
+    const [lastModalParams, setLastModalParams] = useState({ date: null, location: null, elevation: null, criterion: null, calendarMode: null, globalRule: null, timeZoneMode: null, conjunctionMode: null, nightDefinition: null, sharedNightPolicy: null, numMonths: null, direction: null });
     const [isExportingPDF, setIsExportingPDF] = useState(false);
     const [exportProgress, setExportProgress] = useState('');
+    const [showPrayerTimes, setShowPrayerTimes] = useState(false);
+    const [prayerSettings, setPrayerSettings] = useState(DEFAULT_PRAYER_SETTINGS);
+    const [showDiscrepancies, setShowDiscrepancies] = useState(false);
+    const [customObservances, setCustomObservances] = useState(() => loadCustomObservances());
+    const [showObservanceEditor, setShowObservanceEditor] = useState(false);
+    const [newObservance, setNewObservance] = useState({ name: '', month: '', day: 1, time: OBSERVANCE_TIMES.DAY });
 
     // State for the hidden export map
     const hiddenMapWrapperRef = useRef(); // Ref for the actual DOM element to capture
@@ -29,6 +70,38 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
     const exportTriggerCounter = useRef(0); // Counter for export map triggers
     const isCancelledRef = useRef(false);
 
+    // Optional prayer times for every day row, in the city's civil time when it has a zone
+    const dayPrayerTimes = useMemo(() => {
+        const prayerTimes = new Map();
+        if (!calendarData || !showPrayerTimes) return prayerTimes;
+        const { location } = calendarData;
+        calendarData.months.forEach(month => month.days.forEach(day => {
+            if (!prayerTimes.has(day.gregorianDateString)) {
+                prayerTimes.set(day.gregorianDateString, getPrayerTimes(new Date(`${day.gregorianDateString}T00:00:00Z`), location.lat, location.lon, location.elevation, location.timezone || null, prayerSettings));
+            }
+        }));
+        return prayerTimes;
+    }, [calendarData, showPrayerTimes, prayerSettings]);
+
+    // Computed month starts against the Umm al-Qura and tabular calendars
+    const discrepancyReport = useMemo(() => (
+        calendarData && showDiscrepancies ? getCalendarDiscrepancies(calendarData) : null
+    ), [calendarData, showDiscrepancies]);
+
+    const updateCustomObservances = (observances) => {
+        setCustomObservances(observances);
+        saveCustomObservances(observances);
+    };
+
+    const handleAddObservance = () => {
+        const observance = createCustomObservance(newObservance.name, newObservance.month === '' ? null : parseInt(newObservance.month, 10), newObservance.day, newObservance.time);
+        if (!observance) return;
+        updateCustomObservances([...customObservances, observance]);
+        setNewObservance(prev => ({ ...prev, name: '' }));
+    };
+
+    const updatePrayerSettings = (changes) => setPrayerSettings(prev => ({ ...prev, ...changes }));
+
     const onExportRenderComplete = React.useCallback(() => {
         if (pendingExportResolve.current) {
             console.log('[Modal] Hidden map render complete, resolving promise');
@@ -59,16 +132,17 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
     }, [isOpen]);
 
     // Extracted calculation logic to avoid circular dependencies
-    const performCalculation = React.useCallback(async (dateParam, locationParam) => {
+    const performCalculation = React.useCallback(async (dateParam, locationParam, criterionParam = DEFAULT_CRITERION, calendarModeParam = CALENDAR_MODES.VISIBILITY, globalRuleParam = DEFAULT_GLOBAL_RULE, timeZoneModeParam = TIME_ZONE_MODES.LONGITUDE, conjunctionModeParam = CONJUNCTION_MODES.GEOCENTRIC, nightDefinitionParam = DEFAULT_NIGHT_DEFINITION, sharedNightPolicyParam = DEFAULT_SHARED_NIGHT_POLICY, numMonthsParam = 12, directionParam = CALENDAR_DIRECTIONS.FORWARD) => {
         // Explicitly start fresh
         isCancelledRef.current = false;
 
         setIsCalculating(true);
         setCalculationProgress(0);
+        setCalculatingMonths(numMonthsParam);
         setError(null);
 
         try {
-            console.log('[Modal] performCalculation called with:', { dateParam, locationParam });
+            console.log('[Modal] performCalculation called with:', { dateParam, locationParam, criterionParam, calendarModeParam, globalRuleParam, timeZoneModeParam, conjunctionModeParam, nightDefinitionParam, sharedNightPolicyParam, numMonthsParam, directionParam });
 
             // Find the selected city
             const location = locationParam;
@@ -103,14 +177,15 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                 const result = await calculateLunarCalendar(
                     date,
                     location,
-                    12,
+                    numMonthsParam,
                     (percentage) => {
                         // Only update state if not cancelled
                         if (!isCancelledRef.current) {
                             setCalculationProgress(Math.round(percentage));
                         }
                     },
-                    () => isCancelledRef.current // Pass cancellation checker
+                    () => isCancelledRef.current, // Pass cancellation checker
+                    { criterion: criterionParam, calendarMode: calendarModeParam, globalRule: globalRuleParam, timeZoneMode: timeZoneModeParam, conjunctionMode: conjunctionModeParam, nightDefinition: nightDefinitionParam, sharedNightPolicy: sharedNightPolicyParam, direction: directionParam }
                 );
 
                 // If result is null, it means it was cancelled
@@ -119,7 +194,7 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                     return;
                 }
 
-                console.log('[Modal] Calculation successful, months:', result.months.length);
+                console.log('[Modal] Calculation successful, months:', result.months.length, 'from cache:', result.cachedMonths);
 
                 if (!isCancelledRef.current) {
                     setCalendarData(result);
@@ -129,13 +204,24 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                     const calculatedDate = dateParam instanceof Date ? dateParam.toISOString().split('T')[0] : dateParam;
                     setLastModalParams({
                         date: calculatedDate,
-                        location: locationParam.name
+                        location: locationParam.name,
+                        elevation: normalizeElevation(locationParam.elevation),
+                        criterion: criterionParam,
+                        calendarMode: calendarModeParam,
+                        globalRule: globalRuleParam,
+                        timeZoneMode: timeZoneModeParam,
+                        conjunctionMode: conjunctionModeParam,
+                        nightDefinition: resolveNightDefinition(nightDefinitionParam).name,
+                        sharedNightPolicy: describeSharedNightPolicy(sharedNightPolicyParam),
+                        numMonths: numMonthsParam,
+                        direction: directionParam
                     });
 
                     // Notify parent that calculation completed successfully
                     if (onCalendarCalculated) {
-                        onCalendarCalculated(calculatedDate, locationParam.name);
+                        onCalendarCalculated(calculatedDate, locationParam.name, criterionParam);
                     }
+                    return result;
                 }
             } catch (err) {
                 // If cancelled, don't show error
@@ -162,6 +248,21 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
         if (isOpen) {
             setModalDate(initialDate?.toISOString().split('T')[0] || '');
             setModalLocationName(initialLocation?.name || '');
+            setModalElevation(preservedCalendarData?.location?.elevation ?? initialLocation?.elevation ?? 0);
+            setModalCriterion(preservedCalendarData?.criterion || initialCriterion);
+            setModalCalendarMode(preservedCalendarData?.calendarMode || CALENDAR_MODES.VISIBILITY);
+            setModalGlobalRule(preservedCalendarData?.globalRule?.id || DEFAULT_GLOBAL_RULE);
+            setModalTimeZoneMode(preservedCalendarData?.timeZoneMode || TIME_ZONE_MODES.LONGITUDE);
+            setModalConjunctionMode(preservedCalendarData?.conjunctionMode || CONJUNCTION_MODES.GEOCENTRIC);
+            setModalNightDefinition(preservedCalendarData?.nightDefinition?.id || DEFAULT_NIGHT_DEFINITION);
+            setModalFajrAngle(preservedCalendarData?.nightDefinition?.dawnAngle ?? NIGHT_DEFINITIONS.fajr.dawnAngle);
+            setModalMinOverlap(preservedCalendarData?.sharedNightPolicy?.minOverlapMinutes ?? DEFAULT_SHARED_NIGHT_POLICY.minOverlapMinutes);
+            setModalSharedDirection(preservedCalendarData?.sharedNightPolicy?.direction || DEFAULT_SHARED_NIGHT_POLICY.direction);
+            setModalMaxDistance(preservedCalendarData?.sharedNightPolicy?.maxDistanceKm ?? '');
+            setModalSameContinent(preservedCalendarData?.sharedNightPolicy?.sameContinent ?? DEFAULT_SHARED_NIGHT_POLICY.sameContinent);
+            setModalNumMonths(preservedCalendarData?.months?.length || 12);
+            setModalDirection(preservedCalendarData?.direction || CALENDAR_DIRECTIONS.FORWARD);
+            setUnfinishedRun(loadCalendarRun());
             setError(null);
 
             // If preserved data exists, use it directly
@@ -173,11 +274,11 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                 // Otherwise reset and auto-calculate if both params provided
                 setCalendarData(null);
                 if (initialDate && initialLocation) {
-                    performCalculation(initialDate, initialLocation);
+                    performCalculation(initialDate, initialLocation, initialCriterion);
                 }
             }
         }
-    }, [isOpen, preservedCalendarData, initialDate, initialLocation, performCalculation]);
+    }, [isOpen, preservedCalendarData, initialDate, initialLocation, initialCriterion, performCalculation]);
 
     // Close handler that ensures export cancellation
     const handleClose = () => {
@@ -187,14 +288,64 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
 
     const handleCalculate = async () => {
         // Use the current modal state values
-        const location = MAJOR_CITIES.find(c => c.name === modalLocationName);
+        const city = MAJOR_CITIES.find(c => c.name === modalLocationName);
 
-        if (!modalDate || !location) {
+        if (!modalDate || !city) {
             setError('Please select both a date and location');
             return;
         }
 
-        await performCalculation(modalDate, location);
+        // The elevation field overrides the city's default (e.g. a hilltop or minaret)
+        const location = { ...city, elevation: normalizeElevation(modalElevation) };
+
+        await runCalculation({
+            date: modalDate,
+            location,
+            criterion: modalCriterion,
+            calendarMode: modalCalendarMode,
+            globalRule: modalGlobalRule,
+            timeZoneMode: modalTimeZoneMode,
+            conjunctionMode: modalConjunctionMode,
+            nightDefinition: selectedNightDefinition,
+            sharedNightPolicy: selectedSharedNightPolicy,
+            numMonths: modalNumMonths,
+            direction: modalDirection
+        });
+    };
+
+    // Record the run before it starts so that, if it is cancelled or the page
+    // closes, it can be resumed with the months already cached
+    const runCalculation = async (run) => {
+        saveCalendarRun(run);
+        setUnfinishedRun(null);
+        const result = await performCalculation(run.date, run.location, run.criterion, run.calendarMode, run.globalRule, run.timeZoneMode, run.conjunctionMode, run.nightDefinition, run.sharedNightPolicy, run.numMonths, run.direction);
+        if (result) clearCalendarRun();
+    };
+
+    const handleResume = async () => {
+        const run = unfinishedRun;
+        setModalDate(run.date);
+        setModalLocationName(run.location.name);
+        setModalElevation(run.location.elevation ?? 0);
+        setModalCriterion(run.criterion);
+        setModalCalendarMode(run.calendarMode);
+        setModalGlobalRule(run.globalRule);
+        setModalTimeZoneMode(run.timeZoneMode);
+        setModalConjunctionMode(run.conjunctionMode);
+        setModalNightDefinition(run.nightDefinition.id);
+        setModalFajrAngle(run.nightDefinition.dawnAngle);
+        setModalMinOverlap(run.sharedNightPolicy.minOverlapMinutes);
+        setModalSharedDirection(run.sharedNightPolicy.direction);
+        setModalMaxDistance(run.sharedNightPolicy.maxDistanceKm ?? '');
+        setModalSameContinent(run.sharedNightPolicy.sameContinent);
+        setModalNumMonths(run.numMonths);
+        setModalDirection(run.direction);
+        await runCalculation(run);
+    };
+
+    const handleDiscardRun = () => {
+        clearCalendarRun();
+        setUnfinishedRun(null);
     };
 
     const handleExportPDF = async () => {
@@ -244,9 +395,9 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                         label: `${month.monthName} - Night Before`
                     });
 
-                    // Night 1 (with highlighting if applicable)
+                    // Night 1 (with highlighting if applicable: shared night sources or global qualifying cells)
                     const night1Options = {};
-                    if (month.night1Method === 'shared_night' && month.night1Details?.inheritedFromCells) {
+                    if (month.night1Details?.inheritedFromCells) {
                         night1Options.highlightSharedNightCells = month.night1Details.inheritedFromCells;
                     }
                     mapsToCalculate.push({
@@ -310,7 +461,7 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                             // CACHE THE RESULT GLOBALLY
                             // This ensures MoonMap will find it instantly in Phase 2
                             const dateKey = mapInfo.date.toISOString();
-                            globalCalculationTracking.dataCache.set(dateKey, data);
+                            globalCalculationTracking.dataCache.set(getGridCacheKey(dateKey, data.criterion, data.event, data.atmosphere, data.conjunctionMode, data.nightDefinition), data);
 
                             tasksCompleted++;
                             const progressPct = Math.round((tasksCompleted / totalMaps) * 50); // Phase 1 = 0-50%
@@ -339,12 +490,15 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                         dateStr: mapInfo.date.toISOString(),
                         workId: index,
                         params: {
+                            criterion: calendarData.criterion,
+                            conjunctionMode: calendarData.conjunctionMode || CONJUNCTION_MODES.GEOCENTRIC,
+                            nightDefinition: calendarData.nightDefinition || DEFAULT_NIGHT_DEFINITION,
                             cityParams: {
                                 lat: Math.floor(calendarData.location.lat / 2) * 2 + 1.0,
                                 lon: Math.floor(calendarData.location.lon / 2) * 2 + 1.0,
                                 // Pre-calculate user's night window for this map's date
-                                nightStart: getNightWindow(calendarData.location.lat, calendarData.location.lon, mapInfo.date)?.nightStart,
-                                nightEnd: getNightWindow(calendarData.location.lat, calendarData.location.lon, mapInfo.date)?.nightEnd
+                                nightStart: getNightWindow(calendarData.location.lat, calendarData.location.lon, mapInfo.date, null, null, calendarData.location.elevation, calendarData.timeZoneMode === TIME_ZONE_MODES.CIVIL ? calendarData.location.timezone : null, calendarData.nightDefinition)?.nightStart,
+                                nightEnd: getNightWindow(calendarData.location.lat, calendarData.location.lon, mapInfo.date, null, null, calendarData.location.elevation, calendarData.timeZoneMode === TIME_ZONE_MODES.CIVIL ? calendarData.location.timezone : null, calendarData.nightDefinition)?.nightEnd
                             }
                         }
                     });
@@ -441,7 +595,10 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                     setExportProgressPercentage(overallPct);
                     setExportProgress(`Adding to PDF: ${percentage}%`);
                 },
-                () => isExportCancelledRef.current
+                () => isExportCancelledRef.current,
+                showPrayerTimes ? prayerSettings : null,
+                discrepancyReport,
+                customObservances
             );
 
             setExportProgress('PDF generated successfully!');
@@ -467,10 +624,31 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
         }
     };
 
+    // Night definition as passed to the calculation (the angle only matters for Fajr)
+    const selectedNightDefinition = { id: modalNightDefinition, dawnAngle: parseFloat(modalFajrAngle) };
+
+    // Shared-night policy as passed to the calculation (blank distance = no limit)
+    const selectedSharedNightPolicy = {
+        minOverlapMinutes: parseFloat(modalMinOverlap),
+        direction: modalSharedDirection,
+        maxDistanceKm: modalMaxDistance === '' ? null : parseFloat(modalMaxDistance),
+        sameContinent: modalSameContinent
+    };
+
     // Check if modal parameters have changed from last calculation
     const modalParamsChanged =
         lastModalParams.date !== modalDate ||
-        lastModalParams.location !== modalLocationName;
+        lastModalParams.location !== modalLocationName ||
+        lastModalParams.elevation !== normalizeElevation(modalElevation) ||
+        lastModalParams.criterion !== modalCriterion ||
+        lastModalParams.calendarMode !== modalCalendarMode ||
+        lastModalParams.timeZoneMode !== modalTimeZoneMode ||
+        lastModalParams.conjunctionMode !== modalConjunctionMode ||
+        lastModalParams.nightDefinition !== resolveNightDefinition(selectedNightDefinition).name ||
+        lastModalParams.sharedNightPolicy !== describeSharedNightPolicy(selectedSharedNightPolicy) ||
+        lastModalParams.numMonths !== modalNumMonths ||
+        lastModalParams.direction !== modalDirection ||
+        (modalCalendarMode === CALENDAR_MODES.GLOBAL && lastModalParams.globalRule !== modalGlobalRule);
 
     if (!isOpen) return null;
 
@@ -498,12 +676,44 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                         />
                     </div>
 
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-range-selector">Range:</label>
+                        <select
+                            id="modal-range-selector"
+                            value={modalNumMonths}
+                            onChange={(e) => setModalNumMonths(parseInt(e.target.value, 10))}
+                            disabled={isCalculating}
+                        >
+                            {CALENDAR_RANGES.map(range => (
+                                <option key={range.months} value={range.months}>
+                                    {range.label} ({range.months} months)
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-direction-selector">Direction:</label>
+                        <select
+                            id="modal-direction-selector"
+                            value={modalDirection}
+                            onChange={(e) => setModalDirection(e.target.value)}
+                            disabled={isCalculating}
+                        >
+                            <option value={CALENDAR_DIRECTIONS.FORWARD}>Forward from start date</option>
+                            <option value={CALENDAR_DIRECTIONS.BACKWARD}>Backward to start date</option>
+                        </select>
+                    </div>
+
                     <div className="modal-input-group">
                         <label htmlFor="modal-location-selector">Location:</label>
                         <select
                             id="modal-location-selector"
                             value={modalLocationName}
-                            onChange={(e) => setModalLocationName(e.target.value)}
+                            onChange={(e) => {
+                                setModalLocationName(e.target.value);
+                                setModalElevation(MAJOR_CITIES.find(c => c.name === e.target.value)?.elevation ?? 0);
+                            }}
                             disabled={isCalculating}
                         >
                             <option value="">Select a location</option>
@@ -515,6 +725,180 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                         </select>
                     </div>
 
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-elevation-input">Elevation (m):</label>
+                        <input
+                            id="modal-elevation-input"
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={modalElevation}
+                            onChange={(e) => setModalElevation(e.target.value)}
+                            disabled={isCalculating}
+                        />
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-time-zone-selector">Local Dates:</label>
+                        <select
+                            id="modal-time-zone-selector"
+                            value={modalTimeZoneMode}
+                            onChange={(e) => setModalTimeZoneMode(e.target.value)}
+                            disabled={isCalculating}
+                        >
+                            <option value={TIME_ZONE_MODES.LONGITUDE}>Longitude-based (lon / 15)</option>
+                            <option value={TIME_ZONE_MODES.CIVIL}>Civil time zone (IANA, with DST)</option>
+                        </select>
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-conjunction-mode-selector">Conjunction Rule:</label>
+                        <select
+                            id="modal-conjunction-mode-selector"
+                            value={modalConjunctionMode}
+                            onChange={(e) => setModalConjunctionMode(e.target.value)}
+                            disabled={isCalculating}
+                        >
+                            <option value={CONJUNCTION_MODES.GEOCENTRIC}>Geocentric conjunction</option>
+                            <option value={CONJUNCTION_MODES.TOPOCENTRIC}>Topocentric conjunction (at the observer)</option>
+                        </select>
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-night-definition-selector">Shared Night:</label>
+                        <select
+                            id="modal-night-definition-selector"
+                            value={modalNightDefinition}
+                            onChange={(e) => setModalNightDefinition(e.target.value)}
+                            disabled={isCalculating || modalCalendarMode !== CALENDAR_MODES.VISIBILITY}
+                        >
+                            {Object.values(NIGHT_DEFINITIONS).map(definition => (
+                                <option key={definition.id} value={definition.id}>
+                                    {definition.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {modalNightDefinition === NIGHT_DEFINITIONS.fajr.id && (
+                        <div className="modal-input-group">
+                            <label htmlFor="modal-night-fajr-angle-input">Fajr Angle (°):</label>
+                            <input
+                                id="modal-night-fajr-angle-input"
+                                type="number"
+                                min="6"
+                                max="24"
+                                step="0.1"
+                                value={modalFajrAngle}
+                                onChange={(e) => setModalFajrAngle(e.target.value)}
+                                disabled={isCalculating || modalCalendarMode !== CALENDAR_MODES.VISIBILITY}
+                            />
+                        </div>
+                    )}
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-min-overlap-input">Min. Overlap (min):</label>
+                        <input
+                            id="modal-min-overlap-input"
+                            type="number"
+                            min="0"
+                            step="5"
+                            value={modalMinOverlap}
+                            onChange={(e) => setModalMinOverlap(e.target.value)}
+                            disabled={isCalculating || modalCalendarMode !== CALENDAR_MODES.VISIBILITY}
+                        />
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-shared-direction-selector">Inherit From:</label>
+                        <select
+                            id="modal-shared-direction-selector"
+                            value={modalSharedDirection}
+                            onChange={(e) => setModalSharedDirection(e.target.value)}
+                            disabled={isCalculating || modalCalendarMode !== CALENDAR_MODES.VISIBILITY}
+                        >
+                            <option value={SHARED_NIGHT_DIRECTIONS.ANY}>Either direction</option>
+                            <option value={SHARED_NIGHT_DIRECTIONS.FROM_EAST}>East only (earlier sunset)</option>
+                            <option value={SHARED_NIGHT_DIRECTIONS.FROM_WEST}>West only (later sunset)</option>
+                        </select>
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-max-distance-input">Max. Distance (km):</label>
+                        <input
+                            id="modal-max-distance-input"
+                            type="number"
+                            min="0"
+                            step="100"
+                            placeholder="No limit"
+                            value={modalMaxDistance}
+                            onChange={(e) => setModalMaxDistance(e.target.value)}
+                            disabled={isCalculating || modalCalendarMode !== CALENDAR_MODES.VISIBILITY}
+                        />
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-same-continent-checkbox">
+                            <input
+                                id="modal-same-continent-checkbox"
+                                type="checkbox"
+                                checked={modalSameContinent}
+                                onChange={(e) => setModalSameContinent(e.target.checked)}
+                                disabled={isCalculating || modalCalendarMode !== CALENDAR_MODES.VISIBILITY}
+                            />
+                            {' '}Same continent only
+                        </label>
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-calendar-mode-selector">Calendar Mode:</label>
+                        <select
+                            id="modal-calendar-mode-selector"
+                            value={modalCalendarMode}
+                            onChange={(e) => setModalCalendarMode(e.target.value)}
+                            disabled={isCalculating}
+                        >
+                            <option value={CALENDAR_MODES.VISIBILITY}>Crescent visibility</option>
+                            <option value={CALENDAR_MODES.UMM_AL_QURA}>Umm al-Qura (Saudi civil)</option>
+                            <option value={CALENDAR_MODES.GLOBAL}>Global unified calendar</option>
+                            <option value={CALENDAR_MODES.COUNTRY}>Country policy (official start)</option>
+                        </select>
+                    </div>
+
+                    {modalCalendarMode === CALENDAR_MODES.GLOBAL && (
+                        <div className="modal-input-group">
+                            <label htmlFor="modal-global-rule-selector">Global Rule:</label>
+                            <select
+                                id="modal-global-rule-selector"
+                                value={modalGlobalRule}
+                                onChange={(e) => setModalGlobalRule(e.target.value)}
+                                disabled={isCalculating}
+                            >
+                                {Object.values(GLOBAL_RULES).map(rule => (
+                                    <option key={rule.id} value={rule.id}>
+                                        {rule.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <div className="modal-input-group">
+                        <label htmlFor="modal-criterion-selector">Criterion:</label>
+                        <select
+                            id="modal-criterion-selector"
+                            value={modalCriterion}
+                            onChange={(e) => setModalCriterion(e.target.value)}
+                            disabled={isCalculating || modalCalendarMode === CALENDAR_MODES.UMM_AL_QURA || modalCalendarMode === CALENDAR_MODES.COUNTRY}
+                        >
+                            {Object.values(VISIBILITY_CRITERIA).map(criterion => (
+                                <option key={criterion.id} value={criterion.id}>
+                                    {criterion.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
                     <div className="modal-input-group">
                         <button
                             onClick={handleCalculate}
@@ -542,7 +926,7 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                                     e.target.style.backgroundColor = '#10b981';
                                 }
                             }}
-                            title={!modalParamsChanged ? 'Calendar already calculated for this date and location' : ''}
+                            title={!modalParamsChanged ? 'Calendar already calculated for this date, location and criterion' : ''}
                         >
                             {isCalculating ? 'Calculating...' : 'Calculate Lunar Calendar'}
                         </button>
@@ -584,6 +968,21 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
 
                 {/* Content */}
                 <div className="modal-content">
+                    {unfinishedRun && !isCalculating && (
+                        <div className="calendar-note" style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '16px' }}>
+                            <span>
+                                An earlier calculation did not finish: {unfinishedRun.numMonths} months {unfinishedRun.direction === CALENDAR_DIRECTIONS.BACKWARD ? 'up to' : 'from'} {unfinishedRun.date} for {unfinishedRun.location.name}.
+                                Months already computed are kept.
+                            </span>
+                            <button onClick={handleResume} className="recalculate-button" style={{ padding: '6px 12px' }}>
+                                Resume
+                            </button>
+                            <button onClick={handleDiscardRun} className="recalculate-button" style={{ padding: '6px 12px', backgroundColor: '#64748b' }}>
+                                Discard
+                            </button>
+                        </div>
+                    )}
+
                     {error && (
                         <div className="modal-error">
                             {error}
@@ -628,7 +1027,7 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                                 </span>
                             </div>
                             <p style={{ marginTop: '12px', fontSize: '14px', color: '#6b7280' }}>
-                                Calculating month {Math.min(12, Math.ceil(calculationProgress * 12 / 100))} of 12...
+                                Calculating month {Math.min(calculatingMonths, Math.ceil(calculationProgress * calculatingMonths / 100))} of {calculatingMonths}...
                             </p>
                         </div>
                     )}
@@ -698,15 +1097,285 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                             <div className="calendar-info">
                                 <p><strong>Location:</strong> {calendarData.location.name}</p>
                                 <p><strong>Geographic Coordinates:</strong> Lat: {Math.abs(calendarData.location.lat).toFixed(1)}°{calendarData.location.lat >= 0 ? 'N' : 'S'}, Long: {Math.abs(calendarData.location.lon).toFixed(1)}°{calendarData.location.lon >= 0 ? 'E' : 'W'}</p>
+                                <p><strong>Local Dates:</strong> {calendarData.timeZoneMode === TIME_ZONE_MODES.CIVIL
+                                    ? `Civil time zone (${calendarData.location.timezone || 'unknown, longitude-based fallback'})`
+                                    : 'Longitude-based offset (lon / 15)'}</p>
+                                <p><strong>Observer Elevation:</strong> {normalizeElevation(calendarData.location.elevation)} m (horizon dip applied to sunset and moonset)</p>
+                                {calendarData.calendarMode === CALENDAR_MODES.UMM_AL_QURA ? (
+                                    <p><strong>Calendar Mode:</strong> Umm al-Qura (conjunction before sunset and moonset after sunset in Mecca)</p>
+                                ) : calendarData.calendarMode === CALENDAR_MODES.COUNTRY ? (
+                                    <p><strong>Country Policy:</strong> {calendarData.country} — {getCountryPolicyLabel(calendarData.countryPolicy)}{calendarData.countryPolicy?.authority ? ` (${calendarData.countryPolicy.authority})` : ''}</p>
+                                ) : (
+                                    <p><strong>Criterion:</strong> {getCriterion(calendarData.criterion)?.name || calendarData.criterion}</p>
+                                )}
+                                {calendarData.calendarMode !== CALENDAR_MODES.UMM_AL_QURA && (
+                                    <p><strong>Conjunction Rule:</strong> {calendarData.conjunctionMode === CONJUNCTION_MODES.TOPOCENTRIC
+                                        ? 'Topocentric (conjunction as seen from each location)'
+                                        : 'Geocentric (conjunction at the Earth\'s centre)'}</p>
+                                )}
+                                {calendarData.calendarMode === CALENDAR_MODES.VISIBILITY && (
+                                    <p><strong>Shared Night:</strong> {resolveNightDefinition(calendarData.nightDefinition).name}; {describeSharedNightPolicy(calendarData.sharedNightPolicy)}</p>
+                                )}
+                                {calendarData.calendarMode === CALENDAR_MODES.VISIBILITY && (
+                                    <p><strong>Close Calls:</strong> {calendarData.months.filter(m => m.night1Sensitivity?.closeCall).length} of {calendarData.months.length} months could change Night 1 under plausible model uncertainties (ΔT, elevation, refraction, best time, time zone)</p>
+                                )}
+                                {calendarData.calendarMode === CALENDAR_MODES.GLOBAL && calendarData.globalRule && (
+                                    <p><strong>Global Rule:</strong> {calendarData.globalRule.name}</p>
+                                )}
+                                {calendarData.warnings?.length > 0 && (
+                                    <div style={{ color: '#f59e0b' }}>
+                                        <p><strong>Month Length Warnings:</strong> {calendarData.warnings.length} {calendarData.warnings.length === 1 ? 'month is' : 'months are'} not 29 or 30 nights long</p>
+                                        <ul style={{ margin: '4px 0 8px', paddingLeft: '20px' }}>
+                                            {calendarData.warnings.map(warning => (
+                                                <li key={`${warning.type}-${warning.monthIndex}`}>{warning.message}</li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
                                 <p className="calendar-note">
-                                    <em>Calendar generated based on moon visibility at this location</em>
+                                    <em>{calendarData.calendarMode === CALENDAR_MODES.UMM_AL_QURA
+                                        ? 'Calendar generated from the Umm al-Qura rule, independent of this location'
+                                        : calendarData.calendarMode === CALENDAR_MODES.GLOBAL
+                                            ? 'Calendar generated from moon visibility anywhere on Earth; month starts are the same for every location'
+                                            : calendarData.calendarMode === CALENDAR_MODES.COUNTRY
+                                                ? `Predicted official month starts in ${calendarData.country} under its usual policy${calendarData.countryPolicy?.notes ? ` (${calendarData.countryPolicy.notes})` : ''}`
+                                                : 'Calendar generated based on moon visibility at this location'}</em>
                                 </p>
                             </div>
 
+                            <div className="modal-controls">
+                                <div className="modal-input-group">
+                                    <label htmlFor="modal-prayer-times-toggle">
+                                        <input
+                                            id="modal-prayer-times-toggle"
+                                            type="checkbox"
+                                            checked={showPrayerTimes}
+                                            onChange={(e) => setShowPrayerTimes(e.target.checked)}
+                                        />
+                                        {' '}Show prayer times
+                                    </label>
+                                </div>
+                                <div className="modal-input-group">
+                                    <label htmlFor="modal-discrepancy-toggle">
+                                        <input
+                                            id="modal-discrepancy-toggle"
+                                            type="checkbox"
+                                            checked={showDiscrepancies}
+                                            onChange={(e) => setShowDiscrepancies(e.target.checked)}
+                                        />
+                                        {' '}Compare with printed calendars
+                                    </label>
+                                </div>
+                                <div className="modal-input-group">
+                                    <label htmlFor="modal-observance-editor-toggle">
+                                        <input
+                                            id="modal-observance-editor-toggle"
+                                            type="checkbox"
+                                            checked={showObservanceEditor}
+                                            onChange={(e) => setShowObservanceEditor(e.target.checked)}
+                                        />
+                                        {' '}My observances ({customObservances.length})
+                                    </label>
+                                </div>
+                                {showPrayerTimes && (
+                                    <>
+                                        <div className="modal-input-group">
+                                            <label htmlFor="modal-prayer-method-selector">Method:</label>
+                                            <select
+                                                id="modal-prayer-method-selector"
+                                                value={prayerSettings.method}
+                                                onChange={(e) => updatePrayerSettings({ method: e.target.value })}
+                                            >
+                                                {Object.values(PRAYER_METHODS).map(method => (
+                                                    <option key={method.id} value={method.id}>
+                                                        {method.name}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        {prayerSettings.method === PRAYER_METHODS.custom.id && (
+                                            <>
+                                                <div className="modal-input-group">
+                                                    <label htmlFor="modal-fajr-angle-input">Fajr Angle (°):</label>
+                                                    <input
+                                                        id="modal-fajr-angle-input"
+                                                        type="number"
+                                                        min="10"
+                                                        max="22"
+                                                        step="0.1"
+                                                        value={prayerSettings.fajrAngle ?? PRAYER_METHODS.custom.fajrAngle}
+                                                        onChange={(e) => updatePrayerSettings({ fajrAngle: parseFloat(e.target.value) })}
+                                                    />
+                                                </div>
+                                                <div className="modal-input-group">
+                                                    <label htmlFor="modal-isha-angle-input">Isha Angle (°):</label>
+                                                    <input
+                                                        id="modal-isha-angle-input"
+                                                        type="number"
+                                                        min="10"
+                                                        max="22"
+                                                        step="0.1"
+                                                        value={prayerSettings.ishaAngle ?? PRAYER_METHODS.custom.ishaAngle}
+                                                        onChange={(e) => updatePrayerSettings({ ishaAngle: parseFloat(e.target.value) })}
+                                                    />
+                                                </div>
+                                            </>
+                                        )}
+                                        <div className="modal-input-group">
+                                            <label htmlFor="modal-asr-method-selector">Asr:</label>
+                                            <select
+                                                id="modal-asr-method-selector"
+                                                value={prayerSettings.asr}
+                                                onChange={(e) => updatePrayerSettings({ asr: e.target.value })}
+                                            >
+                                                <option value={ASR_METHODS.STANDARD}>Standard (Shafi'i, Maliki, Hanbali)</option>
+                                                <option value={ASR_METHODS.HANAFI}>Hanafi</option>
+                                            </select>
+                                        </div>
+                                        <div className="modal-input-group">
+                                            <label htmlFor="modal-high-latitude-selector">High Latitudes:</label>
+                                            <select
+                                                id="modal-high-latitude-selector"
+                                                value={prayerSettings.highLatitude}
+                                                onChange={(e) => updatePrayerSettings({ highLatitude: e.target.value })}
+                                            >
+                                                <option value={HIGH_LATITUDE_METHODS.ANGLE_BASED}>Angle-based</option>
+                                                <option value={HIGH_LATITUDE_METHODS.ONE_SEVENTH}>One-seventh of the night</option>
+                                                <option value={HIGH_LATITUDE_METHODS.MIDDLE_OF_NIGHT}>Middle of the night</option>
+                                                <option value={HIGH_LATITUDE_METHODS.NONE}>No adjustment</option>
+                                            </select>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                            {showPrayerTimes && (
+                                <p className="calendar-note">
+                                    <em>Prayer times in {calendarData.location.timezone ? `local civil time (${calendarData.location.timezone})` : 'longitude-based local time'} for each Gregorian date; * marks a time set by the high-latitude rule.</em>
+                                </p>
+                            )}
+                            <p className="calendar-note">
+                                <em>Each row is an evening. Observances held by day fall on the following day (date in brackets); night observances such as Laylat al-Qadr are the evening itself.</em>
+                            </p>
+
+                            {showObservanceEditor && (
+                                <div className="modal-controls">
+                                    <div className="modal-input-group">
+                                        <label htmlFor="modal-observance-name">Observance:</label>
+                                        <input
+                                            id="modal-observance-name"
+                                            type="text"
+                                            placeholder="e.g. Family anniversary"
+                                            value={newObservance.name}
+                                            onChange={(e) => setNewObservance(prev => ({ ...prev, name: e.target.value }))}
+                                        />
+                                    </div>
+                                    <div className="modal-input-group">
+                                        <label htmlFor="modal-observance-day">Day:</label>
+                                        <input
+                                            id="modal-observance-day"
+                                            type="number"
+                                            min="1"
+                                            max="30"
+                                            value={newObservance.day}
+                                            onChange={(e) => setNewObservance(prev => ({ ...prev, day: Math.max(1, Math.min(30, parseInt(e.target.value, 10) || 1)) }))}
+                                        />
+                                    </div>
+                                    <div className="modal-input-group">
+                                        <label htmlFor="modal-observance-month">Month:</label>
+                                        <select
+                                            id="modal-observance-month"
+                                            value={newObservance.month}
+                                            onChange={(e) => setNewObservance(prev => ({ ...prev, month: e.target.value }))}
+                                        >
+                                            <option value="">Every month</option>
+                                            {ISLAMIC_MONTHS.map((name, idx) => (
+                                                <option key={name} value={idx + 1}>{name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div className="modal-input-group">
+                                        <label htmlFor="modal-observance-time">Falls on:</label>
+                                        <select
+                                            id="modal-observance-time"
+                                            value={newObservance.time}
+                                            onChange={(e) => setNewObservance(prev => ({ ...prev, time: e.target.value }))}
+                                        >
+                                            <option value={OBSERVANCE_TIMES.DAY}>The day</option>
+                                            <option value={OBSERVANCE_TIMES.NIGHT}>The night before</option>
+                                        </select>
+                                    </div>
+                                    <div className="modal-input-group">
+                                        <button onClick={handleAddObservance} disabled={!newObservance.name.trim()} className="recalculate-button">
+                                            Add
+                                        </button>
+                                    </div>
+                                    {customObservances.map(observance => (
+                                        <div key={observance.id} className="modal-input-group">
+                                            <span>
+                                                {observance.name}: {observance.days[0]} {observance.month ? ISLAMIC_MONTHS[observance.month - 1] : 'of every month'}
+                                                {observance.time === OBSERVANCE_TIMES.NIGHT ? ' (night)' : ''}
+                                            </span>
+                                            <button
+                                                onClick={() => updateCustomObservances(customObservances.filter(o => o.id !== observance.id))}
+                                                title="Remove observance"
+                                                style={{ marginLeft: '6px', padding: '0 6px', cursor: 'pointer' }}
+                                            >
+                                                ×
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {discrepancyReport && (
+                                <div className="lunar-month">
+                                    <div className="month-header">
+                                        <h3>Comparison with Printed Calendars</h3>
+                                        <p className="month-details">
+                                            Umm al-Qura: {discrepancyReport.summary.ummAlQura.same} same, {discrepancyReport.summary.ummAlQura.earlier} earlier, {discrepancyReport.summary.ummAlQura.later} later
+                                            <br />
+                                            Tabular (islamic-civil): {discrepancyReport.summary.tabular.same} same, {discrepancyReport.summary.tabular.earlier} earlier, {discrepancyReport.summary.tabular.later} later
+                                        </p>
+                                    </div>
+                                    <table className="lunar-calendar-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Month</th>
+                                                <th>Computed Day 1</th>
+                                                <th>Umm al-Qura Day 1</th>
+                                                <th>Tabular Day 1</th>
+                                                <th>Reason</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {discrepancyReport.months.map((row, rowIndex) => {
+                                                const differs = [row.ummAlQura, row.tabular].filter(ref => ref && ref.reason !== DISCREPANCY_REASONS.NONE);
+                                                return (
+                                                    <tr key={rowIndex}>
+                                                        <td>{row.monthName} {row.hijriYear}</td>
+                                                        <td>{formatReportDay(row.firstDay)}</td>
+                                                        <td>{formatReportDay(row.ummAlQura?.firstDay)}{row.ummAlQura && ` (${formatDayDifference(row.ummAlQura.difference)})`}</td>
+                                                        <td>{formatReportDay(row.tabular?.firstDay)}{row.tabular && ` (${formatDayDifference(row.tabular.difference)})`}</td>
+                                                        <td>
+                                                            {differs.length === 0 ? 'Same start' : differs.map((ref, refIndex) => (
+                                                                <div key={refIndex}>
+                                                                    <strong>{ref === row.ummAlQura ? 'Umm al-Qura' : 'Tabular'}: {getDiscrepancyReasonLabel(ref.reason)}</strong> — {ref.detail}
+                                                                </div>
+                                                            ))}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                    <p className="calendar-note">
+                                        <em>Differences in days, positive when the computed month starts later than the printed calendar.</em>
+                                    </p>
+                                </div>
+                            )}
+
                             {calendarData.months.map((month, monthIndex) => {
-                                const tenthDayIndex = Math.min(9, month.days.length - 1);
-                                const refDateForYear = month.days[tenthDayIndex]?.gregorianDate || month.night1Date;
-                                const hijriYear = getHijriYear(refDateForYear);
+                                const hijriYear = month.hijriYear;
 
                                 // Format conjunction time in local timezone
                                 const conjunctionLocalTime = calendarData.location.timezone
@@ -730,15 +1399,55 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                                         timeZoneName: 'short'
                                     });
 
+                                const monthWarnings = (calendarData.warnings || []).filter(warning => warning.monthIndex === monthIndex);
+
                                 return (
                                     <div key={monthIndex} className="lunar-month">
                                         <div className="month-header">
                                             <h3>{month.monthName} {hijriYear}</h3>
                                             <p className="month-details">
                                                 Night 1: {month.night1Date.toLocaleDateString()}
-                                                ({month.night1Method === 'direct' ? 'Direct visibility' : 'Shared Night inheritance'})
+                                                ({getNight1MethodLabel(month.night1Method)}{month.night1Details?.sightedFrom ? ` from ${month.night1Details.sightedFrom}` : ''})
                                                 <br />
+                                                {month.night1Method === 'shared_night' && (
+                                                    <>
+                                                        {getSharedNightExplanation(month.night1Details, calendarData.location, calendarData.sharedNightPolicy)}
+                                                        <br />
+                                                    </>
+                                                )}
+                                                {month.night1Sensitivity?.closeCall && (
+                                                    <>
+                                                        <span style={{ color: '#f59e0b', fontWeight: 600 }}>
+                                                            ⚠ Close call: {month.night1Sensitivity.reasons.join('; ')}
+                                                        </span>
+                                                        <br />
+                                                    </>
+                                                )}
+                                                {monthWarnings.map(warning => (
+                                                    <React.Fragment key={warning.type}>
+                                                        <span style={{ color: '#f59e0b', fontWeight: 600 }}>
+                                                            ⚠ {warning.message}
+                                                        </span>
+                                                        <br />
+                                                    </React.Fragment>
+                                                ))}
+                                                {formatVisibilityWindow(month.night1Details?.visibilityWindow) && (
+                                                    <>
+                                                        Night 1 sighting: look between {formatVisibilityWindow(month.night1Details.visibilityWindow)}
+                                                        <br />
+                                                    </>
+                                                )}
                                                 Conjunction: {conjunctionLocalTime}
+                                                <br />
+                                                {month.topocentricConjunctionDate && (
+                                                    <>
+                                                        Topocentric conjunction: {getConjunctionOffsetLabel(month.topocentricConjunctionDate, month.conjunctionDate)} from geocentric
+                                                        <br />
+                                                    </>
+                                                )}
+                                                Last old crescent: {month.lastOldCrescentMorning
+                                                    ? `morning of ${month.lastOldCrescentMorning.date.toLocaleDateString()} (${month.lastOldCrescentMorning.classification})`
+                                                    : 'not visible in the mornings before conjunction'}
                                             </p>
                                         </div>
 
@@ -749,10 +1458,21 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                                                     <th>Lunar Month</th>
                                                     <th>Hijri Year</th>
                                                     <th>Gregorian Date - Evening of</th>
+                                                    <th>Sunset</th>
+                                                    <th>Moonset</th>
+                                                    <th>Moon at Sunset</th>
+                                                    <th>Observances</th>
+                                                    {showPrayerTimes && PRAYER_NAMES.map(prayer => (
+                                                        <th key={prayer.key}>{prayer.label}</th>
+                                                    ))}
                                                 </tr>
                                             </thead>
                                             <tbody>
-                                                {month.days.map((day, dayIndex) => (
+                                                {month.days.map((day, dayIndex) => {
+                                                    const almanac = day.almanac;
+                                                    const prayerTimes = dayPrayerTimes.get(day.gregorianDateString);
+                                                    const observances = [...(day.observances || []), ...getObservancesForNight(month.monthNumber, day.nightNumber, customObservances)];
+                                                    return (
                                                     <tr key={dayIndex}>
                                                         <td>
                                                             {day.nightNumber === 1 ? (
@@ -792,8 +1512,31 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                                                             month: 'short',
                                                             day: 'numeric'
                                                         })}</td>
+                                                        <td>{almanac ? formatAlmanacTime(almanac, almanac.sun.set) : '—'}</td>
+                                                        <td>{almanac ? formatAlmanacTime(almanac, almanac.moon.set) : '—'}</td>
+                                                        <td>{almanac
+                                                            ? `${(almanac.moon.illumination * 100).toFixed(1)}%, ${almanac.moon.ageHours !== null ? `${(almanac.moon.ageHours / 24).toFixed(1)} d old` : '—'}`
+                                                            : '—'}</td>
+                                                        <td>
+                                                            {observances.map(observance => (
+                                                                <div key={observance.id} style={{ color: observance.custom ? '#0ea5e9' : '#b45309', fontWeight: 600 }}>
+                                                                    {observance.name}
+                                                                    {observance.time === OBSERVANCE_TIMES.DAY && (
+                                                                        <span style={{ fontWeight: 400 }}>
+                                                                            {' '}({getObservanceDate(day, observance).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })})
+                                                                        </span>
+                                                                    )}
+                                                                </div>
+                                                            ))}
+                                                        </td>
+                                                        {showPrayerTimes && PRAYER_NAMES.map(prayer => (
+                                                            <td key={prayer.key}>
+                                                                {formatPrayerTime(prayerTimes, prayer.key)}{prayerTimes?.adjusted[prayer.key] ? '*' : ''}
+                                                            </td>
+                                                        ))}
                                                     </tr>
-                                                ))}
+                                                    );
+                                                })}
                                             </tbody>
                                         </table>
                                     </div>
@@ -827,6 +1570,9 @@ function LunarCalendarModal({ isOpen, onClose, initialDate, initialLocation, onV
                         selectedCity={exportMapParams.location}
                         calculationTrigger={exportMapParams.trigger} // Trigger re-calculation on change
                         highlightSharedNightCells={exportMapParams.highlightSharedNightCells}
+                        criterion={calendarData?.criterion}
+                        conjunctionMode={calendarData?.conjunctionMode}
+                        nightDefinition={calendarData?.nightDefinition}
                         onRenderComplete={onExportRenderComplete}
                         enableYielding={false}
                     />
@@ -1,31 +1,13 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import * as topojson from 'topojson-client';
-import { getNightWindow } from '../utils/astronomy';
-import { globalCalculationTracking } from '../utils/moonMapTracking';
-
-// Color Palette
-
-const colors = {
-    'EV': '#4ade80',      // Green - Easily visible (Green-400)
-    'VP': '#facc15',      // Yellow - Visible under perfect conditions
-    'VO': '#ef4444',      // Red - Visible with optical aid
-    'NV': '#94a3b8',      // Grey - Not visible
-    'I': '#94a3b8'        // Grey - Impossible (same as NV)
-};
-
-// Legend labels
-const zoneLabels = {
-    'EV': 'Easily Visible',
-    'VP': 'Visible Under Perfect Conditions',
-    'VO': 'Visible With Optical Aid',
-    'NVI': 'Not Visible / Impossible'  // Combined NV and I
-};
+import { getNightWindow, getCriterion, getZone, IMPOSSIBLE_ZONE, DEFAULT_CRITERION, VISIBILITY_EVENTS, CONJUNCTION_MODES, DEFAULT_NIGHT_DEFINITION, resolveNightDefinition } from '../utils/astronomy';
+import { globalCalculationTracking, getGridCacheKey } from '../utils/moonMapTracking';
 
 // Module-level cache for world map data to prevent re-fetching on every remount (crucial for export performance)
 let cachedWorldFeatures = null;
 
-const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightCells, onRenderComplete, wrapperRef }) => {
+const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightCells, onRenderComplete, wrapperRef, criterion = DEFAULT_CRITERION, atmosphere = null, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, nightDefinition = DEFAULT_NIGHT_DEFINITION }) => {
     const svgRef = useRef();
     const canvasRef = useRef();
     const worldFeaturesRef = useRef([]);
@@ -34,6 +16,7 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
     const [data, setData] = useState(null);
     const [renderKey, setRenderKey] = useState(0);
     const [sharedNightMode, setSharedNightMode] = useState(null); // { selectedCell, sharedCells: [] }
+    const [visibilityEvent, setVisibilityEvent] = useState(VISIBILITY_EVENTS.EVENING); // evening (new crescent) or morning (old crescent)
 
     // Color Palette
 
@@ -69,8 +52,9 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
                     } else {
                         const dateKey = dateStr;
                         if (dateKey) {
-                            globalCalculationTracking.dataCache.set(dateKey, { ...result, dateStr: dateKey });
-                            console.log(`[MoonMap ${instanceId.current}] Cached data for ${dateKey}`);
+                            const cacheKey = getGridCacheKey(dateKey, result.criterion, result.event, result.atmosphere, result.conjunctionMode, result.nightDefinition);
+                            globalCalculationTracking.dataCache.set(cacheKey, { ...result, dateStr: dateKey });
+                            console.log(`[MoonMap ${instanceId.current}] Cached data for ${cacheKey}`);
                         }
                         setData(result);
                         if (result.sharedNightResult) {
@@ -112,11 +96,12 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
     useEffect(() => {
         const calculateGrid = async () => {
             const dateKey = date?.toISOString();
+            const cacheKey = dateKey ? getGridCacheKey(dateKey, criterion, visibilityEvent, atmosphere, conjunctionMode, nightDefinition) : null;
 
             // 1. Check cache FIRST. Cache hits should NEVER be blocked by inProgress guards.
-            if (dateKey && globalCalculationTracking.dataCache.get(dateKey)) {
-                const cachedData = globalCalculationTracking.dataCache.get(dateKey);
-                console.log(`[MoonMap ${instanceId.current}] Cache hit for ${dateKey}`);
+            if (cacheKey && globalCalculationTracking.dataCache.get(cacheKey)) {
+                const cachedData = globalCalculationTracking.dataCache.get(cacheKey);
+                console.log(`[MoonMap ${instanceId.current}] Cache hit for ${cacheKey}`);
                 setData(cachedData);
                 if (cachedData.sharedNightResult) {
                     setSharedNightMode(cachedData.sharedNightResult);
@@ -158,11 +143,16 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
                         dateStr: date.toISOString(),
                         workId: Date.now(),
                         params: {
+                            criterion,
+                            event: visibilityEvent,
+                            atmosphere,
+                            conjunctionMode,
+                            nightDefinition,
                             cityParams: selectedCity ? {
                                 lat: Math.floor(selectedCity.lat / 2) * 2 + 1.0,
                                 lon: Math.floor(selectedCity.lon / 2) * 2 + 1.0,
-                                nightStart: getNightWindow(selectedCity.lat, selectedCity.lon, date)?.nightStart,
-                                nightEnd: getNightWindow(selectedCity.lat, selectedCity.lon, date)?.nightEnd
+                                nightStart: getNightWindow(selectedCity.lat, selectedCity.lon, date, null, null, selectedCity.elevation, null, nightDefinition)?.nightStart,
+                                nightEnd: getNightWindow(selectedCity.lat, selectedCity.lon, date, null, null, selectedCity.elevation, null, nightDefinition)?.nightEnd
                             } : null
                         }
                     });
@@ -181,7 +171,7 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
             console.log(`[MoonMap ${instanceId.current}] Triggered calculation #${calculationTrigger} for ${date?.toISOString()}`);
             calculateGrid();
         }
-    }, [calculationTrigger, date, selectedCity, onRenderComplete]);
+    }, [calculationTrigger, date, selectedCity, onRenderComplete, criterion, visibilityEvent, atmosphere, conjunctionMode, nightDefinition]);
 
     // Fast effect for interactive city changes
     useEffect(() => {
@@ -209,7 +199,9 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
                             selectedCellLat: cityCell.lat,
                             selectedCellLon: cityCell.lon,
                             selectedNightStart: cityCell.nightStart,
-                            selectedNightEnd: cityCell.nightEnd
+                            selectedNightEnd: cityCell.nightEnd,
+                            // Same night definition as the grid's night windows
+                            nightDefinition: data.nightDefinition
                         }
                     });
                 }
@@ -273,10 +265,20 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
         // 3. Render Visibility Grid
         const cellW = (width / 360) * 2;
         const cellH = (height / 180) * 2;
+        const gridCriterion = getCriterion(data.criterion) || getCriterion(DEFAULT_CRITERION);
+
+        // Continuous criteria (probabilities) are painted on a color ramp instead of discrete zones
+        const probabilityColor = d3.scaleSequential(d3.interpolateRgbBasis(['#94a3b8', '#ef4444', '#facc15', '#4ade80'])).domain([0, 1]);
+        const getCellColor = (cell) => {
+            if (gridCriterion.continuous && cell.code !== IMPOSSIBLE_ZONE.code && typeof cell.value === 'number') {
+                return probabilityColor(cell.value);
+            }
+            return getZone(gridCriterion.id, cell.code)?.color || '#00000000';
+        };
 
         data.grid.forEach(cell => {
             const [x, y] = projection([cell.lon, cell.lat]);
-            const color = colors[cell.code] || '#00000000';
+            const color = getCellColor(cell);
 
             ctx.fillStyle = color;
             ctx.globalAlpha = 0.22;
@@ -488,7 +490,8 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
         };
 
         // Reference Date
-        const refDateLabel = "Reference Date (Local Evening): ";
+        const isMorningGrid = data.event === VISIBILITY_EVENTS.MORNING;
+        const refDateLabel = isMorningGrid ? "Reference Date (Local Morning): " : "Reference Date (Local Evening): ";
         const refDateValue = date.toISOString().split('T')[0];
 
         ctx.font = "bold 13px sans-serif";
@@ -558,7 +561,19 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
         // REMOVED explanation text about solar time
         // ctx.fillText("ℹ️ Local solar time is based on longitude (15° = 1 hour). It differs from civil time zones.", footerX, footerY);
         footerY += lineHeight;
-        ctx.fillText("Criterion: Odeh V-criterion", footerX, footerY);
+        ctx.fillText(`Criterion: ${gridCriterion.name} | ${isMorningGrid ? 'Morning (old crescent before sunrise)' : 'Evening (new crescent after sunset)'}`, footerX, footerY);
+        if (data.conjunctionMode === CONJUNCTION_MODES.TOPOCENTRIC) {
+            footerY += lineHeight;
+            ctx.fillText('Conjunction rule: topocentric (per-location conjunction; see cell details)', footerX, footerY);
+        }
+        if (data.nightDefinition && resolveNightDefinition(data.nightDefinition).id !== DEFAULT_NIGHT_DEFINITION) {
+            footerY += lineHeight;
+            ctx.fillText(`Shared night window: ${resolveNightDefinition(data.nightDefinition).name}`, footerX, footerY);
+        }
+        if (gridCriterion.usesAtmosphere && data.atmosphere) {
+            footerY += lineHeight;
+            ctx.fillText(`Atmosphere: extinction ${data.atmosphere.extinction} mag/airmass, humidity ${data.atmosphere.humidity}%, temperature ${data.atmosphere.temperature}°C, observer acuity ${data.atmosphere.acuity}`, footerX, footerY);
+        }
 
         footerY += 25; // Gap before legend
 
@@ -575,14 +590,31 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
         ctx.textBaseline = "middle";
         ctx.fillStyle = "#cbd5e1"; // Ensure text color is set
 
-        // Define specific order to avoid NV/I duplication
-        const legendOrder = ['EV', 'VP', 'VO', 'NVI'];
+        // Continuous criteria get a probability ramp; their zones only name the bands
+        if (gridCriterion.continuous) {
+            const rampWidth = 240;
+            for (let i = 0; i < rampWidth; i++) {
+                ctx.fillStyle = probabilityColor(i / (rampWidth - 1));
+                ctx.fillRect(currentX + i, footerY - 6, 1, 12);
+            }
+            ctx.fillStyle = "#cbd5e1";
+            ctx.textAlign = "left";
+            ctx.fillText(`0% — ${gridCriterion.valueLabel} of detection — 100%`, currentX + rampWidth + 10, footerY);
+            footerY += 20;
+        }
 
-        legendOrder.forEach(code => {
-            const label = zoneLabels[code];
-            const color = code === 'NVI' ? colors['NV'] : colors[code]; // NVI uses NV color
+        // Zones come from the criterion; Impossible is appended once for every criterion
+        const legendZones = [...gridCriterion.zones, IMPOSSIBLE_ZONE];
 
-            if (!label) return;
+        legendZones.forEach(({ code, label, color }) => {
+            const itemText = `${code}: ${label}`;
+            const itemWidth = ctx.measureText(itemText).width + 30;
+
+            // Wrap onto a new row when the criterion has more zones than fit
+            if (currentX > footerX && currentX + itemWidth > width + padding.left) {
+                currentX = footerX;
+                footerY += 20;
+            }
 
             // Color Box
             ctx.fillStyle = color;
@@ -591,9 +623,9 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
             // Text
             ctx.fillStyle = "#cbd5e1";
             ctx.textAlign = "left";
-            ctx.fillText(`${code}: ${label}`, currentX + 18, footerY);
+            ctx.fillText(itemText, currentX + 18, footerY);
 
-            currentX += ctx.measureText(`${code}: ${label}`).width + 30; // Spacing
+            currentX += itemWidth; // Spacing
         });
 
         // Date Title REMOVED as requested (kept commented out ref)
@@ -676,7 +708,7 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
                         const feat = worldFeaturesRef.current.find(f => d3.geoContains(f, [lon, lat]));
                         if (feat) country = feat.properties.name;
                     }
-                    tooltipDiv.html(`<strong>${country}</strong><br/>Zone: ${zoneLabels[cell.code]}<br/>Lat: ${Math.abs(cell.lat).toFixed(1)}°${cell.lat >= 0 ? 'N' : 'S'}, Long: ${Math.abs(cell.lon).toFixed(1)}°${cell.lon >= 0 ? 'E' : 'W'}`)
+                    tooltipDiv.html(`<strong>${country}</strong><br/>Zone: ${cell.zoneName || getZone(gridCriterion.id, cell.code)?.label || cell.reason || 'Unknown'}<br/>${cell.value !== null && cell.value !== undefined ? `${gridCriterion.valueLabel}: ${cell.value.toFixed(3)}<br/>` : ''}${cell.topocentricConjunctionTime ? `Topocentric conj.: ${cell.topocentricConjunctionTime.toISOString().substring(0, 16).replace('T', ' ')} UTC<br/>` : ''}${cell.detectionStartUTC ? `Detectable: ${cell.detectionStartUTC.toISOString().substring(11, 16)}–${cell.detectionEndUTC.toISOString().substring(11, 16)} UTC<br/>` : ''}Lat: ${Math.abs(cell.lat).toFixed(1)}°${cell.lat >= 0 ? 'N' : 'S'}, Long: ${Math.abs(cell.lon).toFixed(1)}°${cell.lon >= 0 ? 'E' : 'W'}`)
                         .style("visibility", "visible").style("left", (event.pageX + 15) + "px").style("top", (event.pageY - 10) + "px");
                 } else { tooltipDiv.style("visibility", "hidden"); }
             })
@@ -758,6 +790,43 @@ const MoonMap = ({ date, calculationTrigger, selectedCity, highlightSharedNightC
                         : 'None'
                     }</div>
                 </div>
+                {/* Evening / Morning Toggle */}
+                <div style={{
+                    position: 'absolute',
+                    top: '40px',
+                    right: '10px',
+                    display: 'flex',
+                    gap: '4px',
+                    backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                    padding: '4px',
+                    borderRadius: '6px',
+                    border: '1px solid #334155',
+                    zIndex: 1000
+                }}>
+                    {[
+                        { event: VISIBILITY_EVENTS.EVENING, label: 'Evening (new crescent)' },
+                        { event: VISIBILITY_EVENTS.MORNING, label: 'Morning (old crescent)' }
+                    ].map(option => (
+                        <button
+                            key={option.event}
+                            type="button"
+                            onClick={() => setVisibilityEvent(option.event)}
+                            disabled={loading}
+                            style={{
+                                backgroundColor: visibilityEvent === option.event ? '#38bdf8' : 'transparent',
+                                color: visibilityEvent === option.event ? '#0f172a' : '#e2e8f0',
+                                border: 'none',
+                                borderRadius: '4px',
+                                padding: '4px 8px',
+                                fontSize: '12px',
+                                fontWeight: '500',
+                                cursor: loading ? 'not-allowed' : 'pointer'
+                            }}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
                 <canvas ref={canvasRef} style={{ position: 'absolute', top: 0, left: 0, pointerEvents: 'none' }}></canvas>
                 <svg ref={svgRef} viewBox="0 0 870 820" preserveAspectRatio="xMidYMid meet" style={{ position: 'relative', zIndex: 1 }}></svg>
             </div>
@@ -0,0 +1,72 @@
+import React, { useMemo } from 'react';
+import { getCriterion, getZone, DEFAULT_CRITERION } from '../utils/astronomy';
+import { analyzeVisibilitySensitivity, getSensitivityLevelLabel, SENSITIVITY_LEVELS } from '../utils/sensitivity';
+
+const LEVEL_COLORS = {
+    [SENSITIVITY_LEVELS.ROBUST]: '#4ade80',
+    [SENSITIVITY_LEVELS.ZONE_SENSITIVE]: '#facc15',
+    [SENSITIVITY_LEVELS.CLOSE_CALL]: '#f59e0b'
+};
+
+const formatValue = (value, digits = 3) => value === null || value === undefined ? '—' : value.toFixed(digits);
+const formatDelta = (value) => value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(3)}`;
+
+/**
+ * Robustness of the evening's classification for a city: the baseline result
+ * next to each one-at-a-time perturbation (ΔT, elevation, refraction, best-time
+ * fraction, time-zone model).
+ */
+const SensitivityReport = ({ date, city, criterion = DEFAULT_CRITERION }) => {
+    const analysis = useMemo(() => {
+        if (!date || !city || isNaN(date.getTime())) return null;
+        return analyzeVisibilitySensitivity(date, city, criterion, { timeZone: city.timezone || null });
+    }, [date, city, criterion]);
+
+    if (!analysis) return null;
+
+    const criterionDef = getCriterion(criterion);
+    const zoneLabel = (code) => getZone(criterion, code)?.label || code;
+    const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #1e293b', textAlign: 'left' };
+
+    return (
+        <div style={{
+            background: '#0f172a',
+            border: '1px solid #334155',
+            borderRadius: '8px',
+            padding: '16px',
+            marginTop: '20px',
+            color: '#cbd5e1'
+        }}>
+            <h3 style={{ marginTop: 0, fontSize: '1.1rem' }}>Sensitivity Analysis — {city.name}</h3>
+            <p style={{ margin: '0 0 10px', fontSize: '0.9rem' }}>
+                <span style={{ color: LEVEL_COLORS[analysis.level], fontWeight: 600 }}>{getSensitivityLevelLabel(analysis.level)}</span>
+                {' — '}baseline {zoneLabel(analysis.baseline.code)} ({criterionDef?.valueLabel || 'value'} = {formatValue(analysis.baseline.value)})
+                {analysis.nearestThreshold && (
+                    <>, {Math.abs(analysis.nearestThreshold.distance).toFixed(3)} {analysis.nearestThreshold.distance >= 0 ? 'above' : 'below'} the {analysis.nearestThreshold.code} threshold ({analysis.nearestThreshold.min})</>
+                )}
+            </p>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                <thead>
+                    <tr style={{ color: '#94a3b8' }}>
+                        <th style={cellStyle}>Perturbation</th>
+                        <th style={cellStyle}>Zone</th>
+                        <th style={cellStyle}>{criterionDef?.valueLabel || 'Value'}</th>
+                        <th style={cellStyle}>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {analysis.scenarios.map(scenario => (
+                        <tr key={scenario.id} style={{ color: scenario.visibilityChanged ? '#f59e0b' : scenario.zoneChanged ? '#facc15' : undefined }}>
+                            <td style={cellStyle}>{scenario.label}</td>
+                            <td style={cellStyle}>{scenario.code}{scenario.visibilityChanged ? (scenario.visible ? ' (becomes visible)' : ' (sighting lost)') : ''}</td>
+                            <td style={cellStyle}>{formatValue(scenario.value)}</td>
+                            <td style={cellStyle}>{formatDelta(scenario.valueDelta)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default SensitivityReport;
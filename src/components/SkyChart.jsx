@@ -0,0 +1,168 @@
+import React, { useMemo } from 'react';
+import { getVisibility, DEFAULT_CRITERION } from '../utils/astronomy';
+
+const WIDTH = 520;
+const HEIGHT = 280;
+const MARGIN = { top: 16, right: 16, bottom: 30, left: 36 };
+const MOON_RADIUS_PX = 11; // Drawn enlarged; the real Moon is about half a degree across
+
+const COMPASS_POINTS = [
+    { azimuth: 180, label: 'S' },
+    { azimuth: 202.5, label: 'SSW' },
+    { azimuth: 225, label: 'SW' },
+    { azimuth: 247.5, label: 'WSW' },
+    { azimuth: 270, label: 'W' },
+    { azimuth: 292.5, label: 'WNW' },
+    { azimuth: 315, label: 'NW' },
+    { azimuth: 337.5, label: 'NNW' },
+    { azimuth: 0, label: 'N' }
+];
+
+// Azimuth difference wrapped to [-180, 180), so charts near north do not split at 0°/360°
+const azimuthOffset = (azimuth, center) => ((azimuth - center + 540) % 360) - 180;
+
+const formatLocalTime = (localDate) => localDate ? localDate.toISOString().substring(11, 16) : '--:--';
+
+/**
+ * SVG path of the lit part of the Moon with its bright limb pointing down,
+ * centred on the origin. Rotate it by (brightLimbAngle - 180) to orient it.
+ */
+function getCrescentPath(radius, illumination) {
+    const terminator = radius * Math.abs(1 - 2 * illumination);
+    const sweep = illumination < 0.5 ? 1 : 0;
+    return `M ${-radius} 0 A ${radius} ${radius} 0 0 0 ${radius} 0 A ${radius} ${terminator} 0 0 ${sweep} ${-radius} 0 Z`;
+}
+
+/**
+ * Western sky at sunset and at the best time for the selected city and evening:
+ * the horizon with the Sun below it and the crescent drawn at its position and tilt.
+ */
+const SkyChart = ({ date, city, criterion = DEFAULT_CRITERION }) => {
+    const visibility = useMemo(() => {
+        if (!date || !city || isNaN(date.getTime())) return null;
+        return getVisibility(date, city.lat, city.lon, criterion, null, city.elevation, city.timezone);
+    }, [date, city, criterion]);
+
+    if (!visibility) return null;
+
+    const { skyAtSunset, skyAtBestTime } = visibility;
+    const containerStyle = {
+        background: '#0f172a',
+        border: '1px solid #334155',
+        borderRadius: '8px',
+        padding: '16px',
+        marginTop: '20px',
+        color: '#cbd5e1'
+    };
+
+    // A moonset found on the following day leaves the Moon below the horizon at sunset
+    const moonUp = skyAtSunset && skyAtBestTime && skyAtSunset.moonAltitude > 0;
+
+    if (!moonUp) {
+        return (
+            <div style={containerStyle}>
+                <h3 style={{ marginTop: 0, fontSize: '1.1rem' }}>Where to Look — {city.name}</h3>
+                <p style={{ margin: 0, color: '#94a3b8' }}>
+                    No crescent to look for after sunset on this evening ({(visibility.reason || 'moon is below the horizon at sunset').toLowerCase()}).
+                </p>
+            </div>
+        );
+    }
+
+    // Azimuth span centred on the sunset point, wide enough for the Moon
+    const centerAzimuth = skyAtSunset.sunAzimuth;
+    const halfSpan = Math.max(30, Math.abs(skyAtSunset.daz) + 10, Math.abs(azimuthOffset(skyAtBestTime.sunAzimuth, centerAzimuth)) + 10);
+    const minAltitude = Math.min(-10, Math.floor(skyAtBestTime.sunAltitude) - 3);
+    const maxAltitude = Math.max(15, Math.ceil(skyAtSunset.moonAltitude) + 4);
+
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const x = (azimuth) => MARGIN.left + ((azimuthOffset(azimuth, centerAzimuth) + halfSpan) / (2 * halfSpan)) * plotWidth;
+    const y = (altitude) => MARGIN.top + ((maxAltitude - altitude) / (maxAltitude - minAltitude)) * plotHeight;
+    const horizonY = y(0);
+
+    const altitudeTicks = [];
+    for (let altitude = Math.ceil(minAltitude / 5) * 5; altitude <= maxAltitude; altitude += 5) {
+        altitudeTicks.push(altitude);
+    }
+    const compassTicks = COMPASS_POINTS.filter(point => Math.abs(azimuthOffset(point.azimuth, centerAzimuth)) <= halfSpan);
+
+    const moonX = x(skyAtBestTime.moonAzimuth);
+    const moonY = y(skyAtBestTime.moonAltitude);
+    const crescentRotation = skyAtBestTime.brightLimbAngle - 180;
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+    return (
+        <div style={containerStyle}>
+            <h3 style={{ marginTop: 0, fontSize: '1.1rem' }}>Where to Look — {city.name}</h3>
+            <svg
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                style={{ width: '100%', maxWidth: `${WIDTH}px`, display: 'block' }}
+                role="img"
+                aria-label={`Western sky chart for ${city.name}`}
+            >
+                <defs>
+                    <linearGradient id="sky-chart-twilight" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor="#1e1b4b" />
+                        <stop offset="70%" stopColor="#1e3a8a" />
+                        <stop offset="100%" stopColor="#f97316" />
+                    </linearGradient>
+                </defs>
+
+                {/* Sky and ground */}
+                <rect x={MARGIN.left} y={MARGIN.top} width={plotWidth} height={horizonY - MARGIN.top} fill="url(#sky-chart-twilight)" />
+                <rect x={MARGIN.left} y={horizonY} width={plotWidth} height={MARGIN.top + plotHeight - horizonY} fill="#020617" />
+
+                {/* Altitude grid */}
+                {altitudeTicks.map(altitude => (
+                    <g key={altitude}>
+                        <line x1={MARGIN.left} x2={MARGIN.left + plotWidth} y1={y(altitude)} y2={y(altitude)} stroke="#475569" strokeOpacity={altitude === 0 ? 0 : 0.4} strokeDasharray="2 4" />
+                        <text x={MARGIN.left - 6} y={y(altitude) + 4} fill="#94a3b8" fontSize="10" textAnchor="end">{altitude}°</text>
+                    </g>
+                ))}
+
+                {/* Horizon and compass points */}
+                <line x1={MARGIN.left} x2={MARGIN.left + plotWidth} y1={horizonY} y2={horizonY} stroke="#e2e8f0" strokeWidth="1.5" />
+                {compassTicks.map(point => (
+                    <g key={point.label}>
+                        <line x1={x(point.azimuth)} x2={x(point.azimuth)} y1={horizonY} y2={horizonY + 5} stroke="#e2e8f0" />
+                        <text x={x(point.azimuth)} y={HEIGHT - 10} fill="#e2e8f0" fontSize="11" textAnchor="middle">{point.label}</text>
+                    </g>
+                ))}
+
+                {/* Sun at sunset (on the horizon) and at best time (below it) */}
+                <circle cx={x(skyAtSunset.sunAzimuth)} cy={y(skyAtSunset.sunAltitude)} r="7" fill="none" stroke="#fb923c" strokeDasharray="2 2" />
+                <circle cx={x(skyAtBestTime.sunAzimuth)} cy={y(skyAtBestTime.sunAltitude)} r="7" fill="#f97316" />
+                <text x={x(skyAtBestTime.sunAzimuth) + 10} y={y(skyAtBestTime.sunAltitude) + 4} fill="#fdba74" fontSize="10">Sun</text>
+
+                {/* Moon track from sunset to best time */}
+                <line x1={x(skyAtSunset.moonAzimuth)} y1={y(skyAtSunset.moonAltitude)} x2={moonX} y2={moonY} stroke="#e2e8f0" strokeOpacity="0.6" strokeDasharray="3 3" />
+                <circle cx={x(skyAtSunset.moonAzimuth)} cy={y(skyAtSunset.moonAltitude)} r="3" fill="#e2e8f0" />
+                <text x={x(skyAtSunset.moonAzimuth) + 6} y={y(skyAtSunset.moonAltitude) - 6} fill="#e2e8f0" fontSize="10">
+                    Sunset {formatLocalTime(visibility.sunsetLocal)}
+                </text>
+
+                {/* Crescent at best time, bright limb towards the Sun */}
+                <g transform={`translate(${moonX} ${moonY}) rotate(${crescentRotation})`}>
+                    <circle r={MOON_RADIUS_PX} fill="#1e293b" stroke="#475569" strokeWidth="0.5" />
+                    <path d={getCrescentPath(MOON_RADIUS_PX, skyAtBestTime.illumination)} fill="#fef9c3" />
+                </g>
+                <text x={moonX + MOON_RADIUS_PX + 4} y={moonY + 4} fill="#fef9c3" fontSize="10">
+                    Best time {formatLocalTime(visibility.bestTimeLocal)}
+                </text>
+            </svg>
+
+            <p style={{ margin: '10px 0 0', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                At {formatLocalTime(visibility.bestTimeLocal)} local the Moon is {skyAtBestTime.moonAltitude.toFixed(1)}° above the horizon
+                at azimuth {skyAtBestTime.moonAzimuth.toFixed(1)}° (DAZ {signed(skyAtBestTime.daz)}° from the Sun), with the crescent tilted {signed(skyAtBestTime.crescentTilt)}°
+                and {(skyAtBestTime.illumination * 100).toFixed(1)}% illuminated. The Sun is {Math.abs(skyAtBestTime.sunAltitude).toFixed(1)}° below the horizon.
+                At sunset the Moon stands at {skyAtSunset.moonAltitude.toFixed(1)}° altitude, azimuth {skyAtSunset.moonAzimuth.toFixed(1)}°.
+            </p>
+            <p style={{ margin: '4px 0 0', fontSize: '0.75rem', color: '#94a3b8' }}>
+                Apparent positions including refraction. The Moon is drawn enlarged; tilt 0° means both horns point straight up.
+            </p>
+        </div>
+    );
+};
+
+export default SkyChart;
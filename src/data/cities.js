@@ -1,79 +1,80 @@
 // Major cities around the world with their coordinates
 // Coordinates represent city centers for grid cell mapping
+// Elevation is the approximate city-center height above sea level in metres
 export const MAJOR_CITIES = [
-    { name: "Mecca, Saudi Arabia", lat: 21.4, lon: 39.8, timezone: "Asia/Riyadh" },
-    { name: "Medina, Saudi Arabia", lat: 24.5, lon: 39.6, timezone: "Asia/Riyadh" },
-    { name: "Riyadh, Saudi Arabia", lat: 24.7, lon: 46.7, timezone: "Asia/Riyadh" },
-    { name: "Jeddah, Saudi Arabia", lat: 21.5, lon: 39.2, timezone: "Asia/Riyadh" },
-    { name: "Dubai, UAE", lat: 25.2, lon: 55.3, timezone: "Asia/Dubai" },
-    { name: "Abu Dhabi, UAE", lat: 24.5, lon: 54.4, timezone: "Asia/Dubai" },
-    { name: "Doha, Qatar", lat: 25.3, lon: 51.5, timezone: "Asia/Qatar" },
-    { name: "Kuwait City, Kuwait", lat: 29.4, lon: 47.9, timezone: "Asia/Kuwait" },
-    { name: "Muscat, Oman", lat: 23.6, lon: 58.5, timezone: "Asia/Muscat" },
-    { name: "Manama, Bahrain", lat: 26.2, lon: 50.6, timezone: "Asia/Bahrain" },
-    { name: "Cairo, Egypt", lat: 30.0, lon: 31.2, timezone: "Africa/Cairo" },
-    { name: "Istanbul, Turkey", lat: 41.0, lon: 28.9, timezone: "Europe/Istanbul" },
-    { name: "Ankara, Turkey", lat: 39.9, lon: 32.9, timezone: "Europe/Istanbul" },
-    { name: "Tehran, Iran", lat: 35.7, lon: 51.4, timezone: "Asia/Tehran" },
-    { name: "Baghdad, Iraq", lat: 33.3, lon: 44.4, timezone: "Asia/Baghdad" },
-    { name: "Damascus, Syria", lat: 33.5, lon: 36.3, timezone: "Asia/Damascus" },
-    { name: "Amman, Jordan", lat: 31.9, lon: 35.9, timezone: "Asia/Amman" },
-    { name: "Beirut, Lebanon", lat: 33.9, lon: 35.5, timezone: "Asia/Beirut" },
-    { name: "Jerusalem", lat: 31.8, lon: 35.2, timezone: "Asia/Jerusalem" },
-    { name: "Karachi, Pakistan", lat: 24.9, lon: 67.1, timezone: "Asia/Karachi" },
-    { name: "Lahore, Pakistan", lat: 31.5, lon: 74.3, timezone: "Asia/Karachi" },
-    { name: "Islamabad, Pakistan", lat: 33.7, lon: 73.1, timezone: "Asia/Karachi" },
-    { name: "Dhaka, Bangladesh", lat: 23.8, lon: 90.4, timezone: "Asia/Dhaka" },
-    { name: "Jakarta, Indonesia", lat: -6.2, lon: 106.8, timezone: "Asia/Jakarta" },
-    { name: "Kuala Lumpur, Malaysia", lat: 3.1, lon: 101.7, timezone: "Asia/Kuala_Lumpur" },
-    { name: "Singapore", lat: 1.3, lon: 103.8, timezone: "Asia/Singapore" },
-    { name: "Bangkok, Thailand", lat: 13.8, lon: 100.5, timezone: "Asia/Bangkok" },
-    { name: "Manila, Philippines", lat: 14.6, lon: 121.0, timezone: "Asia/Manila" },
-    { name: "Tokyo, Japan", lat: 35.7, lon: 139.7, timezone: "Asia/Tokyo" },
-    { name: "Seoul, South Korea", lat: 37.6, lon: 127.0, timezone: "Asia/Seoul" },
-    { name: "Beijing, China", lat: 39.9, lon: 116.4, timezone: "Asia/Shanghai" },
-    { name: "Shanghai, China", lat: 31.2, lon: 121.5, timezone: "Asia/Shanghai" },
-    { name: "Hong Kong", lat: 22.3, lon: 114.2, timezone: "Asia/Hong_Kong" },
-    { name: "Delhi, India", lat: 28.7, lon: 77.2, timezone: "Asia/Kolkata" },
-    { name: "Mumbai, India", lat: 19.1, lon: 72.9, timezone: "Asia/Kolkata" },
-    { name: "Kolkata, India", lat: 22.6, lon: 88.4, timezone: "Asia/Kolkata" },
-    { name: "Chennai, India", lat: 13.1, lon: 80.3, timezone: "Asia/Kolkata" },
-    { name: "Bangalore, India", lat: 13.0, lon: 77.6, timezone: "Asia/Kolkata" },
-    { name: "Hyderabad, India", lat: 17.4, lon: 78.5, timezone: "Asia/Kolkata" },
-    { name: "London, UK", lat: 51.5, lon: -0.1, timezone: "Europe/London" },
-    { name: "Paris, France", lat: 48.9, lon: 2.4, timezone: "Europe/Paris" },
-    { name: "Berlin, Germany", lat: 52.5, lon: 13.4, timezone: "Europe/Berlin" },
-    { name: "Rome, Italy", lat: 41.9, lon: 12.5, timezone: "Europe/Rome" },
-    { name: "Madrid, Spain", lat: 40.4, lon: -3.7, timezone: "Europe/Madrid" },
-    { name: "Amsterdam, Netherlands", lat: 52.4, lon: 4.9, timezone: "Europe/Amsterdam" },
-    { name: "Brussels, Belgium", lat: 50.8, lon: 4.4, timezone: "Europe/Brussels" },
-    { name: "Vienna, Austria", lat: 48.2, lon: 16.4, timezone: "Europe/Vienna" },
-    { name: "Moscow, Russia", lat: 55.8, lon: 37.6, timezone: "Europe/Moscow" },
-    { name: "New York, USA", lat: 40.7, lon: -74.0, timezone: "America/New_York" },
-    { name: "Los Angeles, USA", lat: 34.1, lon: -118.2, timezone: "America/Los_Angeles" },
-    { name: "Chicago, USA", lat: 41.9, lon: -87.6, timezone: "America/Chicago" },
-    { name: "Houston, USA", lat: 29.8, lon: -95.4, timezone: "America/Chicago" },
-    { name: "Toronto, Canada", lat: 43.7, lon: -79.4, timezone: "America/Toronto" },
-    { name: "Mexico City, Mexico", lat: 19.4, lon: -99.1, timezone: "America/Mexico_City" },
-    { name: "São Paulo, Brazil", lat: -23.6, lon: -46.7, timezone: "America/Sao_Paulo" },
-    { name: "Rio de Janeiro, Brazil", lat: -22.9, lon: -43.2, timezone: "America/Sao_Paulo" },
-    { name: "Buenos Aires, Argentina", lat: -34.6, lon: -58.4, timezone: "America/Argentina/Buenos_Aires" },
-    { name: "Lima, Peru", lat: -12.0, lon: -77.0, timezone: "America/Lima" },
-    { name: "Bogotá, Colombia", lat: 4.7, lon: -74.1, timezone: "America/Bogota" },
-    { name: "Sydney, Australia", lat: -33.9, lon: 151.2, timezone: "Australia/Sydney" },
-    { name: "Melbourne, Australia", lat: -37.8, lon: 145.0, timezone: "Australia/Melbourne" },
-    { name: "Brisbane, Australia", lat: -27.5, lon: 153.0, timezone: "Australia/Brisbane" },
-    { name: "Perth, Australia", lat: -31.9, lon: 115.9, timezone: "Australia/Perth" },
-    { name: "Auckland, New Zealand", lat: -36.8, lon: 174.8, timezone: "Pacific/Auckland" },
-    { name: "Cape Town, South Africa", lat: -33.9, lon: 18.4, timezone: "Africa/Johannesburg" },
-    { name: "Johannesburg, South Africa", lat: -26.2, lon: 28.0, timezone: "Africa/Johannesburg" },
-    { name: "Nairobi, Kenya", lat: -1.3, lon: 36.8, timezone: "Africa/Nairobi" },
-    { name: "Lagos, Nigeria", lat: 6.5, lon: 3.4, timezone: "Africa/Lagos" },
-    { name: "Casablanca, Morocco", lat: 33.6, lon: -7.6, timezone: "Africa/Casablanca" },
-    { name: "Tunis, Tunisia", lat: 36.8, lon: 10.2, timezone: "Africa/Tunis" },
-    { name: "Algiers, Algeria", lat: 36.8, lon: 3.1, timezone: "Africa/Algiers" },
-    { name: "Tripoli, Libya", lat: 32.9, lon: 13.2, timezone: "Africa/Tripoli" },
-    { name: "Khartoum, Sudan", lat: 15.6, lon: 32.5, timezone: "Africa/Khartoum" },
+    { name: "Mecca, Saudi Arabia", lat: 21.4, lon: 39.8, elevation: 277, timezone: "Asia/Riyadh" },
+    { name: "Medina, Saudi Arabia", lat: 24.5, lon: 39.6, elevation: 608, timezone: "Asia/Riyadh" },
+    { name: "Riyadh, Saudi Arabia", lat: 24.7, lon: 46.7, elevation: 612, timezone: "Asia/Riyadh" },
+    { name: "Jeddah, Saudi Arabia", lat: 21.5, lon: 39.2, elevation: 12, timezone: "Asia/Riyadh" },
+    { name: "Dubai, UAE", lat: 25.2, lon: 55.3, elevation: 5, timezone: "Asia/Dubai" },
+    { name: "Abu Dhabi, UAE", lat: 24.5, lon: 54.4, elevation: 27, timezone: "Asia/Dubai" },
+    { name: "Doha, Qatar", lat: 25.3, lon: 51.5, elevation: 10, timezone: "Asia/Qatar" },
+    { name: "Kuwait City, Kuwait", lat: 29.4, lon: 47.9, elevation: 15, timezone: "Asia/Kuwait" },
+    { name: "Muscat, Oman", lat: 23.6, lon: 58.5, elevation: 15, timezone: "Asia/Muscat" },
+    { name: "Manama, Bahrain", lat: 26.2, lon: 50.6, elevation: 5, timezone: "Asia/Bahrain" },
+    { name: "Cairo, Egypt", lat: 30.0, lon: 31.2, elevation: 23, timezone: "Africa/Cairo" },
+    { name: "Istanbul, Turkey", lat: 41.0, lon: 28.9, elevation: 39, timezone: "Europe/Istanbul" },
+    { name: "Ankara, Turkey", lat: 39.9, lon: 32.9, elevation: 938, timezone: "Europe/Istanbul" },
+    { name: "Tehran, Iran", lat: 35.7, lon: 51.4, elevation: 1190, timezone: "Asia/Tehran" },
+    { name: "Baghdad, Iraq", lat: 33.3, lon: 44.4, elevation: 34, timezone: "Asia/Baghdad" },
+    { name: "Damascus, Syria", lat: 33.5, lon: 36.3, elevation: 680, timezone: "Asia/Damascus" },
+    { name: "Amman, Jordan", lat: 31.9, lon: 35.9, elevation: 780, timezone: "Asia/Amman" },
+    { name: "Beirut, Lebanon", lat: 33.9, lon: 35.5, elevation: 40, timezone: "Asia/Beirut" },
+    { name: "Jerusalem", lat: 31.8, lon: 35.2, elevation: 754, timezone: "Asia/Jerusalem" },
+    { name: "Karachi, Pakistan", lat: 24.9, lon: 67.1, elevation: 10, timezone: "Asia/Karachi" },
+    { name: "Lahore, Pakistan", lat: 31.5, lon: 74.3, elevation: 217, timezone: "Asia/Karachi" },
+    { name: "Islamabad, Pakistan", lat: 33.7, lon: 73.1, elevation: 540, timezone: "Asia/Karachi" },
+    { name: "Dhaka, Bangladesh", lat: 23.8, lon: 90.4, elevation: 4, timezone: "Asia/Dhaka" },
+    { name: "Jakarta, Indonesia", lat: -6.2, lon: 106.8, elevation: 8, timezone: "Asia/Jakarta" },
+    { name: "Kuala Lumpur, Malaysia", lat: 3.1, lon: 101.7, elevation: 56, timezone: "Asia/Kuala_Lumpur" },
+    { name: "Singapore", lat: 1.3, lon: 103.8, elevation: 15, timezone: "Asia/Singapore" },
+    { name: "Bangkok, Thailand", lat: 13.8, lon: 100.5, elevation: 2, timezone: "Asia/Bangkok" },
+    { name: "Manila, Philippines", lat: 14.6, lon: 121.0, elevation: 7, timezone: "Asia/Manila" },
+    { name: "Tokyo, Japan", lat: 35.7, lon: 139.7, elevation: 40, timezone: "Asia/Tokyo" },
+    { name: "Seoul, South Korea", lat: 37.6, lon: 127.0, elevation: 38, timezone: "Asia/Seoul" },
+    { name: "Beijing, China", lat: 39.9, lon: 116.4, elevation: 44, timezone: "Asia/Shanghai" },
+    { name: "Shanghai, China", lat: 31.2, lon: 121.5, elevation: 4, timezone: "Asia/Shanghai" },
+    { name: "Hong Kong", lat: 22.3, lon: 114.2, elevation: 32, timezone: "Asia/Hong_Kong" },
+    { name: "Delhi, India", lat: 28.7, lon: 77.2, elevation: 216, timezone: "Asia/Kolkata" },
+    { name: "Mumbai, India", lat: 19.1, lon: 72.9, elevation: 14, timezone: "Asia/Kolkata" },
+    { name: "Kolkata, India", lat: 22.6, lon: 88.4, elevation: 9, timezone: "Asia/Kolkata" },
+    { name: "Chennai, India", lat: 13.1, lon: 80.3, elevation: 6, timezone: "Asia/Kolkata" },
+    { name: "Bangalore, India", lat: 13.0, lon: 77.6, elevation: 920, timezone: "Asia/Kolkata" },
+    { name: "Hyderabad, India", lat: 17.4, lon: 78.5, elevation: 542, timezone: "Asia/Kolkata" },
+    { name: "London, UK", lat: 51.5, lon: -0.1, elevation: 11, timezone: "Europe/London" },
+    { name: "Paris, France", lat: 48.9, lon: 2.4, elevation: 35, timezone: "Europe/Paris" },
+    { name: "Berlin, Germany", lat: 52.5, lon: 13.4, elevation: 34, timezone: "Europe/Berlin" },
+    { name: "Rome, Italy", lat: 41.9, lon: 12.5, elevation: 21, timezone: "Europe/Rome" },
+    { name: "Madrid, Spain", lat: 40.4, lon: -3.7, elevation: 657, timezone: "Europe/Madrid" },
+    { name: "Amsterdam, Netherlands", lat: 52.4, lon: 4.9, elevation: 0, timezone: "Europe/Amsterdam" },
+    { name: "Brussels, Belgium", lat: 50.8, lon: 4.4, elevation: 13, timezone: "Europe/Brussels" },
+    { name: "Vienna, Austria", lat: 48.2, lon: 16.4, elevation: 190, timezone: "Europe/Vienna" },
+    { name: "Moscow, Russia", lat: 55.8, lon: 37.6, elevation: 156, timezone: "Europe/Moscow" },
+    { name: "New York, USA", lat: 40.7, lon: -74.0, elevation: 10, timezone: "America/New_York" },
+    { name: "Los Angeles, USA", lat: 34.1, lon: -118.2, elevation: 71, timezone: "America/Los_Angeles" },
+    { name: "Chicago, USA", lat: 41.9, lon: -87.6, elevation: 181, timezone: "America/Chicago" },
+    { name: "Houston, USA", lat: 29.8, lon: -95.4, elevation: 15, timezone: "America/Chicago" },
+    { name: "Toronto, Canada", lat: 43.7, lon: -79.4, elevation: 76, timezone: "America/Toronto" },
+    { name: "Mexico City, Mexico", lat: 19.4, lon: -99.1, elevation: 2240, timezone: "America/Mexico_City" },
+    { name: "São Paulo, Brazil", lat: -23.6, lon: -46.7, elevation: 760, timezone: "America/Sao_Paulo" },
+    { name: "Rio de Janeiro, Brazil", lat: -22.9, lon: -43.2, elevation: 5, timezone: "America/Sao_Paulo" },
+    { name: "Buenos Aires, Argentina", lat: -34.6, lon: -58.4, elevation: 25, timezone: "America/Argentina/Buenos_Aires" },
+    { name: "Lima, Peru", lat: -12.0, lon: -77.0, elevation: 154, timezone: "America/Lima" },
+    { name: "Bogotá, Colombia", lat: 4.7, lon: -74.1, elevation: 2640, timezone: "America/Bogota" },
+    { name: "Sydney, Australia", lat: -33.9, lon: 151.2, elevation: 3, timezone: "Australia/Sydney" },
+    { name: "Melbourne, Australia", lat: -37.8, lon: 145.0, elevation: 31, timezone: "Australia/Melbourne" },
+    { name: "Brisbane, Australia", lat: -27.5, lon: 153.0, elevation: 27, timezone: "Australia/Brisbane" },
+    { name: "Perth, Australia", lat: -31.9, lon: 115.9, elevation: 31, timezone: "Australia/Perth" },
+    { name: "Auckland, New Zealand", lat: -36.8, lon: 174.8, elevation: 26, timezone: "Pacific/Auckland" },
+    { name: "Cape Town, South Africa", lat: -33.9, lon: 18.4, elevation: 25, timezone: "Africa/Johannesburg" },
+    { name: "Johannesburg, South Africa", lat: -26.2, lon: 28.0, elevation: 1753, timezone: "Africa/Johannesburg" },
+    { name: "Nairobi, Kenya", lat: -1.3, lon: 36.8, elevation: 1795, timezone: "Africa/Nairobi" },
+    { name: "Lagos, Nigeria", lat: 6.5, lon: 3.4, elevation: 41, timezone: "Africa/Lagos" },
+    { name: "Casablanca, Morocco", lat: 33.6, lon: -7.6, elevation: 27, timezone: "Africa/Casablanca" },
+    { name: "Tunis, Tunisia", lat: 36.8, lon: 10.2, elevation: 4, timezone: "Africa/Tunis" },
+    { name: "Algiers, Algeria", lat: 36.8, lon: 3.1, elevation: 25, timezone: "Africa/Algiers" },
+    { name: "Tripoli, Libya", lat: 32.9, lon: 13.2, elevation: 81, timezone: "Africa/Tripoli" },
+    { name: "Khartoum, Sudan", lat: 15.6, lon: 32.5, elevation: 381, timezone: "Africa/Khartoum" },
 ];
 
 // Sort alphabetically for better UX
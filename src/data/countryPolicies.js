@@ -0,0 +1,90 @@
+// How each country decides the start of a lunar month, keyed by the country as
+// it appears at the end of the city names in cities.js ("Karachi, Pakistan" ->
+// "Pakistan"; single-name entries such as "Singapore" use the whole name).
+//
+// policy is one of COUNTRY_POLICY_TYPES:
+//   local-sighting - crescent seen from anywhere in the country (criterion: naked-eye model)
+//   follow-saudi   - same start as Saudi Arabia, predicted with the Umm al-Qura rule
+//   criterion      - calculated criterion evaluated over the country (e.g. MABIMS)
+//   global         - unified global calendar (globalRule from GLOBAL_RULES)
+//
+// Profiles record the usual practice of the national authority, or of the largest
+// communities where there is none. Practice changes and communities within a
+// country often disagree, so check the table against the year's announcements.
+
+export const COUNTRY_POLICY_TYPES = {
+    LOCAL_SIGHTING: 'local-sighting',
+    FOLLOW_SAUDI: 'follow-saudi',
+    CRITERION: 'criterion',
+    GLOBAL: 'global'
+};
+
+export const COUNTRY_POLICIES = [
+    // Arabian Peninsula
+    { country: 'Saudi Arabia', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Supreme Court', notes: 'Announcements rest on sighting testimony and have come a day before the Umm al-Qura rule allows' },
+    { country: 'UAE', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Moon Sighting Committee', notes: 'Own committee; in practice announces with Saudi Arabia' },
+    { country: 'Qatar', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Ministry of Awqaf Crescent Sighting Committee' },
+    { country: 'Kuwait', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Sharia Crescent Sighting Authority' },
+    { country: 'Bahrain', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Supreme Council for Islamic Affairs' },
+    { country: 'Oman', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Main Committee for Sighting the Crescent' },
+
+    // Middle East
+    { country: 'Turkey', policy: COUNTRY_POLICY_TYPES.GLOBAL, globalRule: 'istanbul2016', criterion: 'turkey2016', authority: 'Diyanet (Presidency of Religious Affairs)' },
+    { country: 'Iran', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Office of the Supreme Leader (Estehlal headquarters)', notes: 'Telescopic sightings are accepted' },
+    { country: 'Iraq', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Shia and Sunni endowments', notes: 'The Sunni Endowment often follows Saudi Arabia' },
+    { country: 'Syria', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Ministry of Awqaf' },
+    { country: 'Jordan', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Chief Justice Department' },
+    { country: 'Lebanon', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Dar al-Fatwa', notes: 'Shia communities follow their own marja\'' },
+    { country: 'Jerusalem', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Grand Mufti of Jerusalem' },
+
+    // Africa
+    { country: 'Egypt', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Dar al-Ifta', notes: 'Sighting checked against calculation (moonset after sunset)' },
+    { country: 'Libya', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'General Authority of Awqaf' },
+    { country: 'Tunisia', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Mufti of the Republic' },
+    { country: 'Algeria', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Ministry of Religious Affairs' },
+    { country: 'Morocco', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Ministry of Habous and Islamic Affairs' },
+    { country: 'Sudan', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Islamic Fiqh Academy' },
+    { country: 'Nigeria', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Sultan of Sokoto (NSCIA)' },
+    { country: 'Kenya', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Chief Kadhi' },
+    { country: 'South Africa', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Crescent Observers Society / Jamiatul Ulama' },
+
+    // South Asia
+    { country: 'Pakistan', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Ruet-e-Hilal Committee' },
+    { country: 'India', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Regional hilal committees', notes: 'Kerala often starts a day before the rest of the country' },
+    { country: 'Bangladesh', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'National Moon Sighting Committee' },
+
+    // Southeast and East Asia
+    { country: 'Indonesia', policy: COUNTRY_POLICY_TYPES.CRITERION, criterion: 'mabims', authority: 'Ministry of Religious Affairs (sidang isbat)', notes: 'Muhammadiyah uses its own calculated calendar' },
+    { country: 'Malaysia', policy: COUNTRY_POLICY_TYPES.CRITERION, criterion: 'mabims', authority: 'Keeper of the Rulers\' Seal' },
+    { country: 'Singapore', policy: COUNTRY_POLICY_TYPES.CRITERION, criterion: 'mabims', authority: 'MUIS' },
+    { country: 'Thailand', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Chularajmontri (Sheikhul Islam)' },
+    { country: 'Philippines', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'National Commission on Muslim Filipinos' },
+    { country: 'China', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Islamic Association of China', notes: 'No single practice; many communities follow Saudi Arabia' },
+    { country: 'Hong Kong', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Incorporated Trustees of the Islamic Community Fund' },
+    { country: 'Japan', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Local communities' },
+    { country: 'South Korea', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Korea Muslim Federation' },
+
+    // Europe
+    { country: 'UK', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Most mosques', notes: 'Some communities follow local or Moroccan sightings' },
+    { country: 'France', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Grand Mosque of Paris (night of doubt)' },
+    { country: 'Germany', policy: COUNTRY_POLICY_TYPES.GLOBAL, globalRule: 'istanbul2016', criterion: 'turkey2016', authority: 'DITIB and the Central Council of Muslims', notes: 'Follows the Turkish calendar' },
+    { country: 'Austria', policy: COUNTRY_POLICY_TYPES.GLOBAL, globalRule: 'istanbul2016', criterion: 'turkey2016', authority: 'Islamic Religious Community in Austria' },
+    { country: 'Netherlands', policy: COUNTRY_POLICY_TYPES.GLOBAL, globalRule: 'istanbul2016', criterion: 'turkey2016', authority: 'Turkish and Moroccan community bodies', notes: 'Moroccan mosques may follow Morocco' },
+    { country: 'Belgium', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Muslim Executive of Belgium' },
+    { country: 'Italy', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Local communities' },
+    { country: 'Spain', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Islamic Commission of Spain' },
+    { country: 'Russia', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Spiritual administrations', notes: 'Several administrations publish calculated calendars' },
+
+    // Americas
+    { country: 'USA', policy: COUNTRY_POLICY_TYPES.GLOBAL, globalRule: 'fcna', criterion: 'odeh', authority: 'Fiqh Council of North America / ISNA', notes: 'Many communities follow Saudi Arabia or local sighting instead' },
+    { country: 'Canada', policy: COUNTRY_POLICY_TYPES.GLOBAL, globalRule: 'fcna', criterion: 'odeh', authority: 'Fiqh Council of North America / ISNA', notes: 'Many communities follow local sighting instead' },
+    { country: 'Mexico', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Local communities' },
+    { country: 'Brazil', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'FAMBRAS' },
+    { country: 'Argentina', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Islamic Center of Argentina' },
+    { country: 'Peru', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Local communities' },
+    { country: 'Colombia', policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI, authority: 'Local communities' },
+
+    // Oceania
+    { country: 'Australia', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'Australian National Imams Council' },
+    { country: 'New Zealand', policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: 'odeh', authority: 'FIANZ' }
+];
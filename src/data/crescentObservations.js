@@ -0,0 +1,52 @@
+// Published crescent observation records used to validate the visibility criteria
+// (tests/crescentObservations.spec.js).
+//
+// date is the local evening of the attempt (UTC midnight of that date, as getVisibility expects).
+// result is 'seen' or 'not-seen'; aid is 'naked-eye', 'binoculars' or 'telescope'.
+// ageHours is the Moon's age at the sighting as published; each record was checked
+// against the computed age at local sunset so a mistyped date or place cannot slip in.
+// disputed marks claims the literature doubts; they are kept but not scored.
+//
+// The seed set holds the well-documented young-moon records listed by ICOP
+// (icoproject.org) and discussed by Schaefer. Extend it only from the original
+// publications, with negative reports as well as sightings: without them the
+// suite cannot measure false positives.
+export const CRESCENT_OBSERVATIONS = [
+    {
+        id: 'stamm-1996-01-20',
+        date: '1996-01-20',
+        location: 'Tucson, Arizona, USA',
+        lat: 32.22,
+        lon: -110.95,
+        elevation: 750,
+        result: 'seen',
+        aid: 'telescope',
+        ageHours: 12.12,
+        source: 'Jim Stamm, 20 Jan 1996 (ICOP young-moon records)'
+    },
+    {
+        id: 'victor-1989-05-05',
+        date: '1989-05-05',
+        location: 'Michigan, USA',
+        lat: 42.7,
+        lon: -84.5,
+        elevation: 260,
+        result: 'seen',
+        aid: 'binoculars',
+        ageHours: 13.47,
+        source: 'Robert C. Victor, 5 May 1989, 7x35 binoculars (ICOP young-moon records)'
+    },
+    {
+        id: 'mirsaeed-2002-09-07',
+        date: '2002-09-07',
+        location: 'Tehran, Iran',
+        lat: 35.7,
+        lon: 51.4,
+        elevation: 1200,
+        result: 'seen',
+        aid: 'naked-eye',
+        ageHours: 11.7,
+        disputed: true,
+        source: 'Mohsen Mirsaeed, 7 Sep 2002; naked-eye record, disputed (ICOP young-moon records)'
+    }
+];
@@ -0,0 +1,22 @@
+// Major Islamic observances by Hijri date. `month` is 1 (Muharram) to 12
+// (Dhul-Hijjah), or null for every month. `time` says whether the date names
+// a day (its daytime follows the evening the Hijri day begins) or a night
+// (the evening itself, e.g. Laylat al-Qadr).
+
+export const OBSERVANCE_TIMES = {
+    DAY: 'day',
+    NIGHT: 'night'
+};
+
+export const OBSERVANCES = [
+    { id: 'islamic-new-year', name: 'Islamic New Year', month: 1, days: [1], time: OBSERVANCE_TIMES.DAY },
+    { id: 'ashura', name: 'Ashura', month: 1, days: [10], time: OBSERVANCE_TIMES.DAY },
+    { id: 'mawlid', name: 'Mawlid an-Nabi', month: 3, days: [12], time: OBSERVANCE_TIMES.DAY, notes: 'Not observed by all communities' },
+    { id: 'isra-miraj', name: 'Isra and Mi\'raj', month: 7, days: [27], time: OBSERVANCE_TIMES.NIGHT },
+    { id: 'ramadan-start', name: 'First day of Ramadan', month: 9, days: [1], time: OBSERVANCE_TIMES.DAY },
+    { id: 'laylat-al-qadr', name: 'Laylat al-Qadr (odd night)', month: 9, days: [21, 23, 25, 27, 29], time: OBSERVANCE_TIMES.NIGHT },
+    { id: 'eid-al-fitr', name: 'Eid al-Fitr', month: 10, days: [1], time: OBSERVANCE_TIMES.DAY },
+    { id: 'day-of-arafah', name: 'Day of Arafah', month: 12, days: [9], time: OBSERVANCE_TIMES.DAY },
+    { id: 'eid-al-adha', name: 'Eid al-Adha', month: 12, days: [10], time: OBSERVANCE_TIMES.DAY },
+    { id: 'white-days', name: 'White Day', month: null, days: [13, 14, 15], time: OBSERVANCE_TIMES.DAY, notes: 'Voluntary fast' }
+];
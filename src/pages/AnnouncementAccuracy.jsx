@@ -0,0 +1,280 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import AdBanner from '../components/AdBanner';
+import MoonMap from '../components/MoonMap';
+import { getCountryCities, getCountryPolicy } from '../utils/countryPolicies';
+import { DEFAULT_CRITERION } from '../utils/astronomy';
+import { getNight1MethodLabel, getCountryPolicyLabel, ISLAMIC_MONTHS } from '../utils/lunarCalendar';
+import { evaluateHistoricalAnnouncements, loadCachedEvaluation, saveCachedEvaluation, PREDICTION_MODELS } from '../utils/historicalAnnouncements';
+import { formatDayDifference } from '../utils/calendarDiscrepancies';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDay = (date) => date
+    ? date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+    : '—';
+
+const formatScore = (score) => score.total
+    ? `${score.matches}/${score.total} (${Math.round((score.matches / score.total) * 100)}%)`
+    : '—';
+
+const getRowKey = (row) => `${row.record.country}-${row.record.hijriYear}-${row.record.month}`;
+
+// The evening the country announced as Night 1, or the one the model predicted
+const getNight1Evening = (row, prediction, evening) => evening === 'predicted' && prediction
+    ? new Date(prediction.night1Date)
+    : new Date(row.announcedFirstDay.getTime() - DAY_MS);
+
+/**
+ * Historical official month starts compared with what each prediction model
+ * gives for the same month: the country's own policy, following Saudi Arabia,
+ * or local sighting under each criterion. Mismatched nights open on the map.
+ *
+ * The comparison runs when asked for and is saved, so later visits show it
+ * straight away.
+ */
+function AnnouncementAccuracy() {
+    const [evaluation, setEvaluation] = useState(() => loadCachedEvaluation());
+    const [isCalculating, setIsCalculating] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const isCancelledRef = useRef(false);
+    const [selectedCountry, setSelectedCountry] = useState('');
+    const [selectedModel, setSelectedModel] = useState(PREDICTION_MODELS[0].id);
+    // { rowKey, evening: 'announced' | 'predicted', date }; the date is kept so the map does not recalculate on every render
+    const [drillDown, setDrillDown] = useState(null);
+
+    // Cancel a run when the page unmounts
+    useEffect(() => {
+        isCancelledRef.current = false;
+        return () => { isCancelledRef.current = true; };
+    }, []);
+
+    const runEvaluation = async () => {
+        setIsCalculating(true);
+        setError(null);
+        setProgress(null);
+        setDrillDown(null);
+        try {
+            const result = await evaluateHistoricalAnnouncements(undefined, (done, total) => {
+                if (!isCancelledRef.current) setProgress({ done, total });
+            }, () => isCancelledRef.current);
+            if (isCancelledRef.current || !result) return;
+            saveCachedEvaluation(result);
+            setEvaluation(result);
+        } catch (err) {
+            console.error('[AnnouncementAccuracy] Evaluation failed:', err);
+            if (!isCancelledRef.current) setError('Evaluation failed. Please try again.');
+        } finally {
+            if (!isCancelledRef.current) setIsCalculating(false);
+        }
+    };
+
+    const country = selectedCountry || evaluation?.countries[0]?.country || '';
+    const model = PREDICTION_MODELS.find(m => m.id === selectedModel) || PREDICTION_MODELS[0];
+    const countryRows = evaluation ? evaluation.rows.filter(row => row.record.country === country) : [];
+    const drillRow = drillDown ? countryRows.find(row => getRowKey(row) === drillDown.rowKey) : null;
+    const drillPrediction = drillRow ? drillRow.predictions[model.id] : null;
+    const drillDate = drillRow ? drillDown.date : null;
+    const drillCities = getCountryCities(country);
+    const drillCity = drillCities.find(city => city.name === drillPrediction?.sightedFrom) || drillCities[0] || null;
+    const drillCriterion = model.criterion || drillRow?.predictions.policy?.night1Details?.countryPolicy?.criterion || getCountryPolicy(country)?.criterion || DEFAULT_CRITERION;
+
+    const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #1e293b', textAlign: 'left', verticalAlign: 'top' };
+    const buttonStyle = { padding: '4px 10px', fontSize: '0.8rem' };
+
+    return (
+        <main className="content-page">
+            <div className="content-container">
+                <div className="seo-header">
+                    <h1>Predictions vs. Announcements</h1>
+                    <p>
+                        How well does each way of predicting the start of Ramadan, Shawwal and Dhul-Hijjah match what countries actually
+                        announced? Every past announcement in the dataset is recalculated with the country&apos;s own policy, with following
+                        Saudi Arabia, and with local sighting under each visibility criterion.
+                    </p>
+                </div>
+
+                <div className="modal-controls">
+                    <div className="modal-input-group">
+                        <button className="recalculate-button" onClick={runEvaluation} disabled={isCalculating}>
+                            {isCalculating ? 'Calculating…' : evaluation ? 'Recalculate' : 'Run comparison'}
+                        </button>
+                    </div>
+                </div>
+
+                {error && <p style={{ color: '#f87171' }}>{error}</p>}
+
+                {isCalculating && (
+                    <p style={{ color: '#94a3b8' }}>
+                        Recalculating every announcement with every model{progress ? ` (${progress.done} of ${progress.total} announcements)` : ''}…
+                    </p>
+                )}
+
+                {!evaluation && !isCalculating && !error && (
+                    <p style={{ color: '#94a3b8' }}>
+                        The comparison recalculates every announcement with every model and takes a while; the result is saved in this browser.
+                    </p>
+                )}
+
+                {evaluation && (
+                    <>
+                        <h2 style={{ fontSize: '1.3rem', marginTop: '1.5rem' }}>Agreement by country</h2>
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', color: '#cbd5e1' }}>
+                                <thead>
+                                    <tr style={{ color: '#94a3b8' }}>
+                                        <th style={cellStyle}>Country</th>
+                                        {PREDICTION_MODELS.map(m => <th key={m.id} style={cellStyle}>{m.name}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {evaluation.countries.map(entry => (
+                                        <tr key={entry.country}>
+                                            <td style={cellStyle}>
+                                                <strong>{entry.country}</strong>
+                                                {entry.profile && <div style={{ color: '#64748b', fontSize: '0.8rem' }}>{getCountryPolicyLabel(entry.profile)}</div>}
+                                            </td>
+                                            {PREDICTION_MODELS.map(m => (
+                                                <td
+                                                    key={m.id}
+                                                    style={{ ...cellStyle, color: entry.bestModels.includes(m.id) ? '#34d399' : undefined, fontWeight: entry.bestModels.includes(m.id) ? 600 : undefined }}
+                                                >
+                                                    {formatScore(entry.scores[m.id])}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                    <tr style={{ color: '#94a3b8' }}>
+                                        <td style={cellStyle}><strong>All countries</strong></td>
+                                        {PREDICTION_MODELS.map(m => <td key={m.id} style={cellStyle}>{formatScore(evaluation.overall[m.id])}</td>)}
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                        <p className="calendar-note">
+                            Matches out of announcements; the best model for each country is highlighted. A model that keeps starting a day
+                            early or late for a country suggests a different criterion or policy for its profile.
+                        </p>
+
+                        <h2 style={{ fontSize: '1.3rem', marginTop: '1.5rem' }}>Month by month</h2>
+                        <div className="modal-controls">
+                            <div className="modal-input-group">
+                                <label htmlFor="accuracy-country">Country:</label>
+                                <select id="accuracy-country" value={country} onChange={(e) => { setSelectedCountry(e.target.value); setDrillDown(null); }}>
+                                    {evaluation.countries.map(entry => (
+                                        <option key={entry.country} value={entry.country}>{entry.country}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="modal-input-group">
+                                <label htmlFor="accuracy-model">Model:</label>
+                                <select id="accuracy-model" value={model.id} onChange={(e) => { setSelectedModel(e.target.value); setDrillDown(null); }}>
+                                    {PREDICTION_MODELS.map(m => (
+                                        <option key={m.id} value={m.id}>{m.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', color: '#cbd5e1' }}>
+                                <thead>
+                                    <tr style={{ color: '#94a3b8' }}>
+                                        <th style={cellStyle}>Month</th>
+                                        <th style={cellStyle}>Announced</th>
+                                        <th style={cellStyle}>Predicted</th>
+                                        <th style={cellStyle}>Difference</th>
+                                        <th style={cellStyle}>Basis</th>
+                                        <th style={cellStyle}></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {countryRows.map(row => {
+                                        const prediction = row.predictions[model.id];
+                                        const rowKey = getRowKey(row);
+                                        const mismatch = !prediction || prediction.difference !== 0;
+                                        return (
+                                            <tr key={rowKey}>
+                                                <td style={cellStyle}>{ISLAMIC_MONTHS[row.record.month - 1]} {row.record.hijriYear}</td>
+                                                <td style={cellStyle}>
+                                                    {formatDay(row.announcedFirstDay)}
+                                                    <div style={{ color: '#64748b', fontSize: '0.8rem' }}>{row.record.source}</div>
+                                                </td>
+                                                <td style={cellStyle}>{formatDay(prediction?.firstDay)}</td>
+                                                <td style={{ ...cellStyle, color: mismatch ? '#f87171' : '#34d399' }}>
+                                                    {prediction ? formatDayDifference(prediction.difference) : 'Not found'}
+                                                </td>
+                                                <td style={cellStyle}>
+                                                    {prediction ? getNight1MethodLabel(prediction.method) : '—'}
+                                                    {prediction?.sightedFrom && ` from ${prediction.sightedFrom}`}
+                                                </td>
+                                                <td style={cellStyle}>
+                                                    {mismatch && (
+                                                        <button className="recalculate-button" style={buttonStyle} onClick={() => setDrillDown({ rowKey, evening: 'announced', date: getNight1Evening(row, prediction, 'announced') })}>
+                                                            Map
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {drillRow && drillDate && (
+                            <div style={{ marginTop: '1.5rem' }}>
+                                <h3 style={{ fontSize: '1.1rem' }}>
+                                    {ISLAMIC_MONTHS[drillRow.record.month - 1]} {drillRow.record.hijriYear}, {country}: evening of {formatDay(drillDate)}
+                                </h3>
+                                <div className="modal-controls">
+                                    <div className="modal-input-group">
+                                        <button
+                                            className="recalculate-button"
+                                            style={{ ...buttonStyle, opacity: drillDown.evening === 'announced' ? 1 : 0.6 }}
+                                            onClick={() => setDrillDown({ ...drillDown, evening: 'announced', date: getNight1Evening(drillRow, drillPrediction, 'announced') })}
+                                        >
+                                            Announced Night 1
+                                        </button>
+                                        {drillPrediction && (
+                                            <button
+                                                className="recalculate-button"
+                                                style={{ ...buttonStyle, marginLeft: '10px', opacity: drillDown.evening === 'predicted' ? 1 : 0.6 }}
+                                                onClick={() => setDrillDown({ ...drillDown, evening: 'predicted', date: getNight1Evening(drillRow, drillPrediction, 'predicted') })}
+                                            >
+                                                Predicted Night 1
+                                            </button>
+                                        )}
+                                        <button className="recalculate-button" style={{ ...buttonStyle, marginLeft: '10px', backgroundColor: '#64748b' }} onClick={() => setDrillDown(null)}>
+                                            Close
+                                        </button>
+                                    </div>
+                                </div>
+                                <div className="map-container" style={{ minHeight: '500px' }}>
+                                    <MoonMap
+                                        date={drillDate}
+                                        calculationTrigger={1}
+                                        selectedCity={drillCity}
+                                        highlightSharedNightCells={drillDown.evening === 'predicted' ? (drillPrediction?.night1Details?.inheritedFromCells || null) : null}
+                                        criterion={drillCriterion}
+                                    />
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+
+                <p style={{ lineHeight: '1.8', marginTop: '1.5rem', color: '#94a3b8', fontSize: '0.9rem' }}>
+                    Announcements are those of each country&apos;s national authority; communities within a country sometimes started on a
+                    different day. See the <Link to="/ramadan-eid-by-country" style={{ color: '#38bdf8' }}>predicted dates by country</Link> for
+                    the coming months, or read how <Link to="/articles/moon-sighting-committees" style={{ color: '#38bdf8' }}>moon sighting committees</Link> decide.
+                </p>
+
+                <AdBanner dataAdSlot="5502376796" style={{ marginTop: '40px', marginBottom: '20px', maxWidth: '800px', marginLeft: 'auto', marginRight: 'auto' }} />
+            </div>
+        </main>
+    );
+}
+
+export default AnnouncementAccuracy;
@@ -2,9 +2,10 @@ import React, { useMemo } from 'react';
 import { useParams, Link, Navigate } from 'react-router-dom';
 import AdBanner from '../components/AdBanner';
 import MoonMap from '../components/MoonMap';
+import SkyChart from '../components/SkyChart';
 import { MAJOR_CITIES } from '../data/cities';
 import { findCityBySlugOrName, getCityPath } from '../utils/cityUrls';
-import { getMoonIllumination, getVisibility } from '../utils/astronomy';
+import { getDailyAlmanac, formatAlmanacTime, getLocalCalendarDate, getVisibility, getVisibilityWindow, formatVisibilityWindow, normalizeElevation } from '../utils/astronomy';
 
 // Regional context data for enhanced SEO content
 const REGION_CONTEXT = {
@@ -78,18 +79,23 @@ const CityDetail = () => {
         // Calculate dynamic properties
         let visibilityText = "could not be determined currently";
         let illuminationText = "an unknown";
+        let windowText = null;
+        let almanac = null;
         
         try {
-            const today = new Date();
-            const vis = getVisibility(today, city.lat, city.lon, 'odeh');
+            // Tonight's evening and the almanac both use the city's local calendar date
+            const today = getLocalCalendarDate(new Date(), city.lon, city.timezone);
+            const vis = getVisibility(today, city.lat, city.lon, 'odeh', null, city.elevation, city.timezone);
             if (vis && vis.zoneName) {
                 visibilityText = `falls into the "${vis.zoneName}" zone`;
+                const lookBetween = formatVisibilityWindow(getVisibilityWindow(vis));
+                if (lookBetween) {
+                    windowText = `Look between ${lookBetween}, after sunset.`;
+                }
             }
             
-            const ill = getMoonIllumination(today);
-            if (ill !== undefined && ill !== null) {
-                illuminationText = `${(ill * 100).toFixed(1)}%`;
-            }
+            almanac = getDailyAlmanac(today, city.lat, city.lon, city.elevation, city.timezone);
+            illuminationText = `${(almanac.moon.illumination * 100).toFixed(1)}%`;
         } catch (e) {
             console.error("Error calculating dynamic city metrics", e);
         }
@@ -104,16 +110,46 @@ const CityDetail = () => {
             <>
                 <h2 style={{ fontSize: '1.5rem', marginTop: '2rem' }}>Moon Visibility in {city.name}</h2>
                 <p style={{ lineHeight: '1.8' }}>
-                    Track the current and future moon phases for <strong style={{ color: '#f1f5f9' }}>{city.name}</strong> (Coordinates: {city.lat.toFixed(2)}°{city.lat >= 0 ? 'N' : 'S'}, {Math.abs(city.lon).toFixed(2)}°{city.lon >= 0 ? 'E' : 'W'}).
+                    Track the current and future moon phases for <strong style={{ color: '#f1f5f9' }}>{city.name}</strong> (Coordinates: {city.lat.toFixed(2)}°{city.lat >= 0 ? 'N' : 'S'}, {Math.abs(city.lon).toFixed(2)}°{city.lon >= 0 ? 'E' : 'W'}, elevation {normalizeElevation(city.elevation)} m).
                     The moon visibility forecast for <strong style={{ color: '#f1f5f9' }}>{city.name}</strong> tonight indicates that the crescent {visibilityText}, with a current lunar illumination of {illuminationText}.
+                    {windowText && <> {windowText}</>}
                 </p>
                 <p style={{ lineHeight: '1.8', marginTop: '1rem' }}>
                     Our tool provides highly accurate crescent visibility predictions using the Odeh V-criterion algorithms framework, helping you determine the formal start of lunar months in {shortName} and the surrounding regional territories. All calculations are performed in real-time using the precise positions of the Sun and Moon via the astronomy-engine library.
                 </p>
 
+                {almanac && (
+                    <>
+                        <h3 style={{ marginTop: '1.5rem' }}>Today's Almanac for {shortName}</h3>
+                        <table style={{ borderCollapse: 'collapse', fontSize: '0.9rem', lineHeight: '1.8' }}>
+                            <tbody>
+                                {[
+                                    ['Sunrise / Sunset', `${formatAlmanacTime(almanac, almanac.sun.rise)} / ${formatAlmanacTime(almanac, almanac.sun.set)}`],
+                                    ['Civil twilight', `${formatAlmanacTime(almanac, almanac.twilight.civil.dawn)} / ${formatAlmanacTime(almanac, almanac.twilight.civil.dusk)}`],
+                                    ['Nautical twilight', `${formatAlmanacTime(almanac, almanac.twilight.nautical.dawn)} / ${formatAlmanacTime(almanac, almanac.twilight.nautical.dusk)}`],
+                                    ['Astronomical twilight', `${formatAlmanacTime(almanac, almanac.twilight.astronomical.dawn)} / ${formatAlmanacTime(almanac, almanac.twilight.astronomical.dusk)}`],
+                                    ['Moonrise / Moonset', `${formatAlmanacTime(almanac, almanac.moon.rise)} / ${formatAlmanacTime(almanac, almanac.moon.set)}`],
+                                    ['Illumination', `${(almanac.moon.illumination * 100).toFixed(1)}% (phase angle ${almanac.moon.phaseAngle.toFixed(1)}°)`],
+                                    ['Moon age', almanac.moon.ageHours !== null ? `${(almanac.moon.ageHours / 24).toFixed(1)} days since conjunction` : '—'],
+                                    ['Distance', `${Math.round(almanac.moon.distanceKm).toLocaleString('en-US')} km (apparent diameter ${almanac.moon.apparentDiameterArcmin.toFixed(1)}′)`],
+                                    ['Libration', `longitude ${almanac.moon.libration.longitude.toFixed(2)}°, latitude ${almanac.moon.libration.latitude.toFixed(2)}°`]
+                                ].map(([label, value]) => (
+                                    <tr key={label}>
+                                        <td style={{ padding: '2px 16px 2px 0', color: '#94a3b8' }}>{label}</td>
+                                        <td style={{ padding: '2px 0', color: '#f1f5f9' }}>{value}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <p style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+                            Local times ({almanac.timeZone || 'longitude-based zone'}); twilights are dawn / dusk, and "—" means the event does not occur today. Moon values are for sunset.
+                        </p>
+                    </>
+                )}
+
                 <h3 style={{ marginTop: '1.5rem' }}>Astronomical Data for {shortName}</h3>
                 <p style={{ lineHeight: '1.8' }}>
-                    Located in the <strong style={{ color: '#f1f5f9' }}>{city.timezone}</strong> timezone, {shortName} interacts with the lunar cycle in a unique way based on its specific geographical position on the globe at latitude {city.lat.toFixed(2)}° and longitude {city.lon.toFixed(2)}°.
+                    Located in the <strong style={{ color: '#f1f5f9' }}>{city.timezone}</strong> timezone, {shortName} interacts with the lunar cycle in a unique way based on its specific geographical position on the globe at latitude {city.lat.toFixed(2)}° and longitude {city.lon.toFixed(2)}°, using an observer elevation of {normalizeElevation(city.elevation)} m with the matching horizon dip applied to sunset and moonset.
                     Factors such as standard atmospheric twilight conditions, topocentric altitude, the moon's elongation from the sun, and the crescent width are actively computed for each query.
                     The interactive map above shows the precise visibility zones affecting {shortName} and the surrounding region.
                 </p>
@@ -226,6 +262,8 @@ const CityDetail = () => {
                     />
                 </div>
 
+                <SkyChart date={dateObj} city={city} />
+
                 <div className="text-content" style={{ color: '#cbd5e1', maxWidth: '800px' }}>
                     {cityContent}
 
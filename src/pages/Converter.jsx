@@ -0,0 +1,237 @@
+import React, { useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import AdBanner from '../components/AdBanner';
+import { MAJOR_CITIES } from '../data/cities';
+import { VISIBILITY_CRITERIA, DEFAULT_CRITERION, getPrevNewMoonConjunction } from '../utils/astronomy';
+import { getHijriMonthForConjunction, getNight1MethodLabel, ISLAMIC_MONTHS } from '../utils/lunarCalendar';
+import { convertGregorianToHijri, convertHijriToGregorian, REFERENCE_CALENDARS } from '../utils/hijriConverter';
+
+const DIRECTIONS = {
+    TO_HIJRI: 'to-hijri',
+    TO_GREGORIAN: 'to-gregorian'
+};
+
+const formatGregorian = (date) => date
+    ? date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+    : '—';
+
+const formatHijri = (hijri) => hijri ? `${hijri.day} ${hijri.monthName} ${hijri.year} AH` : '—';
+
+/**
+ * Hijri ⇄ Gregorian converter using the computed Night 1 chain for a location
+ * and criterion, with the tabular and Umm al-Qura equivalents alongside.
+ */
+function Converter() {
+    const today = new Date().toISOString().split('T')[0];
+    const [currentHijri] = useState(() => getHijriMonthForConjunction(getPrevNewMoonConjunction(new Date())));
+
+    const [direction, setDirection] = useState(DIRECTIONS.TO_HIJRI);
+    const [gregorianInput, setGregorianInput] = useState(today);
+    const [hijriYear, setHijriYear] = useState(currentHijri.year);
+    const [hijriMonth, setHijriMonth] = useState(currentHijri.month);
+    const [hijriDay, setHijriDay] = useState(1);
+    const [locationName, setLocationName] = useState(MAJOR_CITIES[0].name);
+    const [criterion, setCriterion] = useState(DEFAULT_CRITERION);
+    const [isConverting, setIsConverting] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const cancelRef = useRef(false);
+
+    const handleConvert = async () => {
+        const location = MAJOR_CITIES.find(city => city.name === locationName);
+        if (!location) return;
+
+        cancelRef.current = false;
+        setIsConverting(true);
+        setProgress(0);
+        setResult(null);
+        setError(null);
+
+        const onProgress = (completed, total) => setProgress(Math.round((completed / total) * 100));
+        const shouldCancel = () => cancelRef.current;
+
+        try {
+            const converted = direction === DIRECTIONS.TO_HIJRI
+                ? await convertGregorianToHijri(new Date(`${gregorianInput}T00:00:00Z`), location, onProgress, shouldCancel, { criterion })
+                : await convertHijriToGregorian(hijriYear, hijriMonth, hijriDay, location, onProgress, shouldCancel, { criterion });
+
+            if (converted) {
+                setResult({ ...converted, direction, location, criterion });
+            } else if (!cancelRef.current) {
+                setError('Could not convert this date. Please try another date or location.');
+            }
+        } catch (err) {
+            console.error('[Converter] Conversion failed:', err);
+            setError('Conversion failed. Please try again.');
+        } finally {
+            setIsConverting(false);
+        }
+    };
+
+    const handleCancel = () => {
+        cancelRef.current = true;
+    };
+
+    const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: '1rem', padding: '6px 0', borderBottom: '1px solid #1e293b' };
+    const labelStyle = { color: '#94a3b8' };
+
+    return (
+        <main className="content-page">
+            <div className="content-container">
+                <div className="seo-header">
+                    <h1>Hijri ⇄ Gregorian Date Converter</h1>
+                    <p>
+                        Find the Hijri date of a birthday, contract or any historical date — or the Gregorian date of a Hijri one. The result
+                        follows the crescent actually becoming visible at the chosen location, the same calculation as the lunar calendar, with
+                        the tabular and Umm al-Qura calendars shown beside it.
+                    </p>
+                </div>
+
+                <div className="modal-controls" style={{ marginTop: '1.5rem' }}>
+                    <div className="modal-input-group">
+                        <label htmlFor="converter-direction">Convert:</label>
+                        <select id="converter-direction" value={direction} onChange={(e) => setDirection(e.target.value)} disabled={isConverting}>
+                            <option value={DIRECTIONS.TO_HIJRI}>Gregorian → Hijri</option>
+                            <option value={DIRECTIONS.TO_GREGORIAN}>Hijri → Gregorian</option>
+                        </select>
+                    </div>
+
+                    {direction === DIRECTIONS.TO_HIJRI ? (
+                        <div className="modal-input-group">
+                            <label htmlFor="converter-gregorian">Gregorian Date:</label>
+                            <input
+                                id="converter-gregorian"
+                                type="date"
+                                value={gregorianInput}
+                                onChange={(e) => setGregorianInput(e.target.value)}
+                                disabled={isConverting}
+                            />
+                        </div>
+                    ) : (
+                        <>
+                            <div className="modal-input-group">
+                                <label htmlFor="converter-hijri-day">Day:</label>
+                                <input
+                                    id="converter-hijri-day"
+                                    type="number"
+                                    min="1"
+                                    max="30"
+                                    value={hijriDay}
+                                    onChange={(e) => setHijriDay(Math.max(1, Math.min(30, parseInt(e.target.value, 10) || 1)))}
+                                    disabled={isConverting}
+                                />
+                            </div>
+                            <div className="modal-input-group">
+                                <label htmlFor="converter-hijri-month">Month:</label>
+                                <select id="converter-hijri-month" value={hijriMonth} onChange={(e) => setHijriMonth(parseInt(e.target.value, 10))} disabled={isConverting}>
+                                    {ISLAMIC_MONTHS.map((name, idx) => (
+                                        <option key={name} value={idx + 1}>{idx + 1}. {name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="modal-input-group">
+                                <label htmlFor="converter-hijri-year">Year (AH):</label>
+                                <input
+                                    id="converter-hijri-year"
+                                    type="number"
+                                    min="1300"
+                                    max="1600"
+                                    value={hijriYear}
+                                    onChange={(e) => setHijriYear(parseInt(e.target.value, 10) || currentHijri.year)}
+                                    disabled={isConverting}
+                                />
+                            </div>
+                        </>
+                    )}
+
+                    <div className="modal-input-group">
+                        <label htmlFor="converter-location">Location:</label>
+                        <select id="converter-location" value={locationName} onChange={(e) => setLocationName(e.target.value)} disabled={isConverting}>
+                            {MAJOR_CITIES.map((city, idx) => (
+                                <option key={idx} value={city.name}>{city.name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="modal-input-group">
+                        <label htmlFor="converter-criterion">Criterion:</label>
+                        <select id="converter-criterion" value={criterion} onChange={(e) => setCriterion(e.target.value)} disabled={isConverting}>
+                            {Object.values(VISIBILITY_CRITERIA).map(c => (
+                                <option key={c.id} value={c.id}>{c.name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="modal-input-group">
+                        {isConverting ? (
+                            <button onClick={handleCancel} className="recalculate-button">
+                                Cancel ({progress}%)
+                            </button>
+                        ) : (
+                            <button onClick={handleConvert} disabled={direction === DIRECTIONS.TO_HIJRI && !gregorianInput} className="recalculate-button">
+                                Convert
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {error && <p style={{ color: '#f87171' }}>{error}</p>}
+
+                {result && (
+                    <div style={{ marginTop: '1.5rem', padding: '1rem 1.25rem', background: 'rgba(15, 23, 42, 0.6)', borderRadius: '8px', color: '#cbd5e1' }}>
+                        {result.invalidDay ? (
+                            <p style={{ margin: 0 }}>
+                                {result.hijri.monthName} {result.hijri.year} has only {result.monthLength} days at {result.location.name}: the next
+                                month&apos;s crescent is expected on the evening of day 29.
+                            </p>
+                        ) : (
+                            <>
+                                <h2 style={{ marginTop: 0, fontSize: '1.4rem' }}>
+                                    {result.direction === DIRECTIONS.TO_HIJRI ? formatHijri(result.hijri) : formatGregorian(result.gregorianDate)}
+                                </h2>
+                                <div style={rowStyle}>
+                                    <span style={labelStyle}>{result.direction === DIRECTIONS.TO_HIJRI ? 'Gregorian date' : 'Hijri date'}</span>
+                                    <span>{result.direction === DIRECTIONS.TO_HIJRI ? formatGregorian(result.gregorianDate) : formatHijri(result.hijri)}</span>
+                                </div>
+                                <div style={rowStyle}>
+                                    <span style={labelStyle}>Hijri day begins</span>
+                                    <span>At sunset on {formatGregorian(new Date(result.gregorianDate.getTime() - 24 * 60 * 60 * 1000))}</span>
+                                </div>
+                                <div style={rowStyle}>
+                                    <span style={labelStyle}>Night 1 of {result.hijri.monthName}</span>
+                                    <span>Evening of {formatGregorian(result.night1Date)} ({getNight1MethodLabel(result.night1Method)})</span>
+                                </div>
+                                <div style={rowStyle}>
+                                    <span style={labelStyle}>Month length</span>
+                                    <span>{result.monthLength} days</span>
+                                </div>
+                                <div style={rowStyle}>
+                                    <span style={labelStyle}>{REFERENCE_CALENDARS.TABULAR.name}</span>
+                                    <span>{result.direction === DIRECTIONS.TO_HIJRI ? formatHijri(result.tabular) : formatGregorian(result.tabular)}</span>
+                                </div>
+                                <div style={{ ...rowStyle, borderBottom: 'none' }}>
+                                    <span style={labelStyle}>{REFERENCE_CALENDARS.UMM_AL_QURA.name}</span>
+                                    <span>{result.direction === DIRECTIONS.TO_HIJRI ? formatHijri(result.ummAlQura) : formatGregorian(result.ummAlQura)}</span>
+                                </div>
+                            </>
+                        )}
+                        <p style={{ margin: '0.75rem 0 0', fontSize: '0.85rem', color: '#64748b' }}>
+                            Computed for {result.location.name} with the {VISIBILITY_CRITERIA[result.criterion]?.name || result.criterion}.
+                        </p>
+                    </div>
+                )}
+
+                <p style={{ lineHeight: '1.8', marginTop: '1.5rem', color: '#94a3b8', fontSize: '0.9rem' }}>
+                    Dates before a month was announced may have been fixed differently by the authorities at the time; the tabular calendar
+                    is the arithmetic approximation used by many software libraries. Learn more about the <Link to="/articles/hijri-calendar-history" style={{ color: '#38bdf8' }}>history of the Hijri calendar</Link> and
+                    how it <Link to="/articles/islamic-vs-gregorian-calendar" style={{ color: '#38bdf8' }}>differs from the Gregorian calendar</Link>.
+                </p>
+
+                <AdBanner dataAdSlot="5502376796" style={{ marginTop: '40px', marginBottom: '20px', maxWidth: '800px', marginLeft: 'auto', marginRight: 'auto' }} />
+            </div>
+        </main>
+    );
+}
+
+export default Converter;
@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import AdBanner from '../components/AdBanner';
+import { getPrevNewMoonConjunction } from '../utils/astronomy';
+import { getHijriMonthForConjunction, getHijriMonthConjunction, getNight1MethodLabel, getCountryPolicyLabel, predictCountryMonthStarts, ISLAMIC_MONTHS } from '../utils/lunarCalendar';
+
+// Months people usually look up, with the day their festival falls on
+const MONTH_OPTIONS = [
+    { month: 9, label: 'Ramadan (start of fasting)' },
+    { month: 10, label: 'Shawwal (Eid al-Fitr)', festival: { name: 'Eid al-Fitr', day: 1 } },
+    { month: 12, label: 'Dhul-Hijjah (Eid al-Adha)', festival: { name: 'Eid al-Adha', day: 10 } },
+    { month: 1, label: 'Muharram (Islamic New Year)' }
+];
+
+const formatDay = (date) => date
+    ? date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+    : '—';
+
+const addDays = (date, days) => {
+    if (!date) return null;
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+};
+
+/**
+ * Predicted official start of a lunar month in every country, each under its
+ * own moon-sighting policy (see src/data/countryPolicies.js).
+ */
+function CountryMonthStarts() {
+    const [hijriYear, setHijriYear] = useState(() => getHijriMonthForConjunction(getPrevNewMoonConjunction(new Date())).year);
+    const [hijriMonth, setHijriMonth] = useState(9);
+    // Results and errors are tagged with the month they belong to, so a stale
+    // result is never shown while the next month is being calculated
+    const [predictions, setPredictions] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const requestKey = `${hijriYear}-${hijriMonth}`;
+    const conjunction = useMemo(() => getHijriMonthConjunction(hijriYear, hijriMonth), [hijriYear, hijriMonth]);
+
+    useEffect(() => {
+        if (!conjunction) return undefined;
+        let cancelled = false;
+
+        predictCountryMonthStarts(conjunction, undefined, (done, total) => {
+            if (!cancelled) setProgress({ key: requestKey, done, total });
+        }, () => cancelled).then(result => {
+            if (cancelled || !result) return;
+            setPredictions({ key: requestKey, conjunction, rows: result });
+        }).catch(err => {
+            console.error('[CountryMonthStarts] Prediction failed:', err);
+            if (!cancelled) setError({ key: requestKey, message: 'Prediction failed. Please try again.' });
+        });
+
+        // Cancel the run when the month changes or the page unmounts
+        return () => { cancelled = true; };
+    }, [conjunction, requestKey]);
+
+    const errorMessage = !conjunction
+        ? 'Could not find the conjunction for this month.'
+        : (error?.key === requestKey ? error.message : null);
+    const current = predictions?.key === requestKey ? predictions : null;
+    const currentProgress = progress?.key === requestKey ? progress : null;
+
+    const option = MONTH_OPTIONS.find(o => o.month === hijriMonth);
+    const monthName = ISLAMIC_MONTHS[hijriMonth - 1];
+
+    // Countries per predicted first day, for the summary line
+    const startGroups = [];
+    current?.rows.forEach(row => {
+        const key = row.firstDay ? row.firstDay.toISOString().split('T')[0] : 'unknown';
+        const group = startGroups.find(g => g.key === key);
+        if (group) group.count++;
+        else startGroups.push({ key, firstDay: row.firstDay, count: 1 });
+    });
+
+    const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #1e293b', textAlign: 'left', verticalAlign: 'top' };
+
+    return (
+        <main className="content-page">
+            <div className="content-container">
+                <div className="seo-header">
+                    <h1>Ramadan & Eid Dates by Country</h1>
+                    <p>
+                        Predicted official start of {monthName} {hijriYear} AH in {current?.rows.length || 'each'} countries. Every country is
+                        calculated under its own usual policy — local crescent sighting, following Saudi Arabia, a calculated criterion such as
+                        MABIMS, or a global calendar — so neighbouring countries can start on different days.
+                    </p>
+                </div>
+
+                <div className="modal-controls" style={{ marginTop: '1.5rem' }}>
+                    <div className="modal-input-group">
+                        <label htmlFor="country-starts-month">Month:</label>
+                        <select id="country-starts-month" value={hijriMonth} onChange={(e) => setHijriMonth(parseInt(e.target.value, 10))}>
+                            {MONTH_OPTIONS.map(o => (
+                                <option key={o.month} value={o.month}>{o.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="modal-input-group">
+                        <label htmlFor="country-starts-year">Hijri Year:</label>
+                        <input
+                            id="country-starts-year"
+                            type="number"
+                            min="1300"
+                            max="1600"
+                            value={hijriYear}
+                            onChange={(e) => {
+                                const year = parseInt(e.target.value, 10);
+                                if (Number.isFinite(year) && year >= 1300 && year <= 1600) setHijriYear(year);
+                            }}
+                        />
+                    </div>
+                </div>
+
+                {errorMessage && <p style={{ color: '#f87171' }}>{errorMessage}</p>}
+
+                {!current && !errorMessage && (
+                    <p style={{ color: '#94a3b8' }}>
+                        Calculating{currentProgress ? ` (${currentProgress.done} of ${currentProgress.total} countries)` : ''}…
+                    </p>
+                )}
+
+                {current && (
+                    <>
+                        <p style={{ color: '#cbd5e1', lineHeight: '1.8' }}>
+                            Conjunction: {current.conjunction.toUTCString().replace('GMT', 'UTC')}
+                            <br />
+                            {startGroups.map(group => `${formatDay(group.firstDay)}: ${group.count} ${group.count === 1 ? 'country' : 'countries'}`).join(' · ')}
+                        </p>
+
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', color: '#cbd5e1' }}>
+                                <thead>
+                                    <tr style={{ color: '#94a3b8' }}>
+                                        <th style={cellStyle}>Country</th>
+                                        <th style={cellStyle}>1 {monthName}</th>
+                                        {option?.festival && <th style={cellStyle}>{option.festival.name}</th>}
+                                        <th style={cellStyle}>Policy</th>
+                                        <th style={cellStyle}>Basis</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {current.rows.map(row => (
+                                        <tr key={row.country}>
+                                            <td style={cellStyle}>
+                                                <strong>{row.country}</strong>
+                                                <div style={{ color: '#64748b', fontSize: '0.8rem' }}>{row.profile.authority}</div>
+                                            </td>
+                                            <td style={cellStyle}>{formatDay(row.firstDay)}</td>
+                                            {option?.festival && <td style={cellStyle}>{formatDay(addDays(row.firstDay, option.festival.day - 1))}</td>}
+                                            <td style={cellStyle}>
+                                                {getCountryPolicyLabel(row.profile)}
+                                                {row.profile.notes && <div style={{ color: '#64748b', fontSize: '0.8rem' }}>{row.profile.notes}</div>}
+                                            </td>
+                                            <td style={cellStyle}>
+                                                {row.method ? getNight1MethodLabel(row.method) : 'Not found'}
+                                                {row.sightedFrom && ` from ${row.sightedFrom}`}
+                                                {row.night1Date && <div style={{ color: '#64748b', fontSize: '0.8rem' }}>Night 1: evening of {formatDay(row.night1Date)}</div>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+
+                <p style={{ lineHeight: '1.8', marginTop: '1.5rem', color: '#94a3b8', fontSize: '0.9rem' }}>
+                    These are predictions, not announcements: committees decide on the night and communities within a country often
+                    follow different authorities. Read how <Link to="/articles/moon-sighting-committees" style={{ color: '#38bdf8' }}>moon sighting committees</Link> work,
+                    or calculate a full calendar for one country with the "Country policy" mode on the <Link to="/" style={{ color: '#38bdf8' }}>home page</Link>.
+                </p>
+
+                <AdBanner dataAdSlot="5502376796" style={{ marginTop: '40px', marginBottom: '20px', maxWidth: '800px', marginLeft: 'auto', marginRight: 'auto' }} />
+            </div>
+        </main>
+    );
+}
+
+export default CountryMonthStarts;
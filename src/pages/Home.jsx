@@ -1,44 +1,72 @@
 import React, { useState, useMemo } from 'react';
 import MoonMap from '../components/MoonMap';
+import SkyChart from '../components/SkyChart';
+import SensitivityReport from '../components/SensitivityReport';
 import LunarCalendarModal from '../components/LunarCalendarModal';
 import AdBanner from '../components/AdBanner'; // Import AdBanner
 import { MAJOR_CITIES } from '../data/cities';
 import { createCitySlug } from '../utils/cityUrls';
+import { VISIBILITY_CRITERIA, DEFAULT_CRITERION, DEFAULT_ATMOSPHERE, ATMOSPHERE_PRESETS, CONJUNCTION_MODES, DEFAULT_NIGHT_DEFINITION, getCriterion } from '../utils/astronomy';
 // import '../App.css'; // Removed as styles should still be available globally or we can import if needed
 
 function Home() {
     const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
     const [selectedCityName, setSelectedCityName] = useState('');
+    const [selectedCriterion, setSelectedCriterion] = useState(DEFAULT_CRITERION);
+    const [atmospherePreset, setAtmospherePreset] = useState('standard');
+    const [atmosphere, setAtmosphere] = useState(DEFAULT_ATMOSPHERE);
+    const [conjunctionMode, setConjunctionMode] = useState(CONJUNCTION_MODES.GEOCENTRIC);
     const [calculationTrigger, setCalculationTrigger] = useState(0);
     const [showCalendarModal, setShowCalendarModal] = useState(false);
     const [preservedCalendarData, setPreservedCalendarData] = useState(null);
     const [cameFromCalendar, setCameFromCalendar] = useState(false);
     const [highlightSharedNightCells, setHighlightSharedNightCells] = useState(null);
-    const [lastCalendarParams, setLastCalendarParams] = useState({ date: null, location: null });
-    const [lastVisibilityParams, setLastVisibilityParams] = useState({ date: null, location: null });
+    const [lastCalendarParams, setLastCalendarParams] = useState({ date: null, location: null, criterion: null });
+    const [lastVisibilityParams, setLastVisibilityParams] = useState({ date: null, location: null, criterion: null, atmosphere: null, conjunctionMode: null });
+
+    // Atmosphere settings only matter for physical criteria
+    const usesAtmosphere = getCriterion(selectedCriterion)?.usesAtmosphere === true;
+    const appliedAtmosphere = usesAtmosphere ? atmosphere : null;
 
     const handleCalculate = () => {
         setCalculationTrigger(prev => prev + 1);
         // Track the parameters used for this visibility calculation
         setLastVisibilityParams({
             date: selectedDate,
-            location: selectedCityName
+            location: selectedCityName,
+            criterion: selectedCriterion,
+            atmosphere: appliedAtmosphere,
+            conjunctionMode
         });
     };
 
+    const handleAtmospherePresetChange = (presetId) => {
+        setAtmospherePreset(presetId);
+        const preset = ATMOSPHERE_PRESETS[presetId];
+        if (preset) {
+            const { extinction, humidity, temperature, acuity } = preset;
+            setAtmosphere({ extinction, humidity, temperature, acuity });
+        }
+    };
+
+    const handleAtmosphereFieldChange = (field, value) => {
+        setAtmospherePreset('custom');
+        setAtmosphere(prev => ({ ...prev, [field]: Number(value) }));
+    };
+
     const handleViewNight1 = (night1Date, locationName, calendarData) => {
         // Preserve the calendar data before closing modal
         setPreservedCalendarData(calendarData);
         setCameFromCalendar(true);
 
-        // Extract the monthly data to check if Night 1 was via shared night inheritance
+        // Extract the monthly data to check if Night 1 was via shared night inheritance or a global rule
         const month = calendarData.months.find(m =>
             m.night1Date.toISOString().split('T')[0] === night1Date.toISOString().split('T')[0]
         );
 
-        // If Night 1 was detected via shared night, extract the inherited cells
-        if (month && month.night1Method === 'shared_night' && month.night1Details?.inheritedFromCells) {
-            console.log('[App] Night 1 via shared night, highlighting', month.night1Details.inheritedFromCells.length, 'cells');
+        // If Night 1 was detected via shared night or a global rule, extract the source cells
+        if (month && month.night1Details?.inheritedFromCells) {
+            console.log(`[App] Night 1 via ${month.night1Method}, highlighting`, month.night1Details.inheritedFromCells.length, 'cells');
             setHighlightSharedNightCells(month.night1Details.inheritedFromCells);
         } else {
             console.log('[App] Night 1 via direct visibility, no cell highlighting');
@@ -50,12 +78,23 @@ function Home() {
         setSelectedDate(dateStr);
         // Set the location
         setSelectedCityName(locationName);
+        // Show the map under the criterion the calendar was calculated with
+        const calendarCriterion = calendarData.criterion || DEFAULT_CRITERION;
+        setSelectedCriterion(calendarCriterion);
+        // Calendars are calculated with the default atmosphere
+        const calendarAtmosphere = getCriterion(calendarCriterion)?.usesAtmosphere ? DEFAULT_ATMOSPHERE : null;
+        setAtmospherePreset('standard');
+        setAtmosphere(DEFAULT_ATMOSPHERE);
+        // ...and the map follows the calendar's conjunction rule
+        const calendarConjunctionMode = calendarData.conjunctionMode || CONJUNCTION_MODES.GEOCENTRIC;
+        setConjunctionMode(calendarConjunctionMode);
 
         // Update both parameter trackers since we're navigating to a specific date/location
         // and we already have the calendar data for these params
         setLastCalendarParams({
             date: dateStr,
-            location: locationName
+            location: locationName,
+            criterion: calendarCriterion
         });
 
         // Close the modal
@@ -66,7 +105,12 @@ function Home() {
             // Also update visibility params after calculation is triggered
             setLastVisibilityParams({
                 date: dateStr,
-                location: locationName
+                location: locationName,
+                criterion: calendarCriterion,
+                atmosphere: calendarAtmosphere,
+                conjunctionMode: calendarConjunctionMode,
+                // Shared-night cells follow the calendar's night definition
+                nightDefinition: calendarData.nightDefinition || DEFAULT_NIGHT_DEFINITION
             });
         }, 100);
     };
@@ -103,11 +147,12 @@ function Home() {
         setShowCalendarModal(true);
     };
 
-    const handleCalendarCalculated = (date, location) => {
+    const handleCalendarCalculated = (date, location, criterion) => {
         // Track the parameters after successful calendar calculation
         setLastCalendarParams({
             date: date,
-            location: location
+            location: location,
+            criterion: criterion
         });
     };
 
@@ -126,15 +171,28 @@ function Home() {
         return isNaN(d.getTime()) ? null : d;
     }, [selectedDate]);
 
+    // Sky chart follows the last calculated city and evening, not the unsaved inputs
+    const calculatedCity = lastVisibilityParams.location
+        ? MAJOR_CITIES.find(c => c.name === lastVisibilityParams.location)
+        : null;
+    const calculatedDate = useMemo(() => {
+        const d = lastVisibilityParams.date ? new Date(lastVisibilityParams.date) : null;
+        return d && !isNaN(d.getTime()) ? d : null;
+    }, [lastVisibilityParams.date]);
+
     // Check if calendar parameters have changed from last calculation
     const calendarParamsChanged =
         lastCalendarParams.date !== selectedDate ||
-        lastCalendarParams.location !== selectedCityName;
+        lastCalendarParams.location !== selectedCityName ||
+        lastCalendarParams.criterion !== selectedCriterion;
 
     // Check if visibility parameters have changed from last calculation
     const visibilityParamsChanged =
         lastVisibilityParams.date !== selectedDate ||
-        lastVisibilityParams.location !== selectedCityName;
+        lastVisibilityParams.location !== selectedCityName ||
+        lastVisibilityParams.criterion !== selectedCriterion ||
+        JSON.stringify(lastVisibilityParams.atmosphere) !== JSON.stringify(appliedAtmosphere) ||
+        lastVisibilityParams.conjunctionMode !== conjunctionMode;
 
     return (
         <>
@@ -166,6 +224,71 @@ function Home() {
                         </select>
                     </div>
 
+                    <div className="input-group">
+                        <label htmlFor="criterion-selector">Criterion:</label>
+                        <select
+                            id="criterion-selector"
+                            value={selectedCriterion}
+                            onChange={(e) => setSelectedCriterion(e.target.value)}
+                        >
+                            {Object.values(VISIBILITY_CRITERIA).map(criterion => (
+                                <option key={criterion.id} value={criterion.id}>
+                                    {criterion.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="input-group">
+                        <label htmlFor="conjunction-mode-selector">Conjunction Rule:</label>
+                        <select
+                            id="conjunction-mode-selector"
+                            value={conjunctionMode}
+                            onChange={(e) => setConjunctionMode(e.target.value)}
+                        >
+                            <option value={CONJUNCTION_MODES.GEOCENTRIC}>Geocentric conjunction</option>
+                            <option value={CONJUNCTION_MODES.TOPOCENTRIC}>Topocentric conjunction</option>
+                        </select>
+                    </div>
+
+                    {usesAtmosphere && (
+                        <>
+                            <div className="input-group">
+                                <label htmlFor="atmosphere-preset-selector">Atmosphere:</label>
+                                <select
+                                    id="atmosphere-preset-selector"
+                                    value={atmospherePreset}
+                                    onChange={(e) => handleAtmospherePresetChange(e.target.value)}
+                                >
+                                    {Object.values(ATMOSPHERE_PRESETS).map(preset => (
+                                        <option key={preset.id} value={preset.id}>
+                                            {preset.name}
+                                        </option>
+                                    ))}
+                                    <option value="custom">Custom</option>
+                                </select>
+                            </div>
+
+                            {[
+                                { field: 'extinction', label: 'Extinction (mag/airmass):', step: '0.01', min: '0' },
+                                { field: 'humidity', label: 'Humidity (%):', step: '1', min: '0', max: '100' },
+                                { field: 'temperature', label: 'Temperature (°C):', step: '1' },
+                                { field: 'acuity', label: 'Observer Acuity Factor:', step: '0.1', min: '0.5' }
+                            ].map(({ field, label, ...inputProps }) => (
+                                <div className="input-group" key={field}>
+                                    <label htmlFor={`atmosphere-${field}`}>{label}</label>
+                                    <input
+                                        id={`atmosphere-${field}`}
+                                        type="number"
+                                        value={atmosphere[field]}
+                                        onChange={(e) => handleAtmosphereFieldChange(field, e.target.value)}
+                                        {...inputProps}
+                                    />
+                                </div>
+                            ))}
+                        </>
+                    )}
+
                     <div className="input-group">
                         <button
                             onClick={handleCalculate}
@@ -194,7 +317,7 @@ function Home() {
                                     e.target.style.backgroundColor = '#3b82f6';
                                 }
                             }}
-                            title={!visibilityParamsChanged ? 'Visibility already calculated for this date and location' : ''}
+                            title={!visibilityParamsChanged ? 'Visibility already calculated for this date, location and criterion' : ''}
                         >
                             Calculate Visibility
                         </button>
@@ -257,12 +380,25 @@ function Home() {
 
                 <section className="visualization-section">
                     {dateObj ? (
-                        <MoonMap
-                            date={dateObj}
-                            calculationTrigger={calculationTrigger}
-                            selectedCity={selectedCity}
-                            highlightSharedNightCells={highlightSharedNightCells}
-                        />
+                        <>
+                            <MoonMap
+                                date={dateObj}
+                                calculationTrigger={calculationTrigger}
+                                selectedCity={selectedCity}
+                                highlightSharedNightCells={highlightSharedNightCells}
+                                criterion={selectedCriterion}
+                                atmosphere={lastVisibilityParams.atmosphere}
+                                conjunctionMode={lastVisibilityParams.conjunctionMode || CONJUNCTION_MODES.GEOCENTRIC}
+                                nightDefinition={lastVisibilityParams.nightDefinition || DEFAULT_NIGHT_DEFINITION}
+                            />
+                            {/* Where to point for the calculated city and evening */}
+                            {calculatedCity && calculatedDate && (
+                                <>
+                                    <SkyChart date={calculatedDate} city={calculatedCity} criterion={lastVisibilityParams.criterion} />
+                                    <SensitivityReport date={calculatedDate} city={calculatedCity} criterion={lastVisibilityParams.criterion} />
+                                </>
+                            )}
+                        </>
                     ) : (
                         <div style={{ padding: '40px', textAlign: 'center', color: '#94a3b8' }}>
                             <p>Please enter a valid date to view moon visibility</p>
@@ -399,6 +535,7 @@ function Home() {
                 onClose={handleCloseCalendar}
                 initialDate={initialDateObj}
                 initialLocation={selectedCity}
+                initialCriterion={selectedCriterion}
                 onViewNight1={handleViewNight1}
                 onCalendarCalculated={handleCalendarCalculated}
                 preservedCalendarData={preservedCalendarData}
@@ -5,6 +5,11 @@
  * This implementation is based on the scientific algorithms published in:
  * "New Criterion for Lunar Crescent Visibility", Experimental Astronomy, 18, 39-64.
  * 
+ * The Yallop (1997) q-test from NAO Technical Note 69 is available as an
+ * alternative criterion through VISIBILITY_CRITERIA.
+ * A physical contrast model in the spirit of Schaefer (1988, 1991) is also
+ * registered; it returns a detection probability instead of a geometric score.
+ * 
  */
 import * as Astronomy from 'astronomy-engine';
 
@@ -37,6 +42,93 @@ export function getLongitudeBasedTimezone(lon) {
     return Math.sign(lon) * Math.round(Math.abs(lon) / 15);
 }
 
+/**
+ * How "the evening of date X" is mapped to a UTC window.
+ * LONGITUDE uses round(lon / 15); CIVIL uses the location's IANA zone (DST-aware).
+ */
+export const TIME_ZONE_MODES = {
+    LONGITUDE: 'longitude',
+    CIVIL: 'civil'
+};
+
+const timeZoneFormatters = new Map();
+
+function getTimeZoneFormatter(timeZone) {
+    if (!timeZoneFormatters.has(timeZone)) {
+        timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return timeZoneFormatters.get(timeZone);
+}
+
+/**
+ * UTC offset in hours of an IANA time zone at the given instant (DST included).
+ * @param {string} timeZone - IANA zone name, e.g. 'Asia/Tehran'
+ * @param {Date} instant - Moment at which to evaluate the offset
+ * @returns {number|null} Offset in hours (e.g. 3.5), or null if the zone is unknown
+ */
+export function getTimeZoneOffsetHours(timeZone, instant) {
+    try {
+        const parts = getTimeZoneFormatter(timeZone).formatToParts(instant);
+        const get = (type) => Number(parts.find(p => p.type === type).value);
+        const wallClockAsUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        const wholeSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+        return (wallClockAsUTC - wholeSeconds) / (3600 * 1000);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Resolve the UTC offset used to interpret the local calendar date at a location.
+ * With an IANA zone, the offset is the civil one in force at local noon of that
+ * date; without one (or if the zone is unknown) the longitude-based offset is used.
+ *
+ * @param {number} lon - Longitude in degrees
+ * @param {Date} date - Local calendar date (UTC midnight)
+ * @param {string|null} timeZone - IANA zone name, or null for longitude-based
+ * @returns {Object} { tzHours: number, timeZone: string|null }
+ */
+export function resolveLocalOffset(lon, date, timeZone = null) {
+    const longitudeHours = getLongitudeBasedTimezone(lon);
+    if (!timeZone) {
+        return { tzHours: longitudeHours, timeZone: null };
+    }
+
+    // Two passes: the first guess lands near local noon, the second pins the offset there
+    const firstGuess = getTimeZoneOffsetHours(timeZone, new Date(date.getTime() + (12 - longitudeHours) * 3600 * 1000));
+    if (firstGuess === null) {
+        console.warn(`Unknown time zone "${timeZone}", falling back to longitude-based offset`);
+        return { tzHours: longitudeHours, timeZone: null };
+    }
+
+    const tzHours = getTimeZoneOffsetHours(timeZone, new Date(date.getTime() + (12 - firstGuess) * 3600 * 1000));
+    return { tzHours, timeZone };
+}
+
+/**
+ * Local calendar date of an instant at a location, as UTC midnight of that date
+ * (the form getVisibility, getNightWindow and getDailyAlmanac take).
+ * @param {Date} instant - Moment in time (e.g. now)
+ * @param {number} lon - Longitude in degrees
+ * @param {string|null} timeZone - IANA zone name, or null for longitude-based
+ * @returns {Date} UTC midnight of the local date
+ */
+export function getLocalCalendarDate(instant, lon, timeZone = null) {
+    const civilHours = timeZone ? getTimeZoneOffsetHours(timeZone, instant) : null;
+    const tzHours = civilHours ?? getLongitudeBasedTimezone(normalizeLon(lon));
+    const local = new Date(instant.getTime() + tzHours * 3600 * 1000);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+}
+
 /**
  * Find the New Moon conjunction date before the given date.
  */
@@ -55,6 +147,32 @@ export function getNextNewMoonConjunction(date) {
     return nm ? nm.date : null;
 }
 
+/**
+ * Clamp an observer elevation (metres above sea level) to a usable value.
+ * Missing, non-numeric or negative elevations fall back to sea level.
+ */
+export function normalizeElevation(elevation) {
+    const meters = Number(elevation);
+    return Number.isFinite(meters) && meters > 0 ? meters : 0;
+}
+
+/**
+ * Create an observer at the given elevation (metres above sea level).
+ */
+export function createObserver(lat, lon, elevation = 0) {
+    return new Astronomy.Observer(lat, lon, normalizeElevation(elevation));
+}
+
+/**
+ * Rise/set search that applies the geometric dip of the horizon.
+ * The observer's elevation is treated as height above the visible horizon
+ * (hilltop, minaret or aircraft over open terrain), so an elevated observer
+ * sees the Sun and Moon set later than one at sea level.
+ */
+export function searchRiseSet(body, observer, direction, startTime, limitDays) {
+    return Astronomy.SearchRiseSet(body, observer, direction, startTime, limitDays, observer.height);
+}
+
 /**
  * Find the Next Full Moon date after the given date.
  * Returns a JS Date object (which has the UTC timestamp).
@@ -106,19 +224,109 @@ export function getGeocentricConjunction(date) {
     }
 }
 
+/**
+ * Which conjunction drives the "conjunction after sunset" impossibility rule.
+ * GEOCENTRIC uses the Earth-centre new moon; TOPOCENTRIC uses the moment the
+ * Sun and Moon share the same apparent ecliptic longitude for the observer.
+ */
+export const CONJUNCTION_MODES = {
+    GEOCENTRIC: 'geocentric',
+    TOPOCENTRIC: 'topocentric'
+};
+
+/**
+ * Topocentric apparent ecliptic longitude (true ecliptic of date), in degrees.
+ */
+function getTopocentricEclipticLongitude(body, time, observer) {
+    const equ = Astronomy.Equator(body, time, observer, true, true);
+    const ecliptic = Astronomy.RotateVector(Astronomy.Rotation_EQD_ECT(time), equ.vec);
+    return Astronomy.SphereFromVector(ecliptic).lon;
+}
+
+/**
+ * Find the topocentric conjunction for an observer near a geocentric conjunction:
+ * the moment the topocentric apparent ecliptic longitudes of Sun and Moon coincide.
+ * Lunar parallax moves it by up to about two hours from the geocentric time.
+ *
+ * @param {Astronomy.Observer} observer - Observer location
+ * @param {Date} geocentricConjunction - Nearby geocentric conjunction
+ * @returns {Date|null} Topocentric conjunction time, or null if the search fails
+ */
+export function getTopocentricConjunction(observer, geocentricConjunction) {
+    try {
+        const SEARCH_HOURS = 6;
+        const longitudeGap = (time) => {
+            const gap = getTopocentricEclipticLongitude('Moon', time, observer) - getTopocentricEclipticLongitude('Sun', time, observer);
+            return ((gap + 540) % 360) - 180; // wrap to [-180, 180)
+        };
+
+        const start = new Astronomy.AstroTime(new Date(geocentricConjunction.getTime() - SEARCH_HOURS * 3600 * 1000));
+        const end = new Astronomy.AstroTime(new Date(geocentricConjunction.getTime() + SEARCH_HOURS * 3600 * 1000));
+        const result = Astronomy.Search(longitudeGap, start, end, { dt_tolerance_seconds: 1 });
+
+        return result ? result.date : null;
+    } catch (err) {
+        console.error('Error finding topocentric conjunction:', err);
+        return null;
+    }
+}
+
+/**
+ * Definitions of the night used for shared-night checks: it always starts at
+ * sunset and ends at dawn (the Sun rising through `dawnAngle` below the horizon)
+ * or at sunrise. 'fajr' takes a custom angle for the Fajr position of a school.
+ */
+export const NIGHT_DEFINITIONS = {
+    astronomical: { id: 'astronomical', name: 'Sunset to astronomical dawn (Sun at -18°)', end: 'dawn', dawnAngle: 18 },
+    nautical: { id: 'nautical', name: 'Sunset to nautical dawn (Sun at -12°)', end: 'dawn', dawnAngle: 12 },
+    sunrise: { id: 'sunrise', name: 'Sunset to sunrise', end: 'sunrise' },
+    fajr: { id: 'fajr', name: 'Sunset to Fajr (custom angle)', end: 'dawn', dawnAngle: 18 }
+};
+
+export const DEFAULT_NIGHT_DEFINITION = 'astronomical';
+
+/**
+ * Resolve a night definition id or { id, dawnAngle } object into a full definition.
+ * Only 'fajr' accepts a custom dawnAngle; unknown ids fall back to the default.
+ * @param {string|Object} definition - Id from NIGHT_DEFINITIONS or { id, dawnAngle }
+ * @returns {Object} { id, name, end, dawnAngle? }
+ */
+export function resolveNightDefinition(definition = DEFAULT_NIGHT_DEFINITION) {
+    const id = typeof definition === 'string' ? definition : definition?.id;
+    const base = NIGHT_DEFINITIONS[id] || NIGHT_DEFINITIONS[DEFAULT_NIGHT_DEFINITION];
+    if (base.id !== NIGHT_DEFINITIONS.fajr.id) return base;
+
+    const requested = Number(definition?.dawnAngle);
+    const dawnAngle = Number.isFinite(requested) && requested > 0 ? requested : base.dawnAngle;
+    return { ...base, name: `Sunset to Fajr (Sun at -${dawnAngle}°)`, dawnAngle };
+}
+
 /**
  * Find when morning astronomical twilight starts (sun ascends to -18° before sunrise).
- * This defines the end of the night window.
+ * This defines the end of the default night window.
  * 
  * @param {Astronomy.Observer} observer - Observer location
  * @param {Date} sunsetTime - The sunset time (used to find the next sunrise)
  * @returns {Date|null} Time when sun reaches -18° altitude in the morning, or null if not found
  */
 export function getAstronomicalTwilightStart(observer, sunsetTime) {
+    return getMorningTwilightStart(observer, sunsetTime, 18);
+}
+
+/**
+ * Find when morning twilight starts at a given Sun depression (sun ascends to
+ * -depression° before sunrise).
+ *
+ * @param {Astronomy.Observer} observer - Observer location
+ * @param {Date} sunsetTime - The sunset time (used to find the next sunrise)
+ * @param {number} depression - Degrees below the horizon (18 astronomical, 12 nautical)
+ * @returns {Date|null} Time when sun reaches -depression° in the morning, or null if not found
+ */
+export function getMorningTwilightStart(observer, sunsetTime, depression = 18) {
     try {
         // First, find sunrise after the given sunset
         const sunsetAstroTime = new Astronomy.AstroTime(sunsetTime);
-        const sunriseResult = Astronomy.SearchRiseSet('Sun', observer, 1, sunsetAstroTime, 1);
+        const sunriseResult = searchRiseSet('Sun', observer, 1, sunsetAstroTime, 1);
 
         if (!sunriseResult) {
             return null; // No sunrise (polar regions)
@@ -126,16 +334,16 @@ export function getAstronomicalTwilightStart(observer, sunsetTime) {
 
         const sunriseTime = sunriseResult.date;
 
-        // Now search BACKWARD from sunrise to find when sun reaches -18° while ascending
-        // This is when morning astronomical twilight begins
-        // Search direction +1 means we're looking for sun ASCENDING through -18°
+        // Now search BACKWARD from sunrise to find when sun reaches -depression° while ascending
+        // This is when morning twilight begins
+        // Search direction +1 means we're looking for sun ASCENDING through -depression°
         const sunriseAstroTime = new Astronomy.AstroTime(sunriseTime);
 
         // Search backward up to 12 hours before sunrise
-        const result = Astronomy.SearchAltitude('Sun', observer, +1, sunriseAstroTime, -12, -18);
+        const result = Astronomy.SearchAltitude('Sun', observer, +1, sunriseAstroTime, -12, -depression);
 
         if (!result) {
-            return null; // Sun doesn't reach -18° (high latitude summer)
+            return null; // Sun doesn't reach -depression° (high latitude summer)
         }
 
         // Validate: the result should be AFTER sunset and BEFORE sunrise
@@ -145,7 +353,7 @@ export function getAstronomicalTwilightStart(observer, sunsetTime) {
 
         return result.date;
     } catch (err) {
-        console.error('Error calculating morning astronomical twilight start:', err);
+        console.error(`Error calculating morning twilight start at -${depression}°:`, err);
         return null;
     }
 }
@@ -175,22 +383,29 @@ export function getAstronomicalTwilightEnd(observer, sunsetTime) {
 
 /**
  * Get the night window for a location on a given date.
- * Night window = [evening sunset, morning astronomical twilight start)
- * Morning astronomical twilight starts when sun reaches -18° while ascending (before sunrise).
+ * Night window = [evening sunset, end of night) where the end depends on the
+ * night definition: by default morning astronomical twilight start (sun reaches
+ * -18° while ascending, before sunrise), otherwise another dawn angle or sunrise.
+ * Where the Sun never reaches the dawn angle, sunrise ends the night.
  * 
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @param {Date} date - Reference date
  * @param {Date} knownSunset - Optional pre-calculated sunset time (UTC)
- * @returns {Object|null} { nightStart: Date, nightEnd: Date, lat, lon } or null
+ * @param {number} elevation - Observer elevation in metres (default 0)
+ * @param {string|null} timeZone - IANA zone for civil local dates (default: longitude-based)
+ * @param {string|Object} nightDefinition - Id from NIGHT_DEFINITIONS or { id, dawnAngle } (default: astronomical)
+ * @returns {Object|null} { nightStart: Date, nightEnd: Date, lat, lon, tzHours, timeZone, nightDefinition } or null
  */
-export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSunset = null) {
+export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSunset = null, elevation = 0, timeZone = null, nightDefinition = DEFAULT_NIGHT_DEFINITION) {
     try {
+        const definition = resolveNightDefinition(nightDefinition);
         lon = normalizeLon(lon);
-        const observer = new Astronomy.Observer(lat, lon, 0);
+        const observer = createObserver(lat, lon, elevation);
 
-        // Get local timezone for this longitude
-        const tzHours = getLongitudeBasedTimezone(lon);
+        // Get local timezone (civil zone if given, otherwise longitude-based)
+        const local = resolveLocalOffset(lon, date, timeZone);
+        const tzHours = local.tzHours;
 
         let sunsetTime;
 
@@ -204,20 +419,22 @@ export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSun
             const localNoonUTC = new Date(date.getTime() + hoursToLocalNoon * 3600 * 1000);
             const searchStartTime = new Astronomy.AstroTime(localNoonUTC);
 
-            const sunsetResult = Astronomy.SearchRiseSet('Sun', observer, -1, searchStartTime, 1);
+            const sunsetResult = searchRiseSet('Sun', observer, -1, searchStartTime, 1);
             if (!sunsetResult) {
                 return null; // No sunset (polar regions)
             }
             sunsetTime = sunsetResult.date;
         }
 
-        // Find morning astronomical twilight start
-        const twilightStart = getAstronomicalTwilightStart(observer, sunsetTime);
+        // Find morning twilight start at the definition's dawn angle (sunrise-ended nights skip this)
+        const twilightStart = definition.end === 'dawn'
+            ? getMorningTwilightStart(observer, sunsetTime, definition.dawnAngle)
+            : null;
         if (!twilightStart) {
-            // Morning astronomical twilight doesn't start (sun doesn't reach -18°)
-            // This happens at high latitudes in summer
+            // Night ends at sunrise, or morning twilight doesn't start (sun doesn't reach the dawn angle)
+            // The latter happens at high latitudes in summer
             // Use sunrise as approximation, but search within same night only
-            const sunriseResult = Astronomy.SearchRiseSet('Sun', observer, 1, sunsetTime, 1);
+            const sunriseResult = searchRiseSet('Sun', observer, 1, sunsetTime, 1);
             if (!sunriseResult) {
                 return null; // Polar night/day
             }
@@ -233,7 +450,10 @@ export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSun
                     nightStart: sunsetTime,
                     nightEnd: new Date(sunsetTime.getTime() + 12 * 3600 * 1000),
                     lat,
-                    lon
+                    lon,
+                    tzHours,
+                    timeZone: local.timeZone,
+                    nightDefinition: definition.id
                 };
             }
 
@@ -242,7 +462,10 @@ export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSun
                 nightStart: sunsetTime,
                 nightEnd: sunriseResult.date,
                 lat,
-                lon
+                lon,
+                tzHours,
+                timeZone: local.timeZone,
+                nightDefinition: definition.id
             };
         }
 
@@ -250,7 +473,10 @@ export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSun
             nightStart: sunsetTime,
             nightEnd: twilightStart,
             lat,
-            lon
+            lon,
+            tzHours,
+            timeZone: local.timeZone,
+            nightDefinition: definition.id
         };
     } catch (err) {
         console.error(`Error calculating night window at ${lat},${lon}:`, err);
@@ -258,21 +484,126 @@ export function getNightWindow(lat, lon, date, _conjunctionTime = null, knownSun
     }
 }
 
+/**
+ * Which way a sighting may be inherited, by the sighting location's sunset
+ * relative to the inheriting location's: earlier sunset lies to the east,
+ * later sunset to the west.
+ */
+export const SHARED_NIGHT_DIRECTIONS = {
+    ANY: 'any',
+    FROM_EAST: 'from-east',
+    FROM_WEST: 'from-west'
+};
+
+/**
+ * Rules for when a sighting elsewhere counts for a location's night. The
+ * default accepts any positive overlap in either direction at any distance.
+ */
+export const DEFAULT_SHARED_NIGHT_POLICY = {
+    minOverlapMinutes: 0,
+    direction: SHARED_NIGHT_DIRECTIONS.ANY,
+    maxDistanceKm: null,
+    sameContinent: false
+};
+
+/**
+ * Bounding boxes approximating the continents for the same-continent rule
+ * (the grid has no land mask). Checked in order, so the Arabian Peninsula, the
+ * Levant and Iberia are claimed before the African box; cells in open ocean
+ * belong to no continent and never pass the rule.
+ */
+const CONTINENT_REGIONS = [
+    { continent: 'north-america', latMin: 15, latMax: 84, lonMin: -170, lonMax: -52 },
+    { continent: 'north-america', latMin: 7, latMax: 15, lonMin: -92, lonMax: -60 },
+    { continent: 'south-america', latMin: -56, latMax: 13, lonMin: -82, lonMax: -34 },
+    { continent: 'asia', latMin: 12, latMax: 20, lonMin: 42, lonMax: 60 }, // Yemen and Oman
+    { continent: 'asia', latMin: 20, latMax: 37, lonMin: 36, lonMax: 60 }, // Arabia and Mesopotamia
+    { continent: 'asia', latMin: 29, latMax: 37, lonMin: 34, lonMax: 36 }, // Levant
+    { continent: 'europe', latMin: 36, latMax: 44, lonMin: -10, lonMax: 3 }, // Iberia
+    { continent: 'africa', latMin: -35, latMax: 37.5, lonMin: -18, lonMax: 52 },
+    { continent: 'europe', latMin: 35, latMax: 72, lonMin: -25, lonMax: 26 },
+    { continent: 'europe', latMin: 45, latMax: 72, lonMin: 26, lonMax: 60 },
+    { continent: 'oceania', latMin: -50, latMax: -11, lonMin: 110, lonMax: 180 },
+    { continent: 'oceania', latMin: -11, latMax: 0, lonMin: 141, lonMax: 180 },
+    { continent: 'asia', latMin: -11, latMax: 82, lonMin: 26, lonMax: 180 }
+];
+
+/**
+ * Continent of a location from CONTINENT_REGIONS
+ * @returns {string|null} Continent id or null for open ocean
+ */
+export function getContinent(lat, lon) {
+    lon = normalizeLon(lon);
+    const region = CONTINENT_REGIONS.find(r =>
+        lat >= r.latMin && lat <= r.latMax && lon >= r.lonMin && lon <= r.lonMax
+    );
+    return region ? region.continent : null;
+}
+
+const EARTH_RADIUS_KM = 6371; // Mean radius
+
+/**
+ * Great-circle distance between two locations (spherical Earth)
+ * @returns {number} Distance in km
+ */
+export function getGreatCircleDistanceKm(latA, lonA, latB, lonB) {
+    const toRad = Math.PI / 180;
+    const dLat = (latB - latA) * toRad;
+    const dLon = (lonB - lonA) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(latA * toRad) * Math.cos(latB * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Fill in a partial shared-night policy; invalid limits are dropped.
+ * @param {Object} policy - { minOverlapMinutes, direction, maxDistanceKm, sameContinent }
+ * @returns {Object} Full policy
+ */
+export function resolveSharedNightPolicy(policy = DEFAULT_SHARED_NIGHT_POLICY) {
+    const minOverlap = Number(policy?.minOverlapMinutes);
+    const maxDistance = policy?.maxDistanceKm === null || policy?.maxDistanceKm === '' ? NaN : Number(policy?.maxDistanceKm);
+    return {
+        minOverlapMinutes: Number.isFinite(minOverlap) && minOverlap > 0 ? minOverlap : 0,
+        direction: Object.values(SHARED_NIGHT_DIRECTIONS).includes(policy?.direction) ? policy.direction : SHARED_NIGHT_DIRECTIONS.ANY,
+        maxDistanceKm: Number.isFinite(maxDistance) && maxDistance > 0 ? maxDistance : null,
+        sameContinent: !!policy?.sameContinent
+    };
+}
+
+/**
+ * Describe a shared-night policy for the calendar and PDF
+ * @param {Object} policy - Shared-night policy (partial policies are resolved)
+ * @returns {string} e.g. "Overlap ≥ 60 min, from the east only, within 2000 km"
+ */
+export function describeSharedNightPolicy(policy) {
+    const resolved = resolveSharedNightPolicy(policy);
+    const parts = [resolved.minOverlapMinutes > 0 ? `Overlap ≥ ${resolved.minOverlapMinutes} min` : 'Any overlap'];
+    if (resolved.direction === SHARED_NIGHT_DIRECTIONS.FROM_EAST) parts.push('from the east only (earlier sunset)');
+    else if (resolved.direction === SHARED_NIGHT_DIRECTIONS.FROM_WEST) parts.push('from the west only (later sunset)');
+    else parts.push('either direction');
+    if (resolved.maxDistanceKm) parts.push(`within ${resolved.maxDistanceKm} km`);
+    if (resolved.sameContinent) parts.push('same continent');
+    return parts.join(', ');
+}
+
 /**
  * Calculate if two cells share the night.
- * Two cells share the night if their night windows overlap by any positive duration.
+ * By default two cells share the night if their night windows overlap by any
+ * positive duration; a policy adds a minimum overlap, a sunset direction, a
+ * maximum distance or a same-continent rule.
  * 
  * Efficient implementation: O(1) comparison
  * 
- * @param {Object} cellA - Cell with nightStart and nightEnd (Date objects)
- * @param {Object} cellB - Cell with nightStart and nightEnd (Date objects)
- * @returns {Object} { sharedNight: boolean, overlapDuration: number (minutes) }
+ * @param {Object} cellA - Inheriting cell with nightStart and nightEnd (Date objects), lat and lon
+ * @param {Object} cellB - Sighting cell with nightStart and nightEnd (Date objects), lat and lon
+ * @param {Object} policy - Shared-night policy (default: DEFAULT_SHARED_NIGHT_POLICY)
+ * @returns {Object} { sharedNight: boolean, overlapDuration: number (minutes), rejectedBy: string|null }
  */
-export function calculateSharedNight(cellA, cellB) {
+export function calculateSharedNight(cellA, cellB, policy = DEFAULT_SHARED_NIGHT_POLICY) {
     // Handle null or missing night windows
     if (!cellA || !cellB || !cellA.nightStart || !cellA.nightEnd ||
         !cellB.nightStart || !cellB.nightEnd) {
-        return { sharedNight: false, overlapDuration: 0 };
+        return { sharedNight: false, overlapDuration: 0, rejectedBy: 'overlap' };
     }
 
     // Convert to timestamps for comparison
@@ -288,44 +619,627 @@ export function calculateSharedNight(cellA, cellB) {
     const overlap_start = Math.max(A_start, B_start);
     const overlap_end = Math.min(A_end, B_end);
 
-    if (overlap_start < overlap_end) {
-        const overlapDuration = (overlap_end - overlap_start) / (1000 * 60); // minutes
-        return { sharedNight: true, overlapDuration };
+    if (overlap_start >= overlap_end) {
+        return { sharedNight: false, overlapDuration: 0, rejectedBy: 'overlap' };
+    }
+
+    const overlapDuration = (overlap_end - overlap_start) / (1000 * 60); // minutes
+    const rejectedBy = getSharedNightPolicyRejection(cellA, cellB, overlapDuration, policy);
+    return { sharedNight: rejectedBy === null, overlapDuration, rejectedBy };
+}
+
+/**
+ * First policy rule that an overlapping pair of cells fails
+ * @returns {string|null} 'overlap', 'direction', 'distance', 'continent' or null when the pair qualifies
+ */
+export function getSharedNightPolicyRejection(cellA, cellB, overlapDuration, policy = DEFAULT_SHARED_NIGHT_POLICY) {
+    const { minOverlapMinutes, direction, maxDistanceKm, sameContinent } = resolveSharedNightPolicy(policy);
+
+    if (overlapDuration < minOverlapMinutes) return 'overlap';
+
+    const sunsetA = new Date(cellA.nightStart).getTime();
+    const sunsetB = new Date(cellB.nightStart).getTime();
+    if (direction === SHARED_NIGHT_DIRECTIONS.FROM_EAST && sunsetB >= sunsetA) return 'direction';
+    if (direction === SHARED_NIGHT_DIRECTIONS.FROM_WEST && sunsetB <= sunsetA) return 'direction';
+
+    if (maxDistanceKm && getGreatCircleDistanceKm(cellA.lat, cellA.lon, cellB.lat, cellB.lon) > maxDistanceKm) return 'distance';
+
+    if (sameContinent) {
+        const continent = getContinent(cellA.lat, cellA.lon);
+        if (!continent || continent !== getContinent(cellB.lat, cellB.lon)) return 'continent';
     }
 
-    return { sharedNight: false, overlapDuration: 0 };
+    return null;
+}
+
+const MOON_RADIUS_KM = 1737.4;
+const AU_KM = 149597870.7;
+
+/**
+ * Zone shared by every criterion when the crescent cannot exist at all
+ * (moon sets before the sun, or conjunction after sunset).
+ */
+export const IMPOSSIBLE_ZONE = { code: 'I', label: 'Impossible', color: '#94a3b8', visible: false };
+
+/**
+ * Geocentric apparent equatorial coordinates of date.
+ * astronomy-engine's Equator() is always topocentric, so rotate the
+ * geocentric J2000 vector to the true equator of date instead.
+ */
+function getGeocentricEquator(body, time) {
+    const vector = Astronomy.GeoVector(body, time, true);
+    const rotated = Astronomy.RotateVector(Astronomy.Rotation_EQJ_EQD(time), vector);
+    return Astronomy.EquatorFromVector(rotated);
+}
+
+/**
+ * Airless altitude of a body for the observer, in degrees.
+ * @param {boolean} topocentric - false evaluates the geocentric position at the observer's horizon
+ * @param {boolean} refraction - true applies standard refraction instead (model variations only)
+ */
+function getAirlessAltitude(body, time, observer, topocentric = true, refraction = false) {
+    const equ = topocentric
+        ? Astronomy.Equator(body, time, observer, true, true)
+        : getGeocentricEquator(body, time);
+    return Astronomy.Horizon(time, observer, equ.ra, equ.dec, refraction ? 'normal' : 0).altitude;
 }
 
 /**
- * Calculate visibility using Odeh criterion.
+ * Geocentric elongation, semi-diameter and crescent width of the Moon.
+ * @returns {Object} { arcl: degrees, sdMoon: arcminutes, w: arcminutes }
+ */
+function getCrescentGeometry(time) {
+    const arcl = Astronomy.Elongation('Moon', time).elongation;
+    const moonDistAU = Astronomy.GeoVector('Moon', time, true).Length();
+
+    // Semi-diameter of moon in arcminutes
+    const sdMoon = (MOON_RADIUS_KM / (moonDistAU * AU_KM)) * (180 / Math.PI) * 60;
+
+    // Crescent width in arcminutes
+    const w = sdMoon * (1 - Math.cos(arcl * Math.PI / 180));
+
+    return { arcl, sdMoon, w };
+}
+
+/**
+ * Where to look: apparent (refracted) topocentric positions of Sun and Moon and
+ * the orientation of the crescent, for observers rather than for a criterion.
+ *
+ * brightLimbAngle is the direction from the Moon's centre towards the Sun,
+ * measured on the sky clockwise from straight up as the observer sees it
+ * (90 = bright limb to the right). crescentTilt is the same angle measured from
+ * straight down, wrapped to [-180, 180): 0 is a level "boat" with both horns up,
+ * positive values rotate the crescent clockwise (bright limb towards the left).
+ *
+ * @returns {Object} { sunAltitude, sunAzimuth, moonAltitude, moonAzimuth, daz, brightLimbAngle, crescentTilt, illumination }
+ */
+function getSkyPosition(time, observer) {
+    const moonEqu = Astronomy.Equator('Moon', time, observer, true, true);
+    const sunEqu = Astronomy.Equator('Sun', time, observer, true, true);
+    const moon = Astronomy.Horizon(time, observer, moonEqu.ra, moonEqu.dec, 'normal');
+    const sun = Astronomy.Horizon(time, observer, sunEqu.ra, sunEqu.dec, 'normal');
+
+    // Bearing of the Sun from the Moon on the celestial sphere, horizon frame
+    const toRad = Math.PI / 180;
+    const dAz = (sun.azimuth - moon.azimuth) * toRad;
+    const bearing = Math.atan2(
+        Math.sin(dAz) * Math.cos(sun.altitude * toRad),
+        Math.cos(moon.altitude * toRad) * Math.sin(sun.altitude * toRad) -
+        Math.sin(moon.altitude * toRad) * Math.cos(sun.altitude * toRad) * Math.cos(dAz)
+    ) / toRad;
+    const brightLimbAngle = (bearing + 360) % 360;
+
+    return {
+        sunAltitude: sun.altitude,
+        sunAzimuth: sun.azimuth,
+        moonAltitude: moon.altitude,
+        moonAzimuth: moon.azimuth,
+        daz: ((moon.azimuth - sun.azimuth + 540) % 360) - 180, // Moon minus Sun, wrapped to [-180, 180)
+        brightLimbAngle,
+        crescentTilt: ((brightLimbAngle + 360) % 360) - 180,
+        illumination: Astronomy.Illumination('Moon', time).phase_fraction
+    };
+}
+
+/**
+ * Odeh (2006): topocentric airless ARCV against crescent width, with the width
+ * taken from the geocentric elongation and semi-diameter (getCrescentGeometry).
+ * V = ARCV - (-0.1018*W³ + 0.7319*W² - 6.3226*W + 7.1651)
+ * where ARCV is in degrees and W is in arcminutes
+ */
+function evaluateOdeh({ bestTime, observer, refraction = false }) {
+    const arcv = getAirlessAltitude('Moon', bestTime, observer, true, refraction) - getAirlessAltitude('Sun', bestTime, observer, true, refraction);
+    const { arcl, sdMoon, w } = getCrescentGeometry(bestTime);
+    const odehLimit = -0.1018 * Math.pow(w, 3) + 0.7319 * Math.pow(w, 2) - 6.3226 * w + 7.1651;
+
+    return { value: arcv - odehLimit, arcv, w, arcl, sdMoon };
+}
+
+/**
+ * Yallop (1997), NAO Technical Note 69: geocentric ARCV and W at the best time.
+ * q = (ARCV - (11.8371 - 6.3226*W + 0.7319*W² - 0.1018*W³)) / 10
+ */
+function evaluateYallop({ bestTime, observer, refraction = false }) {
+    const arcv = getAirlessAltitude('Moon', bestTime, observer, false, refraction) - getAirlessAltitude('Sun', bestTime, observer, false, refraction);
+    const { arcl, sdMoon, w } = getCrescentGeometry(bestTime);
+    const q = (arcv - (11.8371 - 6.3226 * w + 0.7319 * Math.pow(w, 2) - 0.1018 * Math.pow(w, 3))) / 10;
+
+    return { value: q, q, arcv, w, arcl, sdMoon };
+}
+
+/**
+ * Build a threshold criterion of the kind used by national authorities:
+ * moon altitude and elongation at sunset (sunrise in morning mode) must both reach a minimum.
+ * The criterion value is the smaller of the two margins (degrees), so it is
+ * >= 0 exactly when both thresholds are met.
+ */
+function createAltitudeElongationCriterion({ id, name, minAltitude, minElongation }) {
+    return {
+        id,
+        name,
+        algorithm: `${id}-altitude-elongation`,
+        valueLabel: 'margin',
+        minAltitude,
+        minElongation,
+        zones: [
+            { code: 'MET', label: `Meets ${name}`, color: '#4ade80', min: 0, visible: true },
+            { code: 'NOT', label: `Below ${name} Limits`, color: '#94a3b8', min: -Infinity, visible: false }
+        ],
+        evaluate: ({ horizonTime, observer, refraction = false }) => {
+            const atHorizon = new Astronomy.AstroTime(horizonTime);
+            const moonAltitude = getAirlessAltitude('Moon', atHorizon, observer, true, refraction);
+            const { arcl, sdMoon, w } = getCrescentGeometry(atHorizon);
+            const value = Math.min(moonAltitude - minAltitude, arcl - minElongation);
+
+            return { value, moonAltitude, arcl, sdMoon, w };
+        }
+    };
+}
+
+/**
+ * Atmosphere and observer settings for the physical (Schaefer-style) model.
+ * - extinction: dry V-band extinction (Rayleigh + aerosol + ozone), mag/airmass
+ * - humidity (%) and temperature (°C): add the water-vapour extinction term
+ * - acuity: observer factor; 1 is an excellent observer, larger needs a brighter crescent
+ */
+export const DEFAULT_ATMOSPHERE = { extinction: 0.25, humidity: 50, temperature: 20, acuity: 1.5 };
+
+export const ATMOSPHERE_PRESETS = {
+    standard: { id: 'standard', name: 'Standard clear sky', ...DEFAULT_ATMOSPHERE },
+    desert: { id: 'desert', name: 'Dusty desert', extinction: 0.45, humidity: 15, temperature: 30, acuity: 1.5 },
+    coastal: { id: 'coastal', name: 'Humid coastal', extinction: 0.30, humidity: 85, temperature: 28, acuity: 1.5 },
+    mountain: { id: 'mountain', name: 'Clean mountain site', extinction: 0.15, humidity: 30, temperature: 5, acuity: 1.2 }
+};
+
+const PHYSICAL_SAMPLE_MINUTES = 4;
+const TWILIGHT_SKY_NL = 1.4e8; // Calibrated to ~3e9 nL (~1000 cd/m²) near the Sun at sunset
+const NIGHT_SKY_NL = 100; // Dark-sky floor
+const EYE_SEGMENT_ARCMIN = 10; // Length of crescent the eye integrates as one source
+const DANJON_LIMIT_DEG = 7;
+const PSYCHOMETRIC_SLOPE_MAG = 0.3;
+
+/**
+ * Relative airmass for an apparent altitude (Schaefer's horizon-safe form).
+ */
+function getAirmass(altitude) {
+    const cosZ = Math.cos((90 - Math.max(altitude, 0)) * Math.PI / 180);
+    return 1 / (cosZ + 0.025 * Math.exp(-11 * cosZ));
+}
+
+/**
+ * Total extinction coefficient: the user's dry coefficient plus Schaefer's
+ * water-vapour term from humidity, temperature and site elevation.
+ */
+function getTotalExtinction(atmosphere, elevation) {
+    const waterVapour = 0.031 * 0.94 * (atmosphere.humidity / 100) * Math.exp(atmosphere.temperature / 15) * Math.exp(-elevation / 7500);
+    return atmosphere.extinction + waterVapour;
+}
+
+/**
+ * Twilight sky brightness (nanolamberts) at the Moon's position.
+ * Follows Schaefer's twilight term: one magnitude per degree of solar depression,
+ * brighter toward the horizon and toward the Sun, scaled by the scattered fraction.
+ */
+function getTwilightSkyBrightness(sunAltitude, moonAltitude, separation, extinction) {
+    const zenithDistance = 90 - moonAltitude;
+    const scattered = 1 - Math.pow(10, -0.4 * extinction * getAirmass(moonAltitude));
+    const twilight = TWILIGHT_SKY_NL
+        * Math.pow(10, 0.4 * (Math.min(sunAltitude, 0) + zenithDistance / (360 * extinction)))
+        * (100 / Math.max(separation, 1))
+        * scattered;
+    return twilight + NIGHT_SKY_NL;
+}
+
+/**
+ * Point-source detection threshold (foot-candles) against a sky of the given
+ * brightness, from Schaefer's fit to Blackwell's data.
+ */
+function getThresholdIlluminance(skyBrightness) {
+    const [c1, c2] = skyBrightness < 1500
+        ? [Math.pow(10, -9.8), Math.pow(10, -1.9)]
+        : [Math.pow(10, -8.35), Math.pow(10, -5.9)];
+    return c1 * Math.pow(1 + Math.sqrt(c2 * skyBrightness), 2);
+}
+
+/**
+ * Magnitude (above the atmosphere) of the crescent segment the eye integrates.
+ * Uses the lunar phase curve, the fraction of the crescent arc inside one eye
+ * segment, and a Danjon-limit falloff as the horns fade near 7° elongation.
+ */
+function getCrescentSegmentMagnitude(arcl, sdMoon) {
+    if (arcl <= DANJON_LIMIT_DEG) return Infinity;
+
+    const phaseAngle = 180 - arcl;
+    const totalMagnitude = -12.73 + 0.026 * phaseAngle + 4e-9 * Math.pow(phaseAngle, 4);
+    const danjon = Math.sqrt(1 - Math.pow(DANJON_LIMIT_DEG / arcl, 2));
+    const segmentFraction = Math.min(1, EYE_SEGMENT_ARCMIN / (Math.PI * sdMoon));
+
+    return totalMagnitude - 2.5 * Math.log10(segmentFraction) - 5 * Math.log10(danjon);
+}
+
+/**
+ * Physical crescent visibility over a whole twilight window.
+ * Samples the window, compares the extinguished crescent brightness with the
+ * detection limit set by the twilight sky, and converts the margin into a
+ * detection probability (50% at the threshold).
+ *
+ * @returns {Object} { value: peak probability, probability, detectionStartUTC, detectionEndUTC, ... }
+ */
+function evaluatePhysical({ observer, windowStart, windowEnd, atmosphere = DEFAULT_ATMOSPHERE }) {
+    const settings = { ...DEFAULT_ATMOSPHERE, ...atmosphere };
+    const extinction = getTotalExtinction(settings, observer.height);
+    const acuityPenalty = 2.5 * Math.log10(Math.max(settings.acuity, 0.1));
+
+    let best = null;
+    let detectionStart = null;
+    let detectionEnd = null;
+
+    for (let t = windowStart.getTime(); t <= windowEnd.getTime(); t += PHYSICAL_SAMPLE_MINUTES * 60 * 1000) {
+        const time = new Astronomy.AstroTime(new Date(t));
+        const moonEqu = Astronomy.Equator('Moon', time, observer, true, true);
+        const moonAltitude = Astronomy.Horizon(time, observer, moonEqu.ra, moonEqu.dec, 'normal').altitude;
+        if (moonAltitude <= 0) continue;
+
+        const sunEqu = Astronomy.Equator('Sun', time, observer, true, true);
+        const sunAltitude = Astronomy.Horizon(time, observer, sunEqu.ra, sunEqu.dec, 'normal').altitude;
+        const { arcl, sdMoon, w } = getCrescentGeometry(time);
+
+        const crescentMagnitude = getCrescentSegmentMagnitude(arcl, sdMoon) + extinction * getAirmass(moonAltitude);
+        const skyBrightness = getTwilightSkyBrightness(sunAltitude, moonAltitude, arcl, extinction);
+        const limitingMagnitude = -2.5 * Math.log10(getThresholdIlluminance(skyBrightness)) - 16.57 - acuityPenalty;
+        const margin = limitingMagnitude - crescentMagnitude;
+        const probability = Number.isFinite(margin) ? 1 / (1 + Math.exp(-margin / PSYCHOMETRIC_SLOPE_MAG)) : 0;
+
+        if (margin > 0) {
+            if (!detectionStart) detectionStart = new Date(t);
+            detectionEnd = new Date(t);
+        }
+
+        if (!best || probability > best.probability) {
+            best = { probability, margin, time: new Date(t), moonAltitude, sunAltitude, arcl, sdMoon, w, crescentMagnitude, limitingMagnitude, skyBrightness };
+        }
+    }
+
+    if (!best) {
+        return { value: 0, probability: 0, detectionStartUTC: null, detectionEndUTC: null, extinction };
+    }
+
+    return {
+        value: best.probability,
+        probability: best.probability,
+        detectionStartUTC: detectionStart,
+        detectionEndUTC: detectionEnd,
+        peakTimeUTC: best.time,
+        peakMargin: best.margin,
+        crescentMagnitude: best.crescentMagnitude,
+        limitingMagnitude: best.limitingMagnitude,
+        skyBrightness: best.skyBrightness,
+        moonAltitude: best.moonAltitude,
+        extinction,
+        arcl: best.arcl,
+        sdMoon: best.sdMoon,
+        w: best.w
+    };
+}
+
+/**
+ * Registry of visibility criteria selectable through getVisibility's `algorithm`.
+ *
+ * Each criterion declares its zones from most to least visible. A zone applies
+ * when the criterion value is >= its `min`; `visible` marks the zones that count
+ * as a sighting for Night 1, and `opticalAid` those where the crescent is only
+ * expected through binoculars or a telescope. Colors are what MoonMap paints for the zone.
+ */
+export const VISIBILITY_CRITERIA = {
+    odeh: {
+        id: 'odeh',
+        name: 'Odeh V-criterion',
+        algorithm: 'odeh-criterion',
+        valueLabel: 'V',
+        zones: [
+            { code: 'EV', label: 'Easily Visible', color: '#4ade80', min: 5.65, visible: true },
+            { code: 'VP', label: 'Visible Under Perfect Conditions', color: '#facc15', min: 2, visible: true },
+            { code: 'VO', label: 'Visible With Optical Aid', color: '#ef4444', min: -0.96, visible: true, opticalAid: true },
+            { code: 'NV', label: 'Not Visible', color: '#94a3b8', min: -Infinity, visible: false }
+        ],
+        evaluate: evaluateOdeh
+    },
+    yallop: {
+        id: 'yallop',
+        name: 'Yallop q-test',
+        algorithm: 'yallop-q-test',
+        valueLabel: 'q',
+        zones: [
+            { code: 'A', label: 'Easily Visible to the Naked Eye', color: '#4ade80', min: 0.216, visible: true },
+            { code: 'B', label: 'Visible Under Perfect Conditions', color: '#facc15', min: -0.014, visible: true },
+            { code: 'C', label: 'May Need Optical Aid to Find', color: '#fb923c', min: -0.160, visible: true, opticalAid: true },
+            { code: 'D', label: 'Will Need Optical Aid', color: '#ef4444', min: -0.232, visible: true, opticalAid: true },
+            { code: 'E', label: 'Not Visible With a Telescope', color: '#64748b', min: -0.293, visible: false },
+            { code: 'F', label: 'Not Visible, Below Danjon Limit', color: '#94a3b8', min: -Infinity, visible: false }
+        ],
+        evaluate: evaluateYallop
+    },
+    // Malaysia, Indonesia, Brunei and Singapore (revised 2021)
+    mabims: createAltitudeElongationCriterion({
+        id: 'mabims',
+        name: 'MABIMS 3-6.4',
+        minAltitude: 3,
+        minElongation: 6.4
+    }),
+    // International Hijri Calendar Union Congress, Istanbul 2016
+    turkey2016: createAltitudeElongationCriterion({
+        id: 'turkey2016',
+        name: 'Istanbul 2016 5-8',
+        minAltitude: 5,
+        minElongation: 8
+    }),
+    // Physical contrast model in the spirit of Schaefer (1988, 1991); value is a probability
+    schaefer: {
+        id: 'schaefer',
+        name: 'Physical contrast model (Schaefer)',
+        algorithm: 'schaefer-contrast-model',
+        valueLabel: 'probability',
+        continuous: true,
+        usesAtmosphere: true,
+        zones: [
+            { code: 'P90', label: 'Detection Likely (≥90%)', color: '#4ade80', min: 0.9, visible: true },
+            { code: 'P50', label: 'Marginal Detection (50-90%)', color: '#facc15', min: 0.5, visible: true },
+            { code: 'P10', label: 'Unlikely (10-50%)', color: '#ef4444', min: 0.1, visible: false },
+            { code: 'P0', label: 'Not Detectable', color: '#94a3b8', min: -Infinity, visible: false }
+        ],
+        evaluate: evaluatePhysical
+    }
+};
+
+export const DEFAULT_CRITERION = 'odeh';
+
+/**
+ * Look up a visibility criterion by id.
+ * @param {string} id - Criterion id (e.g. 'odeh', 'yallop')
+ * @returns {Object|null} Criterion definition or null if unknown
+ */
+export function getCriterion(id = DEFAULT_CRITERION) {
+    return VISIBILITY_CRITERIA[id] || null;
+}
+
+/**
+ * Find the zone definition for a result code under a criterion.
+ * @returns {Object|null} Zone with code, label and color, or null for codes without a zone (e.g. 'U')
+ */
+export function getZone(criterionId, code) {
+    if (code === IMPOSSIBLE_ZONE.code) return IMPOSSIBLE_ZONE;
+    const criterion = getCriterion(criterionId);
+    return criterion?.zones.find(zone => zone.code === code) || null;
+}
+
+/**
+ * Whether a result code counts as a sighting under the given criterion.
+ */
+export function isVisibleCode(criterionId, code) {
+    return getZone(criterionId, code)?.visible === true;
+}
+
+/**
+ * Which crescent getVisibility evaluates: the new moon after sunset, or the
+ * old (waning) moon before sunrise.
+ */
+export const VISIBILITY_EVENTS = {
+    EVENING: 'evening',
+    MORNING: 'morning'
+};
+
+/**
+ * Run a calculation with ΔT (TT - UT) shifted by a number of seconds, then
+ * restore astronomy-engine's default model. Used to test how sensitive a result
+ * is to the ΔT uncertainty; everything is synchronous, so nothing else sees the shift.
+ * @param {number} offsetSeconds - Added to the Espenak-Meeus ΔT
+ * @param {Function} calculate - Calculation to run
+ * @returns {*} Whatever calculate returns
+ */
+export function withDeltaTOffset(offsetSeconds, calculate) {
+    Astronomy.SetDeltaTFunction(ut => Astronomy.DeltaT_EspenakMeeus(ut) + offsetSeconds);
+    try {
+        return calculate();
+    } finally {
+        Astronomy.SetDeltaTFunction(Astronomy.DeltaT_EspenakMeeus);
+    }
+}
+
+/**
+ * Model choices inside getVisibility that the published criteria fix, exposed
+ * so the sensitivity analysis can vary them:
+ * - bestTimeFraction: best time as a fraction of the lag (4/9, Yallop/Odeh)
+ * - refraction: evaluate criterion altitudes with refraction (criteria are airless)
+ */
+export const DEFAULT_VISIBILITY_MODEL = { bestTimeFraction: 4 / 9, refraction: false };
+
+/**
+ * Morning (old moon) visibility, following Odeh's morning formulation:
+ * Lag = sunrise - moonrise, best time Tb = Tsunrise - (4/9) * Lag, and the
+ * criterion evaluated at Tb exactly as in the evening.
+ */
+function getMorningVisibility({ criterion, observer, lat, lon, tzHours, timeZone, localMidnight, conjunctionTime, conjunctionInfo, atmosphere, model }) {
+    const toLocal = (utcDate) => new Date(utcDate.getTime() + tzHours * 3600 * 1000);
+    const base = {
+        criterion: criterion.id,
+        event: VISIBILITY_EVENTS.MORNING,
+        lat,
+        lon,
+        elevation: observer.height,
+        tzHours,
+        timeZone,
+        ...conjunctionInfo
+    };
+
+    // Sunrise on the morning of the local date
+    const sunriseResult = searchRiseSet('Sun', observer, 1, new Astronomy.AstroTime(localMidnight), 1);
+    if (!sunriseResult) {
+        return { code: 'U', value: null, reason: 'No sunrise found', ...base };
+    }
+    const sunriseTime = sunriseResult.date;
+
+    // Latest moonrise and moonset before sunrise (searching backward)
+    const moonriseResult = searchRiseSet('Moon', observer, 1, sunriseResult, -2);
+    const moonsetResult = searchRiseSet('Moon', observer, -1, sunriseResult, -2);
+    if (!moonriseResult) {
+        return { code: 'U', value: null, reason: 'No moonrise found', ...base };
+    }
+    const moonriseTime = moonriseResult.date;
+    const lagMinutes = (sunriseTime.getTime() - moonriseTime.getTime()) / (1000 * 60);
+
+    const impossible = (reason, extra = {}) => ({
+        code: 'I',
+        value: null,
+        reason,
+        ...base,
+        sunriseUTC: sunriseTime,
+        moonriseUTC: moonriseTime,
+        sunriseLocal: toLocal(sunriseTime),
+        moonriseLocal: toLocal(moonriseTime),
+        lag: lagMinutes,
+        ...extra
+    });
+
+    // Moon rose and set again before sunrise → it is below the horizon at sunrise
+    if (moonsetResult && moonsetResult.date > moonriseTime) {
+        return impossible('Moon is below the horizon at sunrise');
+    }
+
+    // The old crescent only exists before conjunction
+    if (conjunctionTime && conjunctionTime.getTime() <= sunriseTime.getTime() &&
+        sunriseTime.getTime() - conjunctionTime.getTime() < 24 * 3600 * 1000) {
+        return impossible('Conjunction occurs before sunrise', { conjunctionTime, conjunctionTriggered: true });
+    }
+
+    const bestTimeDate = new Date(sunriseTime.getTime() - (lagMinutes * model.bestTimeFraction) * 60 * 1000);
+    const bestTime = new Astronomy.AstroTime(bestTimeDate);
+
+    const { value, ...criterionDetails } = criterion.evaluate({
+        bestTime,
+        observer,
+        horizonTime: sunriseTime,
+        windowStart: moonriseTime,
+        windowEnd: sunriseTime,
+        lagMinutes,
+        atmosphere,
+        refraction: model.refraction
+    });
+
+    const zone = criterion.zones.find(z => value >= z.min);
+    const skyAtBestTime = getSkyPosition(bestTime, observer);
+
+    return {
+        code: zone.code,
+        value,
+        zoneName: zone.label,
+        algorithm: criterion.algorithm,
+        ...base,
+        localDate: new Date(localMidnight.getTime()),
+        sunriseUTC: sunriseTime,
+        moonriseUTC: moonriseTime,
+        bestTimeUTC: bestTimeDate,
+        sunriseLocal: toLocal(sunriseTime),
+        moonriseLocal: toLocal(moonriseTime),
+        bestTimeLocal: toLocal(bestTimeDate),
+        conjunctionTime,
+        conjunctionTriggered: false,
+        ...criterionDetails,
+        skyAtSunrise: getSkyPosition(new Astronomy.AstroTime(sunriseTime), observer),
+        skyAtBestTime,
+        daz: skyAtBestTime.daz,
+        crescentTilt: skyAtBestTime.crescentTilt,
+        lag: lagMinutes
+    };
+}
+
+/**
+ * Calculate crescent visibility for the evening of a date using a registered criterion.
+ * The criterion is evaluated at the best time only; see getVisibilityWindow for
+ * the interval over which each zone is reached.
  * 
  * @param {Date} date - Reference date (interpreted as local date at the longitude)
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees [-180, +180)
- * @param {string} algorithm - Algorithm name (currently only 'odeh' supported)
+ * @param {string} algorithm - Criterion id from VISIBILITY_CRITERIA (default 'odeh')
  * @param {Date} conjunctionTime - Pre-computed conjunction time (optional, for performance)
- * @returns {Object} Visibility result with visibility zones
+ * @param {number} elevation - Observer elevation in metres (default 0)
+ * @param {string|null} timeZone - IANA zone for civil local dates (default: longitude-based)
+ * @param {string} event - VISIBILITY_EVENTS.EVENING (new crescent) or MORNING (old crescent)
+ * @param {Object} atmosphere - Extinction, humidity, temperature and acuity for physical criteria (see DEFAULT_ATMOSPHERE)
+ * @param {string} conjunctionMode - CONJUNCTION_MODES value used by the conjunction rule (default: geocentric)
+ * @param {Object} model - Best-time fraction and refraction overrides (see DEFAULT_VISIBILITY_MODEL)
+ * @returns {Object} Visibility result with visibility zones; topocentricConjunctionTime is only set in topocentric mode
  */
-export function getVisibility(date, lat, lon, _algorithm = 'odeh', conjunctionTime = null) {
+export function getVisibility(date, lat, lon, algorithm = DEFAULT_CRITERION, conjunctionTime = null, elevation = 0, timeZone = null, event = VISIBILITY_EVENTS.EVENING, atmosphere = DEFAULT_ATMOSPHERE, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, model = DEFAULT_VISIBILITY_MODEL) {
     try {
+        model = { ...DEFAULT_VISIBILITY_MODEL, ...model };
+
         // Normalize longitude to [-180, +180)
         lon = normalizeLon(lon);
 
-        const observer = new Astronomy.Observer(lat, lon, 0);
+        const criterion = getCriterion(algorithm);
+        if (!criterion) {
+            return {
+                code: 'U',
+                value: null,
+                reason: `Unknown visibility criterion: ${algorithm}`,
+                lat,
+                lon
+            };
+        }
 
-        // 1. Compute longitude-based timezone
-        const tzHours = getLongitudeBasedTimezone(lon);
+        const observer = createObserver(lat, lon, elevation);
+
+        // conjunctionMode picks the conjunction the rule uses. The topocentric one
+        // is a root search, so it is only found here when the rule needs it;
+        // callers that report both times in geocentric mode find it once themselves
+        const geocentricConjunctionTime = conjunctionTime;
+        const topocentricConjunctionTime = conjunctionTime && conjunctionMode === CONJUNCTION_MODES.TOPOCENTRIC
+            ? getTopocentricConjunction(observer, conjunctionTime)
+            : null;
+        if (topocentricConjunctionTime) {
+            conjunctionTime = topocentricConjunctionTime;
+        }
+        const conjunctionInfo = { conjunctionMode, geocentricConjunctionTime, topocentricConjunctionTime };
+
+        // 1. Compute local timezone (civil zone if given, otherwise longitude-based)
+        const local = resolveLocalOffset(lon, date, timeZone);
+        const tzHours = local.tzHours;
 
         // 2. Interpret date as local date at this location
         // Convert input date (assumed UTC midnight) to local midnight
         const localMidnight = new Date(date.getTime() - tzHours * 3600 * 1000);
 
+        if (event === VISIBILITY_EVENTS.MORNING) {
+            return getMorningVisibility({ criterion, observer, lat, lon, tzHours, timeZone: local.timeZone, localMidnight, conjunctionTime, conjunctionInfo, atmosphere, model });
+        }
+
         // 3. Search for sunset starting from local noon of the given date
         const localNoon = new Date(localMidnight.getTime() + 12 * 3600 * 1000);
         const searchStartTime = new Astronomy.AstroTime(localNoon);
 
         // Find sunset (sun setting)
-        const sunsetResult = Astronomy.SearchRiseSet('Sun', observer, -1, searchStartTime, 1);
+        const sunsetResult = searchRiseSet('Sun', observer, -1, searchStartTime, 1);
         if (!sunsetResult) {
             return {
                 code: 'U',
@@ -337,7 +1251,7 @@ export function getVisibility(date, lat, lon, _algorithm = 'odeh', conjunctionTi
         const sunsetTime = sunsetResult.date;
 
         // Find moonset after sunset (within next 24 hours)
-        const moonsetResult = Astronomy.SearchRiseSet('Moon', observer, -1, sunsetTime, 2);
+        const moonsetResult = searchRiseSet('Moon', observer, -1, sunsetTime, 2);
         if (!moonsetResult) {
             return {
                 code: 'U',
@@ -357,9 +1271,13 @@ export function getVisibility(date, lat, lon, _algorithm = 'odeh', conjunctionTi
                 code: 'I',
                 value: null,
                 reason: 'Moon sets before or at sunset',
+                criterion: criterion.id,
+                ...conjunctionInfo,
                 lat,
                 lon,
+                elevation: observer.height,
                 tzHours,
+                timeZone: local.timeZone,
                 sunsetUTC: sunsetTime,
                 moonsetUTC: moonsetTime,
                 sunsetLocal: new Date(sunsetTime.getTime() + tzHours * 3600 * 1000),
@@ -374,89 +1292,66 @@ export function getVisibility(date, lat, lon, _algorithm = 'odeh', conjunctionTi
 
         if (conjunctionTime && conjunctionTime.getTime() > sunsetTime.getTime()) {
             // Check if conjunction is on the same "evening" (before next sunrise)
-            const nextSunrise = Astronomy.SearchRiseSet('Sun', observer, 1, sunsetTime, 2);
+            const nextSunrise = searchRiseSet('Sun', observer, 1, sunsetTime, 2);
             if (!nextSunrise || conjunctionTime.getTime() < nextSunrise.date.getTime()) {
                 conjunctionTriggered = true;
                 return {
                     code: 'I',
                     value: null,
                     reason: 'Conjunction occurs after sunset',
+                    criterion: criterion.id,
                     lat,
                     lon,
+                    elevation: observer.height,
                     tzHours,
+                    timeZone: local.timeZone,
                     sunsetUTC: sunsetTime,
                     moonsetUTC: moonsetTime,
                     sunsetLocal: new Date(sunsetTime.getTime() + tzHours * 3600 * 1000),
                     moonsetLocal: new Date(moonsetTime.getTime() + tzHours * 3600 * 1000),
                     conjunctionTime,
+                    ...conjunctionInfo,
                     conjunctionTriggered: true,
                     lag: lagMinutes
                 };
             }
         }
 
-        // 6. Calculate best time: Tb = Ts + (4/9) * Lag
-        const bestTimeDate = new Date(sunsetTime.getTime() + (lagMinutes * (4 / 9)) * 60 * 1000);
+        // 6. Calculate best time: Tb = Ts + (4/9) * Lag (same for Odeh and Yallop)
+        const bestTimeDate = new Date(sunsetTime.getTime() + (lagMinutes * model.bestTimeFraction) * 60 * 1000);
         const bestTime = new Astronomy.AstroTime(bestTimeDate);
 
-        // 7. Calculate topocentric positions at best time (NO REFRACTION - airless altitudes)
-        const moonEquator = Astronomy.Equator('Moon', bestTime, observer, true, true);
-        const sunEquator = Astronomy.Equator('Sun', bestTime, observer, true, true);
-
-        // Convert to horizontal coordinates WITHOUT refraction
-        const moonHorizon = Astronomy.Horizon(bestTime, observer, moonEquator.ra, moonEquator.dec, 0); // refraction=0
-        const sunHorizon = Astronomy.Horizon(bestTime, observer, sunEquator.ra, sunEquator.dec, 0); // refraction=0
-
-        // 8. Calculate ARCV (topocentric, airless altitude difference in degrees)
-        const ARCV = moonHorizon.altitude - sunHorizon.altitude;
-
-        // 9. Calculate W (crescent width in arcminutes)
-        const elongationResult = Astronomy.Elongation('Moon', bestTime);
-        const arcl = elongationResult.elongation; // degrees
-
-        const moonDistVec = Astronomy.GeoVector('Moon', bestTime, true);
-        const moonDistAU = moonDistVec.Length();
-        const MOON_RADIUS_KM = 1737.4;
-        const AU_KM = 149597870.7;
-
-        // Semi-diameter of moon in arcminutes
-        const sdMoon = (MOON_RADIUS_KM / (moonDistAU * AU_KM)) * (180 / Math.PI) * 60;
-
-        // Crescent width in arcminutes
-        const W = sdMoon * (1 - Math.cos(arcl * Math.PI / 180));
-
-        // 10. Calculate V using the formula from Odeh (2006)
-        // Reference: Odeh, M. (2006). New Criterion for Lunar Crescent Visibility. Experimental Astronomy, 18, 39-64.
-        // V = ARCV - (-0.1018*W³ + 0.7319*W² - 6.3226*W + 7.1651)
-        // where ARCV is in degrees and W is in arcminutes
-        const odehLimit = -0.1018 * Math.pow(W, 3) + 0.7319 * Math.pow(W, 2) - 6.3226 * W + 7.1651;
-        const V = ARCV - odehLimit;
-
-        // 11. Map to visibility zones
-        let code, zoneName;
-
-        if (V >= 5.65) {
-            code = 'EV';
-            zoneName = 'Easily Visible';
-        } else if (V >= 2) {
-            code = 'VP';
-            zoneName = 'Visible Under Perfect Conditions';
-        } else if (V >= -0.96) {
-            code = 'VO';
-            zoneName = 'Visible With Optical Aid';
-        } else {
-            code = 'NV';
-            zoneName = 'Not Visible';
-        }
+        // 7. Evaluate the criterion at best time (airless altitudes, NO REFRACTION unless the model asks for it)
+        const { value, ...criterionDetails } = criterion.evaluate({
+            bestTime,
+            observer,
+            horizonTime: sunsetTime,
+            windowStart: sunsetTime,
+            windowEnd: moonsetTime,
+            sunsetTime,
+            moonsetTime,
+            lagMinutes,
+            atmosphere,
+            refraction: model.refraction
+        });
+
+        // 8. Map to the criterion's visibility zones
+        const zone = criterion.zones.find(z => value >= z.min);
+
+        // 9. Where to look: apparent positions and crescent orientation
+        const skyAtBestTime = getSkyPosition(bestTime, observer);
 
         return {
-            code,
-            value: V,
-            zoneName,
-            algorithm: 'odeh-criterion',
+            code: zone.code,
+            value,
+            zoneName: zone.label,
+            algorithm: criterion.algorithm,
+            criterion: criterion.id,
             lat,
             lon,
+            elevation: observer.height,
             tzHours,
+            timeZone: local.timeZone,
             localDate: new Date(localMidnight.getTime()),
             sunsetUTC: sunsetTime,
             moonsetUTC: moonsetTime,
@@ -465,12 +1360,15 @@ export function getVisibility(date, lat, lon, _algorithm = 'odeh', conjunctionTi
             moonsetLocal: new Date(moonsetTime.getTime() + tzHours * 3600 * 1000),
             bestTimeLocal: new Date(bestTimeDate.getTime() + tzHours * 3600 * 1000),
             conjunctionTime,
+            ...conjunctionInfo,
             conjunctionTriggered,
-            arcv: ARCV,
-            w: W,
+            event: VISIBILITY_EVENTS.EVENING,
+            ...criterionDetails,
+            skyAtSunset: getSkyPosition(new Astronomy.AstroTime(sunsetTime), observer),
+            skyAtBestTime,
+            daz: skyAtBestTime.daz,
+            crescentTilt: skyAtBestTime.crescentTilt,
             lag: lagMinutes,
-            arcl,
-            sdMoon,
             nightStart: sunsetTime,
             nightEnd: null // Can add sunrise if needed
         };
@@ -488,33 +1386,217 @@ export function getVisibility(date, lat, lon, _algorithm = 'odeh', conjunctionTi
 }
 
 /**
- * Get Moon Illumination Fraction.
- * @param {Date} date
- * @returns {number} 0.0 to 1.0
+ * Sampling step for getVisibilityWindow, in minutes.
  */
-export function getMoonIllumination(date) {
-    const time = new Astronomy.AstroTime(date);
-    const illumination = Astronomy.Illumination('Moon', time);
-    return illumination.fraction;
+const WINDOW_SAMPLE_MINUTES = 2;
+
+/**
+ * Evaluate the criterion continuously over the twilight window of a visibility
+ * result instead of at the single best time: sunset to moonset in the evening,
+ * moonrise to sunrise in the morning.
+ *
+ * The criterion is sampled every WINDOW_SAMPLE_MINUTES, treating each sample as
+ * the evaluation instant (for altitude/elongation criteria the sample also stands
+ * in for sunset). For every zone with a finite threshold the first and last sample
+ * reaching it are returned; `visibleStart`/`visibleEnd` span the lowest visible zone,
+ * which is the "look between" interval for observers.
+ *
+ * Geometric criteria (Odeh, Yallop) change slowly through twilight, so their
+ * window usually covers most of sunset to moonset; the physical model also
+ * weighs sky brightness and gives a tighter window.
+ *
+ * @param {Object} visibility - Result of getVisibility (codes 'I' and 'U' have no window)
+ * @param {Object} atmosphere - Atmosphere settings for physical criteria (see DEFAULT_ATMOSPHERE)
+ * @returns {Object|null} { peakValue, peakTimeUTC, peakZone, zones: Array, visibleStartUTC, visibleEndUTC, ...Local } or null
+ */
+export function getVisibilityWindow(visibility, atmosphere = DEFAULT_ATMOSPHERE) {
+    const criterion = getCriterion(visibility?.criterion);
+    if (!criterion || visibility.value === null || visibility.value === undefined) return null;
+
+    const isMorning = visibility.event === VISIBILITY_EVENTS.MORNING;
+    const windowStart = isMorning ? visibility.moonriseUTC : visibility.sunsetUTC;
+    const windowEnd = isMorning ? visibility.sunriseUTC : visibility.moonsetUTC;
+    if (!windowStart || !windowEnd || windowEnd <= windowStart) return null;
+
+    try {
+        const observer = createObserver(visibility.lat, visibility.lon, visibility.elevation);
+        const toLocal = (utcDate) => utcDate ? new Date(utcDate.getTime() + visibility.tzHours * 3600 * 1000) : null;
+        const thresholds = criterion.zones.filter(zone => Number.isFinite(zone.min));
+        const reached = thresholds.map(() => ({ start: null, end: null }));
+        let peak = null;
+
+        for (let t = windowStart.getTime(); t <= windowEnd.getTime(); t += WINDOW_SAMPLE_MINUTES * 60 * 1000) {
+            const sampleDate = new Date(t);
+            const { value } = criterion.evaluate({
+                bestTime: new Astronomy.AstroTime(sampleDate),
+                observer,
+                horizonTime: sampleDate,
+                windowStart: sampleDate,
+                windowEnd: sampleDate,
+                atmosphere
+            });
+            if (!Number.isFinite(value)) continue;
+
+            if (!peak || value > peak.value) {
+                peak = { value, time: sampleDate };
+            }
+            thresholds.forEach((zone, index) => {
+                if (value >= zone.min) {
+                    if (!reached[index].start) reached[index].start = sampleDate;
+                    reached[index].end = sampleDate;
+                }
+            });
+        }
+
+        if (!peak) return null;
+
+        const zones = thresholds.map((zone, index) => ({
+            code: zone.code,
+            label: zone.label,
+            visible: zone.visible,
+            startUTC: reached[index].start,
+            endUTC: reached[index].end,
+            startLocal: toLocal(reached[index].start),
+            endLocal: toLocal(reached[index].end)
+        }));
+        const lowestVisible = [...zones].reverse().find(zone => zone.visible);
+
+        return {
+            criterion: criterion.id,
+            stepMinutes: WINDOW_SAMPLE_MINUTES,
+            peakValue: peak.value,
+            peakZone: criterion.zones.find(zone => peak.value >= zone.min).code,
+            peakTimeUTC: peak.time,
+            peakTimeLocal: toLocal(peak.time),
+            zones,
+            visibleStartUTC: lowestVisible?.startUTC || null,
+            visibleEndUTC: lowestVisible?.endUTC || null,
+            visibleStartLocal: lowestVisible?.startLocal || null,
+            visibleEndLocal: lowestVisible?.endLocal || null
+        };
+    } catch (err) {
+        console.error('Error calculating visibility window:', err);
+        return null;
+    }
 }
 
 /**
- * Get Moon Rise and Set Times for a given location.
- * @param {Date} date
- * @param {number} lat
- * @param {number} lon
- * @returns {Object} { rise: Date|null, set: Date|null }
+ * Format the "look between" interval of a visibility window, e.g. "18:42 and 19:05 local".
+ * Local times are the wall-clock times of the window (civil or longitude-based).
+ * @param {Object|null} window - Result of getVisibilityWindow
+ * @returns {string|null} Interval text, or null when no visible zone is reached
  */
-export function getMoonTimes(date, lat, lon) {
-    const observer = new Astronomy.Observer(lat, lon, 0);
-    const time = new Astronomy.AstroTime(date);
+export function formatVisibilityWindow(window) {
+    if (!window?.visibleStartLocal || !window?.visibleEndLocal) return null;
+    const hhmm = (date) => date.toISOString().substring(11, 16);
+    return `${hhmm(window.visibleStartLocal)} and ${hhmm(window.visibleEndLocal)} local`;
+}
+
+/**
+ * Sun depression angles for the three twilights (degrees below the horizon).
+ */
+const TWILIGHT_DEPRESSIONS = {
+    civil: 6,
+    nautical: 12,
+    astronomical: 18
+};
 
-    // Search for rise/set within 24 hours of input date
-    const rise = Astronomy.SearchRiseSet('Moon', observer, 1, time, 1);
-    const set = Astronomy.SearchRiseSet('Moon', observer, -1, time, 1);
+/**
+ * First rise/set of a body inside [dayStart, dayEnd), or null when there is none
+ * (the Moon skips a rise or set about once a month; the Sun at polar latitudes).
+ */
+function findEventInDay(search, dayStart, dayEnd) {
+    const result = search(new Astronomy.AstroTime(dayStart));
+    return result && result.date < dayEnd ? result.date : null;
+}
+
+/**
+ * Daily almanac for a local calendar date at a location.
+ *
+ * Rise, set and twilight times are searched within the local day (local
+ * midnight to midnight), so a day without a moonrise or moonset reports null
+ * instead of borrowing the next day's event. Rise/set apply the horizon dip for
+ * the elevation; twilights use the geometric Sun altitude.
+ *
+ * Moon quantities are taken at sunset, the instant the crescent rules revolve
+ * around, or at local noon when the Sun does not set that day.
+ *
+ * @param {Date} date - Local calendar date (UTC midnight of that date)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} elevation - Observer elevation in metres (default 0)
+ * @param {string|null} timeZone - IANA zone for the local day (default: longitude-based)
+ * @param {Date[]|null} knownConjunctions - Consecutive conjunctions already found (e.g. a calendar month's own
+ *   and next); when two of them bracket the Moon instant the age needs no new phase search
+ * @returns {Object} { date, lat, lon, elevation, tzHours, timeZone, dayStartUTC, dayEndUTC, sun, twilight, moon }
+ */
+export function getDailyAlmanac(date, lat, lon, elevation = 0, timeZone = null, knownConjunctions = null) {
+    lon = normalizeLon(lon);
+    const observer = createObserver(lat, lon, elevation);
+    const local = resolveLocalOffset(lon, date, timeZone);
+    const dayStart = new Date(date.getTime() - local.tzHours * 3600 * 1000);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 3600 * 1000);
+
+    const riseSet = (body, direction) => findEventInDay(
+        start => searchRiseSet(body, observer, direction, start, 1), dayStart, dayEnd
+    );
+    const sunAltitude = (direction, depression) => findEventInDay(
+        start => Astronomy.SearchAltitude('Sun', observer, direction, start, 1, -depression), dayStart, dayEnd
+    );
+
+    const sun = { rise: riseSet('Sun', 1), set: riseSet('Sun', -1) };
+
+    const twilight = {};
+    Object.entries(TWILIGHT_DEPRESSIONS).forEach(([name, depression]) => {
+        twilight[name] = { dawn: sunAltitude(1, depression), dusk: sunAltitude(-1, depression) };
+    });
+
+    const moonTime = sun.set || new Date(dayStart.getTime() + 12 * 3600 * 1000);
+    const time = new Astronomy.AstroTime(moonTime);
+    const illumination = Astronomy.Illumination('Moon', time);
+    const libration = Astronomy.Libration(time);
+    const topocentric = Astronomy.Equator('Moon', time, observer, true, true);
+    const topocentricDistanceKm = topocentric.dist * AU_KM;
+    const known = (knownConjunctions || []).filter(Boolean).sort((a, b) => a - b);
+    const bracketIndex = known.findIndex((start, i) => start <= moonTime && known[i + 1] > moonTime);
+    const conjunction = bracketIndex >= 0 ? known[bracketIndex] : getPrevNewMoonConjunction(moonTime);
+
+    const moon = {
+        rise: riseSet('Moon', 1),
+        set: riseSet('Moon', -1),
+        time: moonTime,
+        illumination: illumination.phase_fraction,
+        phaseAngle: illumination.phase_angle,
+        conjunction,
+        ageHours: conjunction ? (moonTime - conjunction) / (3600 * 1000) : null,
+        distanceKm: libration.dist_km,
+        topocentricDistanceKm,
+        apparentDiameterArcmin: 2 * Math.asin(MOON_RADIUS_KM / topocentricDistanceKm) * (180 / Math.PI) * 60,
+        libration: { longitude: libration.elon, latitude: libration.elat }
+    };
 
     return {
-        rise: rise ? rise.date : null,
-        set: set ? set.date : null
+        date,
+        lat,
+        lon,
+        elevation: normalizeElevation(elevation),
+        tzHours: local.tzHours,
+        timeZone: local.timeZone,
+        dayStartUTC: dayStart,
+        dayEndUTC: dayEnd,
+        sun,
+        twilight,
+        moon
     };
 }
+
+/**
+ * Format an almanac instant as local "HH:MM", or '—' when the event does not occur that day.
+ * @param {Object} almanac - Result of getDailyAlmanac
+ * @param {Date|null} time - UTC instant from the almanac
+ * @returns {string}
+ */
+export function formatAlmanacTime(almanac, time) {
+    if (!time) return '—';
+    return new Date(time.getTime() + almanac.tzHours * 3600 * 1000).toISOString().substring(11, 16);
+}
@@ -0,0 +1,203 @@
+// Cache of computed calendar months so that extending a calendar, or resuming
+// a cancelled run, only calculates the months it does not have yet.
+//
+// Months are kept in memory and persisted to IndexedDB, which holds more than
+// localStorage but is still capped: the oldest months and those of an earlier
+// Night 1 search are pruned before each run. The unfinished-run record is
+// small and lives in localStorage.
+
+const DB_NAME = 'moonvis-calendar-cache';
+const DB_VERSION = 1;
+const MONTH_STORE = 'months';
+const SAVED_AT_INDEX = 'savedAt';
+const RUN_KEY = 'moonvis_calendar_run';
+
+// Bump when the layout of stored months changes; changes to the Night 1
+// search itself are covered by the algorithm version in the cache key
+const CACHE_VERSION = 1;
+
+// Months kept in memory, least recently used first: a 10-year calendar and the
+// month that bounds it. Older ones are reloaded from IndexedDB.
+const MAX_MEMORY_MONTHS = 130;
+
+// Months kept in IndexedDB: five 10-year calendars
+const MAX_STORED_MONTHS = 600;
+
+const memoryCache = new Map();
+let dbPromise = null;
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(MONTH_STORE, { keyPath: 'key' });
+                store.createIndex(SAVED_AT_INDEX, 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('[calendarCache] Could not open IndexedDB:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then(db => {
+        if (!db) return null;
+        return new Promise((resolve) => {
+            const transaction = db.transaction(MONTH_STORE, mode);
+            const request = operation(transaction.objectStore(MONTH_STORE));
+            transaction.oncomplete = () => resolve(request?.result ?? null);
+            transaction.onerror = () => {
+                console.error('[calendarCache] IndexedDB transaction failed:', transaction.error);
+                resolve(null);
+            };
+        });
+    });
+}
+
+function rememberMonth(key, month) {
+    // Re-inserting moves the key to the most recently used end
+    memoryCache.delete(key);
+    memoryCache.set(key, month);
+    while (memoryCache.size > MAX_MEMORY_MONTHS) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Key for every setting that changes Night 1, so months are only reused
+ * under identical settings and the same version of the Night 1 search
+ * @param {Object} location - Location with name, lat, lon and elevation
+ * @param {Object} settings - { criterion, calendarMode, globalRule, timeZoneMode, conjunctionMode, nightDefinition, sharedNightPolicy, country }
+ * @param {number} algorithmVersion - Version of the Night 1 search that computes the months
+ * @returns {string}
+ */
+export function getCalendarCacheKey(location, settings, algorithmVersion) {
+    return JSON.stringify({
+        version: CACHE_VERSION,
+        algorithm: algorithmVersion,
+        location: [location.name, location.lat, location.lon, location.elevation ?? 0, location.timezone || null],
+        ...settings
+    });
+}
+
+function getMonthKey(cacheKey, conjunction) {
+    // Conjunctions are found to well under an hour either way
+    return `${cacheKey}|${conjunction.toISOString().substring(0, 13)}`;
+}
+
+function isCurrentMonthKey(key, algorithmVersion) {
+    try {
+        const { version, algorithm } = JSON.parse(key.substring(0, key.lastIndexOf('|')));
+        return version === CACHE_VERSION && algorithm === algorithmVersion;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Look up a computed month by the conjunction that starts it
+ * @param {string} cacheKey - From getCalendarCacheKey
+ * @param {Date} conjunction - Conjunction that starts the month
+ * @returns {Promise<Object|null>} Month entry as stored by saveCachedMonth, or null
+ */
+export async function loadCachedMonth(cacheKey, conjunction) {
+    const key = getMonthKey(cacheKey, conjunction);
+    if (memoryCache.has(key)) {
+        const month = memoryCache.get(key);
+        rememberMonth(key, month);
+        return month;
+    }
+
+    const record = await runTransaction('readonly', store => store.get(key));
+    if (!record) return null;
+    rememberMonth(key, record.month);
+    return record.month;
+}
+
+/**
+ * Store a computed month as soon as it is finished
+ * @param {string} cacheKey - From getCalendarCacheKey
+ * @param {Object} month - Month entry with at least a `conjunction` Date
+ * @returns {Promise<void>}
+ */
+export async function saveCachedMonth(cacheKey, month) {
+    const key = getMonthKey(cacheKey, month.conjunction);
+    rememberMonth(key, month);
+    await runTransaction('readwrite', store => store.put({ key, month, savedAt: Date.now() }));
+}
+
+/**
+ * Delete stored months of another cache or algorithm version, then the oldest
+ * ones beyond MAX_STORED_MONTHS
+ * @param {number} algorithmVersion - Version of the Night 1 search in use
+ * @returns {Promise<void>}
+ */
+export async function pruneCalendarCache(algorithmVersion) {
+    // Primary keys only, oldest first
+    const keys = await runTransaction('readonly', store => store.index(SAVED_AT_INDEX).getAllKeys());
+    if (!keys) return;
+
+    const current = keys.filter(key => isCurrentMonthKey(key, algorithmVersion));
+    const stale = [
+        ...keys.filter(key => !isCurrentMonthKey(key, algorithmVersion)),
+        ...current.slice(0, Math.max(0, current.length - MAX_STORED_MONTHS))
+    ];
+    if (stale.length === 0) return;
+
+    stale.forEach(key => memoryCache.delete(key));
+    await runTransaction('readwrite', store => {
+        stale.forEach(key => store.delete(key));
+        return null;
+    });
+}
+
+/**
+ * Forget every cached month
+ * @returns {Promise<void>}
+ */
+export async function clearCalendarCache() {
+    memoryCache.clear();
+    await runTransaction('readwrite', store => store.clear());
+}
+
+/**
+ * Record the parameters of a calendar run before it starts, so it can be
+ * resumed if it is cancelled or the page closes
+ * @param {Object} run - Serializable run parameters
+ */
+export function saveCalendarRun(run) {
+    try {
+        localStorage.setItem(RUN_KEY, JSON.stringify({ ...run, startedAt: Date.now() }));
+    } catch (error) {
+        console.error('[calendarCache] Could not save calendar run:', error);
+    }
+}
+
+/**
+ * The last run that did not finish, or null
+ * @returns {Object|null}
+ */
+export function loadCalendarRun() {
+    try {
+        return JSON.parse(localStorage.getItem(RUN_KEY) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Mark the recorded run as finished
+ */
+export function clearCalendarRun() {
+    try {
+        localStorage.removeItem(RUN_KEY);
+    } catch (error) {
+        console.error('[calendarCache] Could not clear calendar run:', error);
+    }
+}
@@ -0,0 +1,205 @@
+import { getVisibility, getCriterion, getZone, DEFAULT_CRITERION, DEFAULT_ATMOSPHERE, TIME_ZONE_MODES, VISIBILITY_EVENTS, CONJUNCTION_MODES } from './astronomy';
+import { getNight1MethodLabel, getCountryPolicyLabel, resolveGlobalRule, CALENDAR_MODES } from './lunarCalendar';
+import { fromReferenceHijri, REFERENCE_CALENDARS } from './hijriConverter';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Why a computed month start differs from a printed calendar
+ */
+export const DISCREPANCY_REASONS = {
+    NONE: 'none',
+    CRITERION: 'criterion',
+    SHARED_NIGHT: 'shared-night',
+    CONJUNCTION: 'conjunction-timing',
+    CALENDAR_RULE: 'calendar-rule'
+};
+
+const DISCREPANCY_REASON_LABELS = {
+    [DISCREPANCY_REASONS.NONE]: 'Same start',
+    [DISCREPANCY_REASONS.CRITERION]: 'Criterion',
+    [DISCREPANCY_REASONS.SHARED_NIGHT]: 'Shared night',
+    [DISCREPANCY_REASONS.CONJUNCTION]: 'Conjunction timing',
+    [DISCREPANCY_REASONS.CALENDAR_RULE]: 'Calendar rule'
+};
+
+/**
+ * Get a display label for a discrepancy reason
+ * @param {string} reason - One of DISCREPANCY_REASONS
+ * @returns {string}
+ */
+export function getDiscrepancyReasonLabel(reason) {
+    return DISCREPANCY_REASON_LABELS[reason] || reason;
+}
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+/**
+ * The rule or country policy that decides Night 1 outside the visibility mode,
+ * or null when the location's own sighting decides it
+ */
+function getCalendarRuleLabel(calendarData) {
+    switch (calendarData.calendarMode || CALENDAR_MODES.VISIBILITY) {
+        case CALENDAR_MODES.UMM_AL_QURA:
+            return getNight1MethodLabel('umm-al-qura');
+        case CALENDAR_MODES.GLOBAL:
+            return `Global calendar: ${(calendarData.globalRule || resolveGlobalRule()).name}`;
+        case CALENDAR_MODES.COUNTRY:
+            return `${calendarData.country} policy: ${getCountryPolicyLabel(calendarData.countryPolicy)}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Outside the visibility mode the month start is the rule's, whatever the
+ * location saw; null in the visibility mode
+ */
+function explainCalendarRule(month, calendarData) {
+    const ruleLabel = getCalendarRuleLabel(calendarData);
+    if (!ruleLabel) return null;
+    return {
+        reason: DISCREPANCY_REASONS.CALENDAR_RULE,
+        detail: `${ruleLabel} starts the month on the evening of ${formatDay(month.night1Date)}`
+    };
+}
+
+/**
+ * Explain a later computed start: the calendar rule outside the visibility
+ * mode, otherwise what the location saw on the evening the reference calendar
+ * started the month.
+ */
+function explainLaterStart(referenceNight1, month, calendarData, timeZone) {
+    const ruleExplanation = explainCalendarRule(month, calendarData);
+    if (ruleExplanation) return ruleExplanation;
+
+    const { location } = calendarData;
+    const criterionId = calendarData.criterion || DEFAULT_CRITERION;
+    const visibility = getVisibility(referenceNight1, location.lat, location.lon, criterionId, month.conjunctionDate, location.elevation,
+        timeZone, VISIBILITY_EVENTS.EVENING, DEFAULT_ATMOSPHERE, calendarData.conjunctionMode || CONJUNCTION_MODES.GEOCENTRIC);
+    const evening = formatDay(referenceNight1);
+
+    if (visibility.sunsetUTC && month.conjunctionDate > visibility.sunsetUTC) {
+        return {
+            reason: DISCREPANCY_REASONS.CONJUNCTION,
+            detail: `Conjunction (${month.conjunctionDate.toISOString().substring(0, 16).replace('T', ' ')} UTC) came after sunset on the evening of ${evening}`
+        };
+    }
+    if (visibility.code === 'I') {
+        return {
+            reason: DISCREPANCY_REASONS.CONJUNCTION,
+            detail: `Too soon after conjunction: ${visibility.reason ? visibility.reason.toLowerCase() : 'no crescent'} on the evening of ${evening}`
+        };
+    }
+    const zoneLabel = getZone(criterionId, visibility.code)?.label || visibility.code;
+    return {
+        reason: DISCREPANCY_REASONS.CRITERION,
+        detail: `${getCriterion(criterionId)?.name || criterionId}: ${zoneLabel} at ${location.name} on the evening of ${evening}`
+    };
+}
+
+/**
+ * Explain an earlier computed start: the calendar rule outside the visibility
+ * mode, otherwise how Night 1 was found
+ */
+function explainEarlierStart(month, calendarData) {
+    const ruleExplanation = explainCalendarRule(month, calendarData);
+    if (ruleExplanation) return ruleExplanation;
+
+    const evening = formatDay(month.night1Date);
+    const criterionId = calendarData.criterion || DEFAULT_CRITERION;
+    if (month.night1Method === 'shared_night') {
+        return {
+            reason: DISCREPANCY_REASONS.SHARED_NIGHT,
+            detail: `Night 1 on the evening of ${evening} is inherited from sightings that share the night`
+        };
+    }
+    if (month.night1Method === 'direct') {
+        const sightedFrom = month.night1Details?.sightedFrom ? ` from ${month.night1Details.sightedFrom}` : '';
+        const zoneLabel = getZone(criterionId, month.night1Details?.classification)?.label || 'Visible';
+        return {
+            reason: DISCREPANCY_REASONS.CRITERION,
+            detail: `${getCriterion(criterionId)?.name || criterionId}: ${zoneLabel}${sightedFrom} on the evening of ${evening}`
+        };
+    }
+    return {
+        reason: DISCREPANCY_REASONS.CALENDAR_RULE,
+        detail: `${getNight1MethodLabel(month.night1Method)} starts the month on the evening of ${evening}`
+    };
+}
+
+/**
+ * Compare one computed month with a reference calendar
+ */
+function compareWithReference(month, firstDay, calendarId, calendarData, timeZone) {
+    const referenceFirstDay = fromReferenceHijri(month.hijriYear, month.monthNumber, 1, calendarId, firstDay);
+    if (!referenceFirstDay) return null;
+
+    // Positive when the computed month starts after the reference calendar's
+    const difference = Math.round((firstDay - referenceFirstDay) / DAY_MS);
+    const explanation = difference === 0
+        ? { reason: DISCREPANCY_REASONS.NONE, detail: '' }
+        : difference > 0
+            ? explainLaterStart(new Date(referenceFirstDay.getTime() - DAY_MS), month, calendarData, timeZone)
+            : explainEarlierStart(month, calendarData);
+
+    return { firstDay: referenceFirstDay, difference, ...explanation };
+}
+
+/**
+ * Compare every computed month start with the Umm al-Qura and tabular
+ * (islamic-civil) calendars, with the day difference and its likely reason:
+ * - criterion: the crescent was (not) visible at the location by the criterion
+ * - shared night: Night 1 was inherited from sightings elsewhere
+ * - conjunction timing: the printed calendar starts before the Moon could be seen
+ * - calendar rule: a non-visibility mode (Umm al-Qura rule, global rule, country policy) decided
+ *
+ * @param {Object} calendarData - Result of calculateLunarCalendar
+ * @returns {Object} { months: [{ monthName, hijriYear, monthNumber, night1Date, firstDay, night1Method, ummAlQura, tabular }], summary: { ummAlQura, tabular } }
+ *   where each comparison is { firstDay, difference (days, + when computed is later), reason, detail } or null
+ */
+export function getCalendarDiscrepancies(calendarData) {
+    const timeZone = calendarData.timeZoneMode === TIME_ZONE_MODES.CIVIL ? (calendarData.location.timezone || null) : null;
+    const summary = {
+        ummAlQura: { same: 0, earlier: 0, later: 0 },
+        tabular: { same: 0, earlier: 0, later: 0 }
+    };
+
+    const months = calendarData.months.map(month => {
+        // Day 1 is the Gregorian day after the Night 1 evening
+        const firstDay = new Date(month.night1Date.getTime() + DAY_MS);
+        const ummAlQura = compareWithReference(month, firstDay, REFERENCE_CALENDARS.UMM_AL_QURA.id, calendarData, timeZone);
+        const tabular = compareWithReference(month, firstDay, REFERENCE_CALENDARS.TABULAR.id, calendarData, timeZone);
+
+        [['ummAlQura', ummAlQura], ['tabular', tabular]].forEach(([key, comparison]) => {
+            if (!comparison) return;
+            if (comparison.difference === 0) summary[key].same++;
+            else if (comparison.difference < 0) summary[key].earlier++;
+            else summary[key].later++;
+        });
+
+        return {
+            monthName: month.monthName,
+            hijriYear: month.hijriYear,
+            monthNumber: month.monthNumber,
+            night1Date: month.night1Date,
+            firstDay,
+            night1Method: month.night1Method,
+            ummAlQura,
+            tabular
+        };
+    });
+
+    return { months, summary };
+}
+
+/**
+ * Format a day difference, e.g. "+1 day" (computed starts later) or "same day"
+ * @param {number} difference - Days, positive when the computed start is later
+ * @returns {string}
+ */
+export function formatDayDifference(difference) {
+    if (difference === 0) return 'same day';
+    const days = Math.abs(difference);
+    return `${difference > 0 ? '+' : '-'}${days} ${days === 1 ? 'day' : 'days'}`;
+}
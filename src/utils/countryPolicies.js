@@ -0,0 +1,43 @@
+import { MAJOR_CITIES } from '../data/cities';
+import { COUNTRY_POLICIES } from '../data/countryPolicies';
+
+/**
+ * Country of a city, taken from the end of its name ("Karachi, Pakistan" ->
+ * "Pakistan"). Names without a country ("Singapore") are their own country.
+ * @param {Object|string} city - City object or city name
+ * @returns {string} Country name as used in COUNTRY_POLICIES
+ */
+export function getCityCountry(city) {
+    const name = typeof city === 'string' ? city : city?.name || '';
+    const parts = name.split(',');
+    return parts[parts.length - 1].trim();
+}
+
+/**
+ * Cities from cities.js that lie in a country
+ * @param {string} country - Country name
+ * @returns {Array} City objects
+ */
+export function getCountryCities(country) {
+    return MAJOR_CITIES.filter(city => getCityCountry(city) === country);
+}
+
+/**
+ * Look up a country's moon-sighting policy profile
+ * @param {string} country - Country name
+ * @returns {Object|null} Profile from COUNTRY_POLICIES or null if the country has none
+ */
+export function getCountryPolicy(country) {
+    return COUNTRY_POLICIES.find(profile => profile.country === country) || null;
+}
+
+/**
+ * Countries that have both a policy profile and at least one city, sorted by name
+ * @returns {Array<string>} Country names
+ */
+export function getPolicyCountries() {
+    return COUNTRY_POLICIES
+        .map(profile => profile.country)
+        .filter(country => getCountryCities(country).length > 0)
+        .sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,178 @@
+import { TIME_ZONE_MODES, DEFAULT_CRITERION } from './astronomy';
+import { calculateLunarCalendar, getHijriMonthConjunction, ISLAMIC_MONTHS } from './lunarCalendar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reference calendars shown beside a computed conversion, as Intl calendar ids
+ */
+export const REFERENCE_CALENDARS = {
+    TABULAR: { id: 'islamic-civil', name: 'Tabular (islamic-civil)' },
+    UMM_AL_QURA: { id: 'islamic-umalqura', name: 'Umm al-Qura' }
+};
+
+const formatters = {};
+
+/**
+ * Hijri date of a Gregorian date in an Intl Islamic calendar
+ * @param {Date} date - Gregorian date (UTC midnight of that date)
+ * @param {string} calendarId - Intl calendar id, e.g. 'islamic-civil'
+ * @returns {Object|null} { year, month, day, monthName } or null if the runtime lacks the calendar
+ */
+export function toReferenceHijri(date, calendarId) {
+    try {
+        if (!formatters[calendarId]) {
+            formatters[calendarId] = new Intl.DateTimeFormat(`en-u-ca-${calendarId}`, {
+                year: 'numeric', month: 'numeric', day: 'numeric', timeZone: 'UTC'
+            });
+        }
+        const parts = Object.fromEntries(formatters[calendarId].formatToParts(date).map(part => [part.type, part.value]));
+        const year = parseInt(parts.year, 10);
+        const month = parseInt(parts.month, 10);
+        const day = parseInt(parts.day, 10);
+        if (!Number.isFinite(year) || !Number.isFinite(month) || !Number.isFinite(day)) return null;
+        return { year, month, day, monthName: ISLAMIC_MONTHS[month - 1] };
+    } catch (error) {
+        console.error(`[hijriConverter] ${calendarId} calendar unavailable:`, error);
+        return null;
+    }
+}
+
+/**
+ * Gregorian date of a Hijri date in an Intl Islamic calendar, searched within
+ * a few days of an estimate (reference calendars differ from the computed one
+ * by at most a couple of days)
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Hijri day (1-30)
+ * @param {string} calendarId - Intl calendar id
+ * @param {Date} estimate - Gregorian date near the answer (UTC midnight)
+ * @returns {Date|null} UTC midnight of the Gregorian date, or null if the date does not exist in that calendar
+ */
+export function fromReferenceHijri(year, month, day, calendarId, estimate) {
+    const SEARCH_DAYS = 5;
+    for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+        for (const sign of offset === 0 ? [1] : [-1, 1]) {
+            const date = new Date(estimate.getTime() + sign * offset * DAY_MS);
+            const hijri = toReferenceHijri(date, calendarId);
+            if (hijri && hijri.year === year && hijri.month === month && hijri.day === day) return date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reference-calendar equivalents of a Gregorian date
+ */
+function getReferenceDates(date) {
+    return {
+        tabular: toReferenceHijri(date, REFERENCE_CALENDARS.TABULAR.id),
+        ummAlQura: toReferenceHijri(date, REFERENCE_CALENDARS.UMM_AL_QURA.id)
+    };
+}
+
+/**
+ * Computed months covering a date, calculated the same way as the calendar
+ * (civil time zone of the location, so Gregorian dates are the local ones)
+ */
+async function calculateMonthsAround(startDate, location, numMonths, onProgress, shouldCancel, options) {
+    return calculateLunarCalendar(startDate, location, numMonths, onProgress, shouldCancel, {
+        timeZoneMode: TIME_ZONE_MODES.CIVIL,
+        ...options,
+        criterion: options.criterion || DEFAULT_CRITERION
+    });
+}
+
+/**
+ * Convert a Gregorian date to the computed Hijri date at a location.
+ *
+ * A Hijri day begins at the sunset before its Gregorian daytime: with Night 1
+ * on the evening of 1 March, 2 March is day 1. The month is found from the
+ * computed Night 1 chain, exactly as in the lunar calendar.
+ *
+ * @param {Date} date - Gregorian date (UTC midnight of that date)
+ * @param {Object} location - Location with lat, lon, name, elevation and timezone
+ * @param {Function} onProgress - Optional progress callback (percent, 100)
+ * @param {Function} shouldCancel - Optional callback returning true to abort
+ * @param {Object} options - calculateLunarCalendar options (criterion, calendarMode, ...)
+ * @returns {Promise<Object|null>} { gregorianDate, hijri: { year, month, day, monthName }, night1Date, night1Method, night1Details, monthLength, tabular, ummAlQura } or null if cancelled or not found
+ */
+export async function convertGregorianToHijri(date, location, onProgress = null, shouldCancel = () => false, options = {}) {
+    // The evening that starts this Hijri day
+    const eveningKey = new Date(date.getTime() - DAY_MS).toISOString().split('T')[0];
+
+    // Start a few days back so the month is included even if its Night 1 falls
+    // several days after its conjunction
+    const calendar = await calculateMonthsAround(new Date(date.getTime() - 4 * DAY_MS), location, 2, onProgress, shouldCancel, options);
+    if (!calendar) return null;
+
+    for (const month of calendar.months.filter(m => !m.partial)) {
+        const night = month.days.find(day => day.gregorianDateString === eveningKey);
+        if (!night) continue;
+        return {
+            gregorianDate: date,
+            hijri: { year: month.hijriYear, month: month.monthNumber, day: night.nightNumber, monthName: month.monthName },
+            night1Date: month.night1Date,
+            night1Method: month.night1Method,
+            night1Details: month.night1Details,
+            monthLength: month.days.length,
+            ...getReferenceDates(date)
+        };
+    }
+
+    console.error(`[hijriConverter] No computed month covers ${date.toISOString().split('T')[0]}`);
+    return null;
+}
+
+/**
+ * Convert a Hijri date to the Gregorian date at a location, using the computed
+ * Night 1 of that month. Day 30 only exists when the next month's Night 1 is
+ * not seen on the evening of day 29.
+ *
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Hijri day (1-30)
+ * @param {Object} location - Location with lat, lon, name, elevation and timezone
+ * @param {Function} onProgress - Optional progress callback (percent, 100)
+ * @param {Function} shouldCancel - Optional callback returning true to abort
+ * @param {Object} options - calculateLunarCalendar options (criterion, calendarMode, ...)
+ * @returns {Promise<Object|null>} { gregorianDate, eveningBefore, hijri, night1Date, night1Method, night1Details, monthLength, invalidDay, tabular, ummAlQura } or null if cancelled or not found
+ */
+export async function convertHijriToGregorian(year, month, day, location, onProgress = null, shouldCancel = () => false, options = {}) {
+    const conjunction = getHijriMonthConjunction(year, month);
+    if (!conjunction) return null;
+
+    // A day after the conjunction, so the calendar starts with this month
+    const calendar = await calculateMonthsAround(new Date(conjunction.getTime() + DAY_MS), location, 1, onProgress, shouldCancel, options);
+    if (!calendar) return null;
+
+    const computedMonth = calendar.months.find(m => m.hijriYear === year && m.monthNumber === month && !m.partial);
+    if (!computedMonth) {
+        console.error(`[hijriConverter] Month ${month}/${year} not found in the computed calendar`);
+        return null;
+    }
+
+    const monthLength = computedMonth.days.length;
+    const hijri = { year, month, day, monthName: computedMonth.monthName };
+    const base = {
+        hijri,
+        night1Date: computedMonth.night1Date,
+        night1Method: computedMonth.night1Method,
+        night1Details: computedMonth.night1Details,
+        monthLength
+    };
+
+    if (day > monthLength) {
+        return { ...base, gregorianDate: null, eveningBefore: null, invalidDay: true, tabular: null, ummAlQura: null };
+    }
+
+    const gregorianDate = new Date(computedMonth.night1Date.getTime() + day * DAY_MS);
+    return {
+        ...base,
+        gregorianDate,
+        eveningBefore: new Date(gregorianDate.getTime() - DAY_MS),
+        invalidDay: false,
+        tabular: fromReferenceHijri(year, month, day, REFERENCE_CALENDARS.TABULAR.id, gregorianDate),
+        ummAlQura: fromReferenceHijri(year, month, day, REFERENCE_CALENDARS.UMM_AL_QURA.id, gregorianDate)
+    };
+}
@@ -0,0 +1,221 @@
+import HISTORICAL_ANNOUNCEMENTS from '../data/historicalAnnouncements.json';
+import { VISIBILITY_CRITERIA, TIME_ZONE_MODES } from './astronomy';
+import { findCountryNight1, getHijriMonthConjunction, predictCountryMonthStarts, NIGHT1_ALGORITHM_VERSION } from './lunarCalendar';
+import { getCountryPolicy } from './countryPolicies';
+import { COUNTRY_POLICY_TYPES } from '../data/countryPolicies';
+
+// Official month starts as announced in past years, bundled in
+// src/data/historicalAnnouncements.json. Each record is
+// { country, hijriYear, month, firstDay, source }: firstDay is the first full day
+// of the month (YYYY-MM-DD), so its Night 1 is the evening before. Dhul-Hijjah
+// records are counted back from the announced Eid al-Adha (day 10).
+//
+// Extend the file only from the national authority's own announcement; when
+// communities in a country disagreed, record the authority in COUNTRY_POLICIES.
+
+export { HISTORICAL_ANNOUNCEMENTS };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVALUATION_KEY = 'moonvis_announcement_accuracy';
+
+/**
+ * Ways of predicting a country's month start that are scored against the
+ * announcements: the country's own policy, following Saudi Arabia (Umm al-Qura
+ * rule), or local sighting from the country's cities under each criterion
+ */
+export const PREDICTION_MODELS = [
+    { id: 'policy', name: 'Country policy' },
+    { id: 'umm-al-qura', name: 'Follow Saudi Arabia (Umm al-Qura)', profile: { policy: COUNTRY_POLICY_TYPES.FOLLOW_SAUDI } },
+    ...Object.values(VISIBILITY_CRITERIA).map(criterion => ({
+        id: criterion.id,
+        name: `${criterion.name} (local sighting)`,
+        criterion: criterion.id,
+        profile: { policy: COUNTRY_POLICY_TYPES.LOCAL_SIGHTING, criterion: criterion.id }
+    }))
+];
+
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+
+function toPrediction(night1Result, announcedFirstDay) {
+    if (!night1Result?.night1Date) return null;
+    const firstDay = new Date(night1Result.night1Date.getTime() + DAY_MS);
+    return {
+        night1Date: night1Result.night1Date,
+        firstDay,
+        // Positive when the model starts the month after the announcement
+        difference: Math.round((firstDay - announcedFirstDay) / DAY_MS),
+        method: night1Result.method,
+        sightedFrom: night1Result.sightedFrom || null,
+        night1Details: night1Result
+    };
+}
+
+function emptyScore() {
+    return { matches: 0, earlier: 0, later: 0, missing: 0, total: 0 };
+}
+
+function addToScore(score, prediction) {
+    score.total++;
+    if (!prediction) score.missing++;
+    else if (prediction.difference === 0) score.matches++;
+    else if (prediction.difference < 0) score.earlier++;
+    else score.later++;
+}
+
+// Allow UI to update
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Run every prediction model for each historical announcement and score how
+ * often each one gave the announced day, per country and overall.
+ *
+ * Announcements are grouped by Hijri month so the country policies of a month
+ * share one worker pool and one Umm al-Qura or global-rule result. The UI gets
+ * a turn after every model of every announcement.
+ *
+ * @param {Array} records - Announcement records (default: the bundled dataset)
+ * @param {Function} onProgress - Optional callback receiving (completed announcements, total announcements)
+ * @param {Function} shouldCancel - Returns true to abort
+ * @returns {Promise<Object|null>} { rows: [{ record, announcedFirstDay, conjunction, predictions: { [modelId]: prediction|null } }],
+ *   countries: [{ country, profile, scores: { [modelId]: score }, bestModels: [modelId] }], overall: { [modelId]: score } } or null if cancelled,
+ *   where prediction is { night1Date, firstDay, difference (days, + when later), method, sightedFrom, night1Details }
+ *   and score is { matches, earlier, later, missing, total }
+ */
+export async function evaluateHistoricalAnnouncements(records = HISTORICAL_ANNOUNCEMENTS, onProgress = null, shouldCancel = () => false) {
+    const groups = [];
+    records.forEach(record => {
+        const key = `${record.hijriYear}-${record.month}`;
+        const group = groups.find(g => g.key === key);
+        if (group) group.records.push(record);
+        else groups.push({ key, hijriYear: record.hijriYear, month: record.month, records: [record] });
+    });
+
+    const rows = [];
+    let done = 0;
+    for (const group of groups) {
+        if (shouldCancel()) return null;
+        if (onProgress) onProgress(done, records.length);
+
+        const conjunction = getHijriMonthConjunction(group.hijriYear, group.month);
+        if (!conjunction) {
+            console.error(`[historicalAnnouncements] No conjunction for ${group.month}/${group.hijriYear}`);
+            done += group.records.length;
+            continue;
+        }
+
+        const countries = [...new Set(group.records.map(record => record.country))];
+        const policyPredictions = await predictCountryMonthStarts(conjunction, countries, null, shouldCancel);
+        if (!policyPredictions) return null;
+        await yieldToUI();
+
+        for (const record of group.records) {
+            const announcedFirstDay = parseDay(record.firstDay);
+            const policyResult = policyPredictions.find(p => p.country === record.country)?.night1Details;
+            const predictions = { policy: toPrediction(policyResult, announcedFirstDay) };
+
+            for (const model of PREDICTION_MODELS) {
+                if (!model.profile) continue;
+                const night1Result = await findCountryNight1(conjunction, record.country, null, shouldCancel, [], {
+                    timeZoneMode: TIME_ZONE_MODES.CIVIL,
+                    profile: { ...model.profile, country: record.country }
+                });
+                if (shouldCancel()) return null;
+                predictions[model.id] = toPrediction(night1Result, announcedFirstDay);
+                await yieldToUI();
+            }
+
+            rows.push({ record, announcedFirstDay, conjunction, predictions });
+            done++;
+            if (onProgress) onProgress(done, records.length);
+        }
+    }
+
+    const overall = Object.fromEntries(PREDICTION_MODELS.map(model => [model.id, emptyScore()]));
+    const countries = [];
+    rows.forEach(row => {
+        let entry = countries.find(c => c.country === row.record.country);
+        if (!entry) {
+            entry = {
+                country: row.record.country,
+                profile: getCountryPolicy(row.record.country),
+                scores: Object.fromEntries(PREDICTION_MODELS.map(model => [model.id, emptyScore()]))
+            };
+            countries.push(entry);
+        }
+        PREDICTION_MODELS.forEach(model => {
+            addToScore(entry.scores[model.id], row.predictions[model.id]);
+            addToScore(overall[model.id], row.predictions[model.id]);
+        });
+    });
+
+    // Models with the most matches; ties are all listed
+    countries.forEach(entry => {
+        const best = Math.max(...PREDICTION_MODELS.map(model => entry.scores[model.id].matches));
+        entry.bestModels = PREDICTION_MODELS.filter(model => entry.scores[model.id].matches === best).map(model => model.id);
+    });
+    countries.sort((a, b) => a.country.localeCompare(b.country));
+
+    if (onProgress) onProgress(records.length, records.length);
+    return { rows, countries, overall };
+}
+
+// The bundled records an evaluation was run on; a changed dataset is re-run
+const getDatasetSignature = (records) => records.map(record => `${record.country}|${record.hijriYear}|${record.month}|${record.firstDay}`).join(',');
+
+const reviveDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Evaluation saved by saveCachedEvaluation, if it was run on the bundled
+ * dataset with the current Night 1 search. Predictions come back without
+ * night1Details, so the map cannot highlight their source cells.
+ * @returns {Object|null} Result in the form of evaluateHistoricalAnnouncements
+ */
+export function loadCachedEvaluation() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EVALUATION_KEY) || 'null');
+        if (!stored || stored.algorithm !== NIGHT1_ALGORITHM_VERSION || stored.dataset !== getDatasetSignature(HISTORICAL_ANNOUNCEMENTS)) return null;
+        const { rows, countries, overall } = stored.evaluation;
+        return {
+            rows: rows.map(row => ({
+                ...row,
+                announcedFirstDay: reviveDate(row.announcedFirstDay),
+                conjunction: reviveDate(row.conjunction),
+                predictions: Object.fromEntries(Object.entries(row.predictions).map(([modelId, prediction]) => [
+                    modelId,
+                    prediction && { ...prediction, night1Date: reviveDate(prediction.night1Date), firstDay: reviveDate(prediction.firstDay) }
+                ]))
+            })),
+            countries,
+            overall
+        };
+    } catch (error) {
+        console.error('[historicalAnnouncements] Could not read saved evaluation:', error);
+        return null;
+    }
+}
+
+/**
+ * Save an evaluation of the bundled dataset so later visits need not re-run it.
+ * night1Details are left out: a global rule's source cells would not fit in localStorage.
+ * @param {Object} evaluation - Result of evaluateHistoricalAnnouncements
+ */
+export function saveCachedEvaluation(evaluation) {
+    const rows = evaluation.rows.map(row => ({
+        ...row,
+        predictions: Object.fromEntries(Object.entries(row.predictions).map(([modelId, prediction]) => {
+            if (!prediction) return [modelId, null];
+            const compact = { ...prediction };
+            delete compact.night1Details;
+            return [modelId, compact];
+        }))
+    }));
+    try {
+        localStorage.setItem(EVALUATION_KEY, JSON.stringify({
+            algorithm: NIGHT1_ALGORITHM_VERSION,
+            dataset: getDatasetSignature(HISTORICAL_ANNOUNCEMENTS),
+            evaluation: { ...evaluation, rows }
+        }));
+    } catch (error) {
+        console.error('[historicalAnnouncements] Could not save evaluation:', error);
+    }
+}
@@ -1,9 +1,14 @@
-import { getVisibility, getNextNewMoonConjunction, getPrevNewMoonConjunction, getNightWindow } from './astronomy';
+import { getVisibility, getNextNewMoonConjunction, getPrevNewMoonConjunction, getGeocentricConjunction, getNightWindow, getVisibilityWindow, isVisibleCode, createObserver, getCriterion, getTopocentricConjunction, DEFAULT_CRITERION, DEFAULT_ATMOSPHERE, TIME_ZONE_MODES, VISIBILITY_EVENTS, CONJUNCTION_MODES, DEFAULT_NIGHT_DEFINITION, DEFAULT_SHARED_NIGHT_POLICY, resolveNightDefinition, resolveSharedNightPolicy, describeSharedNightPolicy, getGreatCircleDistanceKm, getDailyAlmanac } from './astronomy';
+import { assessNight1Sensitivity } from './sensitivity';
+import { getCityCountry, getCountryCities, getCountryPolicy, getPolicyCountries } from './countryPolicies';
+import { COUNTRY_POLICY_TYPES } from '../data/countryPolicies';
+import { getObservancesForNight } from './observances';
+import { getCalendarCacheKey, loadCachedMonth, saveCachedMonth, pruneCalendarCache } from './calendarCache';
 
 /**
  * Islamic month names in standard transliteration
  */
-const ISLAMIC_MONTHS = [
+export const ISLAMIC_MONTHS = [
     'Muharram',
     'Safar',
     'Rabi al-Awwal',
@@ -18,6 +23,144 @@ const ISLAMIC_MONTHS = [
     'Dhul-Hijjah'
 ];
 
+/**
+ * Calendar modes supported by calculateLunarCalendar
+ */
+export const CALENDAR_MODES = {
+    VISIBILITY: 'visibility',
+    UMM_AL_QURA: 'umm-al-qura',
+    GLOBAL: 'global',
+    COUNTRY: 'country'
+};
+
+/**
+ * Global unified calendar rules: the month starts everywhere once the crescent
+ * is visible anywhere with sunset before `cutoffHoursUT` on the following day.
+ */
+export const GLOBAL_RULES = {
+    fcna: {
+        id: 'fcna',
+        name: 'Visible anywhere before 12:00 UT (FCNA/ISNA)',
+        cutoffHoursUT: 12,
+        americasException: false
+    },
+    istanbul2016: {
+        id: 'istanbul2016',
+        name: 'Visible anywhere before 0h UT, Americas exception (Istanbul 2016)',
+        cutoffHoursUT: 0,
+        americasException: true
+    }
+};
+
+export const DEFAULT_GLOBAL_RULE = 'fcna';
+
+/**
+ * Bounding boxes approximating the American land mass for the Istanbul 2016
+ * exception (the grid has no land mask). Open Pacific cells must not qualify.
+ */
+const AMERICAS_REGIONS = [
+    { latMin: 50, latMax: 72, lonMin: -170, lonMax: -52 }, // Alaska and Canada
+    { latMin: 15, latMax: 50, lonMin: -128, lonMax: -52 }, // Contiguous US, Mexico, Caribbean
+    { latMin: -56, latMax: 15, lonMin: -92, lonMax: -34 } // Central and South America
+];
+
+function isInAmericas(cell) {
+    return AMERICAS_REGIONS.some(r =>
+        cell.lat >= r.latMin && cell.lat <= r.latMax && cell.lon >= r.lonMin && cell.lon <= r.lonMax
+    );
+}
+
+/**
+ * Reference point for "Fajr in New Zealand" (Wellington)
+ */
+const NEW_ZEALAND_LOCATION = { name: 'Wellington', lat: -41.3, lon: 174.8 };
+
+/**
+ * Human-readable labels for each night1Method value
+ */
+const NIGHT1_METHOD_LABELS = {
+    direct: 'Direct visibility',
+    shared_night: 'Shared Night inheritance',
+    'umm-al-qura': 'Umm al-Qura rule (Mecca)',
+    global: 'Global unified calendar'
+};
+
+/**
+ * Get display label for how a month's Night 1 was determined
+ * @param {string} method - night1Method stored on the month
+ * @returns {string} Label for UI and PDF
+ */
+export function getNight1MethodLabel(method) {
+    return NIGHT1_METHOD_LABELS[method] || method;
+}
+
+/**
+ * Describe a country's moon-sighting policy
+ * @param {Object} profile - Entry of COUNTRY_POLICIES
+ * @returns {string} e.g. "Local sighting (Odeh criterion)" or "Global calendar: Visible anywhere before 12:00 UT (FCNA/ISNA)"
+ */
+export function getCountryPolicyLabel(profile) {
+    if (!profile) return 'No policy profile';
+    const criterionName = getCriterion(profile.criterion || DEFAULT_CRITERION)?.name || profile.criterion;
+    switch (profile.policy) {
+        case COUNTRY_POLICY_TYPES.LOCAL_SIGHTING:
+            return `Local sighting (${criterionName})`;
+        case COUNTRY_POLICY_TYPES.CRITERION:
+            return `Calculated criterion (${criterionName})`;
+        case COUNTRY_POLICY_TYPES.GLOBAL:
+            return `Global calendar: ${resolveGlobalRule(profile.globalRule).name}`;
+        case COUNTRY_POLICY_TYPES.FOLLOW_SAUDI:
+            return 'Follows Saudi Arabia (Umm al-Qura rule)';
+        default:
+            return profile.policy;
+    }
+}
+
+function getNearestCellKm(location, cells) {
+    return cells.length > 0
+        ? Math.min(...cells.map(cell => getGreatCircleDistanceKm(location.lat, location.lon, cell.lat, cell.lon)))
+        : null;
+}
+
+/**
+ * Explain a shared-night Night 1: how many visible cells it was inherited from,
+ * the nearest one, and the shared-night policy they had to pass
+ * @param {Object} night1Details - night1Details of a shared_night month
+ * @param {Object} location - Calendar location
+ * @param {Object} sharedNightPolicy - Policy stored on the calendar
+ * @returns {string} e.g. "Inherited from 14 visible cells (nearest 2310 km away); policy: Any overlap, either direction"
+ */
+export function getSharedNightExplanation(night1Details, location, sharedNightPolicy) {
+    // Cached months keep only the count and nearest distance of their cells
+    const cells = night1Details?.inheritedFromCells;
+    const count = cells ? cells.length : (night1Details?.inheritedCellCount ?? 0);
+    const nearestKm = cells ? getNearestCellKm(location, cells) : (night1Details?.nearestInheritedCellKm ?? null);
+    const source = `Inherited from ${count} visible cell${count === 1 ? '' : 's'}${nearestKm !== null ? ` (nearest ${Math.round(nearestKm)} km away)` : ''}`;
+    return `${source}; policy: ${describeSharedNightPolicy(sharedNightPolicy)}`;
+}
+
+/**
+ * Describe how far a topocentric conjunction falls from the geocentric one
+ * @param {Date} topocentricConjunction - Conjunction as seen from the location
+ * @param {Date} geocentricConjunction - Conjunction at the Earth's centre
+ * @returns {string} Signed offset, e.g. "+104 min" (later) or "-14 min" (earlier)
+ */
+export function getConjunctionOffsetLabel(topocentricConjunction, geocentricConjunction) {
+    const minutes = Math.round((topocentricConjunction.getTime() - geocentricConjunction.getTime()) / 60000);
+    return `${minutes >= 0 ? '+' : ''}${minutes} min`;
+}
+
+/**
+ * Reference point for the Umm al-Qura rule (Masjid al-Haram, Mecca)
+ */
+const UMM_AL_QURA_LOCATION = { name: 'Mecca', lat: 21.4225, lon: 39.8262 };
+
+/**
+ * A moonset found more than this long after sunset belongs to the next
+ * evening, i.e. the moon had already set when the sun did.
+ */
+const MAX_SAME_EVENING_LAG_MINUTES = 12 * 60;
+
 /**
  * Simple Gregorian to Hijri conversion
  * Based on mathematical approximation algorithm
@@ -54,7 +197,53 @@ function gregorianToHijri(gregorianDate) {
 }
 
 /**
- * Get Islamic month name for a Gregorian date
+ * Epoch for Hijri month numbering: Shawwal 1420, whose conjunction fell on
+ * 6 Jan 2000 18:14 UTC (Eid al-Fitr on 8 Jan 2000). Months are counted in
+ * lunations from it, so numbering follows the computed conjunctions rather than
+ * the tabular calendar, which drifts up to two days from the real month starts.
+ */
+const HIJRI_EPOCH = { year: 1420, month: 10, conjunction: new Date(Date.UTC(2000, 0, 6, 18, 14)) };
+const MEAN_SYNODIC_MONTH_MS = 29.530588853 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hijri month a number of months after (or before, if negative) another
+ * @param {Object} hijriMonth - { year, month }
+ * @param {number} offset - Months to add
+ * @returns {Object} { year, month, name }
+ */
+export function offsetHijriMonth(hijriMonth, offset) {
+    const index = hijriMonth.year * 12 + (hijriMonth.month - 1) + offset;
+    const year = Math.floor(index / 12);
+    const month = index - year * 12 + 1;
+    return { year, month, name: ISLAMIC_MONTHS[month - 1] };
+}
+
+/**
+ * Hijri month started by a conjunction, counted in lunations from HIJRI_EPOCH.
+ * Real conjunctions stray less than a day from the mean lunation, so rounding
+ * the count is exact for any date this app calculates.
+ * @param {Date} conjunctionDate - Conjunction that starts the month
+ * @returns {Object} { year, month, name }
+ */
+export function getHijriMonthForConjunction(conjunctionDate) {
+    const lunations = Math.round((conjunctionDate - HIJRI_EPOCH.conjunction) / MEAN_SYNODIC_MONTH_MS);
+    return offsetHijriMonth(HIJRI_EPOCH, lunations);
+}
+
+/**
+ * Conjunction that starts a Hijri month (the inverse of getHijriMonthForConjunction)
+ * @param {number} hijriYear - Hijri year, e.g. 1447
+ * @param {number} hijriMonth - 1 (Muharram) to 12 (Dhul-Hijjah)
+ * @returns {Date|null} Geocentric conjunction
+ */
+export function getHijriMonthConjunction(hijriYear, hijriMonth) {
+    const lunations = (hijriYear * 12 + hijriMonth - 1) - (HIJRI_EPOCH.year * 12 + HIJRI_EPOCH.month - 1);
+    return getGeocentricConjunction(new Date(HIJRI_EPOCH.conjunction.getTime() + lunations * MEAN_SYNODIC_MONTH_MS));
+}
+
+/**
+ * Get Islamic month name for a Gregorian date from the tabular calendar.
+ * Computed months are named with getHijriMonthForConjunction instead.
  * @param {Date} gregorianDate - Gregorian date
  * @returns {string} Islamic month name
  */
@@ -94,21 +283,21 @@ export function getHijriYear(gregorianDate) {
 }
 
 /**
- * Check if moon is directly visible at a location (C, B, or A classification)
+ * Check if moon is directly visible at a location (any zone the criterion marks as visible)
  * @param {Date} date - Date to check
- * @param {Object} location - Location with lat and lon properties
+ * @param {Object} location - Location with lat, lon and optional elevation (metres)
  * @param {Date} conjunctionTime - Pre-computed conjunction time for performance
+ * @param {string} criterion - Visibility criterion id (default: 'odeh')
+ * @param {string|null} timeZone - IANA zone for civil local dates (default: longitude-based)
+ * @param {string} conjunctionMode - CONJUNCTION_MODES value for the conjunction rule (default: geocentric)
  * @returns {Object} { visible: boolean, classification: string }
  */
-export function checkDirectVisibility(date, location, conjunctionTime) {
+export function checkDirectVisibility(date, location, conjunctionTime, criterion = DEFAULT_CRITERION, timeZone = null, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC) {
     try {
-        const { lat, lon } = location;
-        const visibility = getVisibility(date, lat, lon, 'odeh', conjunctionTime);
+        const { lat, lon, elevation = 0 } = location;
+        const visibility = getVisibility(date, lat, lon, criterion, conjunctionTime, elevation, timeZone, VISIBILITY_EVENTS.EVENING, DEFAULT_ATMOSPHERE, conjunctionMode);
 
-        // Check if classification is C, B, or A
-        const isVisible = visibility.code === 'VO' ||
-            visibility.code === 'VP' ||
-            visibility.code === 'EV';
+        const isVisible = isVisibleCode(criterion, visibility.code);
 
         return {
             visible: isVisible,
@@ -121,6 +310,70 @@ export function checkDirectVisibility(date, location, conjunctionTime) {
     }
 }
 
+/**
+ * Evaluate the Umm al-Qura rule for the evening of a date in Mecca:
+ * the geocentric conjunction must precede sunset and the moon must set after the sun.
+ * @param {Date} date - Date to check (evening of, UTC midnight)
+ * @returns {Object} { satisfied, conjunctionBeforeSunset, moonsetAfterSunset, conjunctionTime, sunsetUTC, moonsetUTC }
+ */
+export function checkUmmAlQuraRule(date) {
+    const conjunctionTime = getGeocentricConjunction(date);
+    // Pass no conjunction so getVisibility reports sunset/moonset instead of short-circuiting
+    const visibility = getVisibility(date, UMM_AL_QURA_LOCATION.lat, UMM_AL_QURA_LOCATION.lon, DEFAULT_CRITERION, null);
+
+    if (!conjunctionTime || !visibility.sunsetUTC || !visibility.moonsetUTC) {
+        return { satisfied: false, conjunctionBeforeSunset: false, moonsetAfterSunset: false, conjunctionTime };
+    }
+
+    const conjunctionBeforeSunset = conjunctionTime.getTime() < visibility.sunsetUTC.getTime();
+    const moonsetAfterSunset = visibility.lag > 0 && visibility.lag < MAX_SAME_EVENING_LAG_MINUTES;
+
+    return {
+        satisfied: conjunctionBeforeSunset && moonsetAfterSunset,
+        conjunctionBeforeSunset,
+        moonsetAfterSunset,
+        conjunctionTime,
+        sunsetUTC: visibility.sunsetUTC,
+        moonsetUTC: visibility.moonsetUTC
+    };
+}
+
+/**
+ * Find Night 1 under the Umm al-Qura rule.
+ * The first evening after conjunction that satisfies the rule starts the month.
+ * If conjunction precedes sunset but the moon sets first, the month is completed
+ * and the following evening starts it.
+ */
+function findUmmAlQuraNight1(conjunctionDate, shouldCancel = () => false) {
+    const MAX_ITERATIONS = 5;
+    const currentDate = new Date(conjunctionDate);
+    currentDate.setUTCHours(0, 0, 0, 0);
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        if (shouldCancel()) return null;
+
+        const rule = checkUmmAlQuraRule(currentDate);
+        console.log(`[findNight1] Umm al-Qura ${currentDate.toISOString().split('T')[0]}: conjunction before sunset ${rule.conjunctionBeforeSunset}, moonset after sunset ${rule.moonsetAfterSunset}`);
+
+        if (rule.conjunctionBeforeSunset) {
+            const night1Date = new Date(currentDate);
+            if (!rule.moonsetAfterSunset) {
+                night1Date.setUTCDate(night1Date.getUTCDate() + 1);
+            }
+            return {
+                night1Date,
+                method: 'umm-al-qura',
+                ummAlQura: { ...rule, monthCompleted: !rule.moonsetAfterSunset }
+            };
+        }
+
+        currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+    }
+
+    console.error('[findNight1] ✗ Umm al-Qura rule not satisfied after', MAX_ITERATIONS, 'iterations');
+    return null;
+}
+
 /**
  * Generate visibility grid for a given date
  * @param {Date} date - Date to generate grid for
@@ -132,18 +385,83 @@ export function checkDirectVisibility(date, location, conjunctionTime) {
 // generateVisibilityGrid function removed as it is now inlined and optimized within checkSharedNightVisibility
 // to prevent calculating visibility for cells that don't share the night.
 
+/**
+ * Scan the world (Lat -60 to 60) for visible cells, one latitude band per worker.
+ * Uses the worker's 'search_shared' mode; without userNightStart/userNightEnd in
+ * params the worker returns every visible cell instead of only those sharing the night.
+ * @param {Date} date - Date to check
+ * @param {Array} workers - Pool of Web Workers
+ * @param {Object} params - Extra worker params (criterion, conjunctionMode, userNightStart, userNightEnd, userLat, userLon, nightDefinition, sharedNightPolicy)
+ * @returns {Promise<Array>} All matching cells from every band
+ */
+async function scanWorldForVisibleCells(date, workers, params) {
+    // Divide the world (Lat -60 to 60) into chunks for each worker
+    // Total range: 120 degrees
+    const minLat = -60;
+    const maxLat = 60;
+    const totalRange = maxLat - minLat;
+    const rangePerWorker = totalRange / workers.length;
+
+    const workerPromises = workers.map((worker, index) => {
+        const latStart = minLat + (index * rangePerWorker);
+        const latEnd = Math.min(maxLat, latStart + rangePerWorker); // overlapping edge is fine, or subtract small epsilon
+
+        return new Promise((resolve) => {
+            const workId = `shared_search_${date.getTime()}_${index}`;
+
+            const handleMessage = (e) => {
+                const { workId: returnedId, status, data, error } = e.data;
+                if (returnedId !== workId) return; // Ignore stale messages
+
+                worker.removeEventListener('message', handleMessage); // Cleanup listener
+
+                if (status === 'success') {
+                    resolve(data);
+                } else {
+                    console.error('Worker error:', error);
+                    resolve([]); // resolve empty on error to keep other workers going
+                }
+            };
+
+            worker.addEventListener('message', handleMessage);
+
+            worker.postMessage({
+                type: 'search_shared',
+                dateStr: date.toISOString(),
+                workId,
+                params: {
+                    latStart,
+                    latEnd,
+                    ...params
+                }
+            });
+        });
+    });
+
+    // Wait for all workers to finish their band scan
+    const results = await Promise.all(workerPromises);
+
+    // Combine all found cells
+    return results.flat();
+}
+
 /**
  * Check if moon is visible via Shared Night inheritance (Parallelized)
  * @param {Date} date - Date to check
- * @param {Object} location - Location with lat and lon properties
+ * @param {Object} location - Location with lat, lon and optional elevation (metres)
  * @param {Date} conjunctionTime - Pre-computed conjunction time
  * @param {Array} workers - Pool of Web Workers
+ * @param {string} criterion - Visibility criterion id (default: 'odeh')
+ * @param {string|null} timeZone - IANA zone for civil local dates (default: longitude-based)
+ * @param {string} conjunctionMode - CONJUNCTION_MODES value; topocentric is evaluated per grid cell
+ * @param {string|Object} nightDefinition - Night definition for the user's and the cells' night windows (default: astronomical)
+ * @param {Object} sharedNightPolicy - Minimum overlap, direction, distance and continent rules (default: any overlap)
  * @returns {Object} { visible: boolean, inheritedFromCells: Array }
  */
-export async function checkSharedNightVisibility(date, location, conjunctionTime, workers) {
+export async function checkSharedNightVisibility(date, location, conjunctionTime, workers, criterion = DEFAULT_CRITERION, timeZone = null, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, nightDefinition = DEFAULT_NIGHT_DEFINITION, sharedNightPolicy = DEFAULT_SHARED_NIGHT_POLICY) {
     try {
         // Get night window for user's location FIRST
-        const userNightWindow = getNightWindow(location.lat, location.lon, date, conjunctionTime);
+        const userNightWindow = getNightWindow(location.lat, location.lon, date, conjunctionTime, null, location.elevation, timeZone, nightDefinition);
 
         if (!userNightWindow) {
             return { visible: false, inheritedFromCells: [] };
@@ -154,89 +472,259 @@ export async function checkSharedNightVisibility(date, location, conjunctionTime
             return { visible: false, inheritedFromCells: [] };
         }
 
-        // Divide the world (Lat -60 to 60) into chunks for each worker
-        // Total range: 120 degrees
-        const minLat = -60;
-        const maxLat = 60;
-        const totalRange = maxLat - minLat;
-        const rangePerWorker = totalRange / workers.length;
+        const inheritedFromCells = await scanWorldForVisibleCells(date, workers, {
+            criterion,
+            conjunctionMode,
+            nightDefinition,
+            sharedNightPolicy,
+            userLat: location.lat,
+            userLon: location.lon,
+            userNightStart: userNightWindow.nightStart.getTime(),
+            userNightEnd: userNightWindow.nightEnd.getTime()
+        });
 
-        const workerPromises = workers.map((worker, index) => {
-            const latStart = minLat + (index * rangePerWorker);
-            const latEnd = Math.min(maxLat, latStart + rangePerWorker); // overlapping edge is fine, or subtract small epsilon
+        return {
+            visible: inheritedFromCells.length > 0,
+            inheritedFromCells
+        };
+    } catch (error) {
+        console.error('Error checking Shared Night visibility:', error);
+        return { visible: false, inheritedFromCells: [] };
+    }
+}
 
-            return new Promise((resolve) => {
-                const workId = `shared_search_${date.getTime()}_${index}`;
+/**
+ * Resolve a global rule id or custom rule object into a full rule definition
+ * @param {string|Object} globalRule - Id from GLOBAL_RULES or { cutoffHoursUT, americasException }
+ * @returns {Object} Rule definition
+ */
+export function resolveGlobalRule(globalRule = DEFAULT_GLOBAL_RULE) {
+    if (typeof globalRule === 'string') {
+        return GLOBAL_RULES[globalRule] || GLOBAL_RULES[DEFAULT_GLOBAL_RULE];
+    }
+    return {
+        id: 'custom',
+        name: `Visible anywhere before ${globalRule.cutoffHoursUT}:00 UT`,
+        americasException: false,
+        ...globalRule
+    };
+}
 
-                const handleMessage = (e) => {
-                    const { workId: returnedId, status, data, error } = e.data;
-                    if (returnedId !== workId) return; // Ignore stale messages
+/**
+ * Check whether the crescent seen anywhere on Earth on the evening of a date
+ * starts the month globally (Night 1 for every location on that evening).
+ *
+ * A visible cell qualifies when its sunset precedes the rule's cutoff, measured
+ * from 0h UT of the following day. With the Americas exception (Istanbul 2016),
+ * cells in the Americas qualify after the cutoff as long as conjunction happened
+ * before Fajr in New Zealand on that following day.
+ *
+ * @param {Date} date - Date to check (evening of, UTC midnight)
+ * @param {Date} conjunctionTime - Pre-computed conjunction time
+ * @param {Array} workers - Pool of Web Workers
+ * @param {string} criterion - Visibility criterion id
+ * @param {string|Object} globalRule - Id from GLOBAL_RULES or custom rule object
+ * @param {string} conjunctionMode - CONJUNCTION_MODES value for the per-cell conjunction rule
+ *   (the Americas exception always compares the geocentric conjunction with New Zealand Fajr)
+ * @returns {Object} { visible: boolean, qualifyingCells: Array, americasException: boolean }
+ */
+export async function checkGlobalVisibility(date, conjunctionTime, workers, criterion = DEFAULT_CRITERION, globalRule = DEFAULT_GLOBAL_RULE, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC) {
+    const rule = resolveGlobalRule(globalRule);
 
-                    worker.removeEventListener('message', handleMessage); // Cleanup listener
+    try {
+        if (!workers || workers.length === 0) {
+            console.warn('[checkGlobalVisibility] No workers available, skipping global check');
+            return { visible: false, qualifyingCells: [], americasException: false };
+        }
 
-                    if (status === 'success') {
-                        resolve(data);
-                    } else {
-                        console.error('Worker error:', error);
-                        resolve([]); // resolve empty on error to keep other workers going
-                    }
-                };
+        const visibleCells = await scanWorldForVisibleCells(date, workers, { criterion, conjunctionMode });
 
-                worker.addEventListener('message', handleMessage);
-
-                worker.postMessage({
-                    type: 'search_shared',
-                    dateStr: date.toISOString(),
-                    workId,
-                    params: {
-                        latStart,
-                        latEnd,
-                        userNightStart: userNightWindow.nightStart.getTime(),
-                        userNightEnd: userNightWindow.nightEnd.getTime()
-                    }
-                });
-            });
-        });
+        const nextDayStart = new Date(date);
+        nextDayStart.setUTCHours(24, 0, 0, 0);
+        const cutoff = nextDayStart.getTime() + rule.cutoffHoursUT * 3600 * 1000;
 
-        // Wait for all workers to finish their band scan
-        const results = await Promise.all(workerPromises);
+        const beforeCutoff = visibleCells.filter(cell => cell.sunsetUTC < cutoff);
+        if (beforeCutoff.length > 0) {
+            return { visible: true, qualifyingCells: beforeCutoff, americasException: false };
+        }
 
-        // Combine all found cells
-        const inheritedFromCells = results.flat();
+        if (rule.americasException) {
+            const americasCells = visibleCells.filter(isInAmericas);
+            const newZealandNight = getNightWindow(NEW_ZEALAND_LOCATION.lat, NEW_ZEALAND_LOCATION.lon, date, conjunctionTime);
+            const newZealandFajr = newZealandNight?.nightEnd;
 
-        return {
-            visible: inheritedFromCells.length > 0,
-            inheritedFromCells
-        };
+            if (americasCells.length > 0 && newZealandFajr && conjunctionTime &&
+                conjunctionTime.getTime() < newZealandFajr.getTime()) {
+                return { visible: true, qualifyingCells: americasCells, americasException: true };
+            }
+        }
+
+        return { visible: false, qualifyingCells: [], americasException: false };
     } catch (error) {
-        console.error('Error checking Shared Night visibility:', error);
-        return { visible: false, inheritedFromCells: [] };
+        console.error('Error checking global visibility:', error);
+        return { visible: false, qualifyingCells: [], americasException: false };
+    }
+}
+
+/**
+ * Find Night 1 under a global unified calendar rule.
+ * The first evening on which the rule is met is Night 1 for every location.
+ */
+async function findGlobalNight1(conjunctionDate, onDayProgress, shouldCancel, workers, criterion, globalRule, conjunctionMode) {
+    const MAX_ITERATIONS = 5;
+    const rule = resolveGlobalRule(globalRule);
+    const currentDate = new Date(conjunctionDate);
+    currentDate.setUTCHours(0, 0, 0, 0);
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        if (shouldCancel()) return null;
+
+        if (onDayProgress) {
+            onDayProgress(i);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const globalVisibility = await checkGlobalVisibility(currentDate, conjunctionDate, workers, criterion, rule, conjunctionMode);
+        console.log(`[findNight1] Global (${rule.id}) ${currentDate.toISOString().split('T')[0]}: ${globalVisibility.visible} (${globalVisibility.qualifyingCells.length} cells)`);
+
+        if (globalVisibility.visible) {
+            return {
+                night1Date: new Date(currentDate),
+                method: 'global',
+                globalRule: rule,
+                americasException: globalVisibility.americasException,
+                // Highlighted on the map like shared night sources
+                inheritedFromCells: globalVisibility.qualifyingCells
+            };
+        }
+
+        currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+    }
+
+    console.error('[findNight1] ✗ Global rule not met after', MAX_ITERATIONS, 'iterations');
+    return null;
+}
+
+/**
+ * Find Night 1 under a local-sighting or calculated-criterion policy: the first
+ * evening on which the crescent is visible from any of the country's cities.
+ * Each city uses its own local date (civil zone when timeZoneMode is CIVIL).
+ */
+function findLocalSightingNight1(conjunctionDate, cities, shouldCancel, criterion, timeZoneMode, conjunctionMode) {
+    const MAX_ITERATIONS = 5;
+    const currentDate = new Date(conjunctionDate);
+    currentDate.setUTCHours(0, 0, 0, 0);
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        if (shouldCancel()) return null;
+
+        for (const city of cities) {
+            const timeZone = timeZoneMode === TIME_ZONE_MODES.CIVIL ? (city.timezone || null) : null;
+            const directVisibility = checkDirectVisibility(currentDate, city, conjunctionDate, criterion, timeZone, conjunctionMode);
+            if (directVisibility.visible) {
+                console.log(`[findNight1] Local sighting ${currentDate.toISOString().split('T')[0]}: visible from ${city.name} (${directVisibility.classification})`);
+                return {
+                    night1Date: new Date(currentDate),
+                    method: 'direct',
+                    classification: directVisibility.classification,
+                    sightedFrom: city.name,
+                    visibilityWindow: getVisibilityWindow(directVisibility.details),
+                    tzHours: directVisibility.details?.tzHours,
+                    timeZone: directVisibility.details?.timeZone || null
+                };
+            }
+        }
+
+        currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+    }
+
+    console.error('[findNight1] ✗ Not visible from any city after', MAX_ITERATIONS, 'iterations');
+    return null;
+}
+
+/**
+ * Find Night 1 for a country under its policy profile (see COUNTRY_POLICIES).
+ * The result carries the country and its profile next to the usual fields.
+ * @param {Date} conjunctionDate - Conjunction that starts the month
+ * @param {string} country - Country name as used in cities.js
+ * @param {Function} onDayProgress - Optional per-evening progress callback (global policies)
+ * @param {Function} shouldCancel - Returns true to abort
+ * @param {Array} workers - Pool of Web Workers (global policies only)
+ * @param {Object} options - { timeZoneMode, conjunctionMode, profile } where profile replaces the country's own (e.g. to test another criterion)
+ * @returns {Promise<Object|null>} Night 1 result or null
+ */
+export async function findCountryNight1(conjunctionDate, country, onDayProgress = null, shouldCancel = () => false, workers = [], options = {}) {
+    const { timeZoneMode = TIME_ZONE_MODES.LONGITUDE, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC } = options;
+    const profile = options.profile || getCountryPolicy(country);
+    if (!profile) {
+        console.error(`[findNight1] No policy profile for ${country}`);
+        return null;
     }
+
+    const criterion = profile.criterion || DEFAULT_CRITERION;
+    let result;
+    switch (profile.policy) {
+        case COUNTRY_POLICY_TYPES.FOLLOW_SAUDI:
+            result = findUmmAlQuraNight1(conjunctionDate, shouldCancel);
+            break;
+        case COUNTRY_POLICY_TYPES.GLOBAL:
+            result = await findGlobalNight1(conjunctionDate, onDayProgress, shouldCancel, workers, criterion, profile.globalRule, conjunctionMode);
+            break;
+        default:
+            result = findLocalSightingNight1(conjunctionDate, getCountryCities(country), shouldCancel, criterion, timeZoneMode, conjunctionMode);
+    }
+
+    return result ? { ...result, country, countryPolicy: profile } : null;
+}
+
+/**
+ * Find the last morning before a conjunction on which the old (waning) crescent
+ * is visible at the location. Mornings are scanned backward from the conjunction.
+ * @param {Date} conjunctionDate - Conjunction that ends the waning moon
+ * @param {Object} location - Location with lat, lon and optional elevation (metres)
+ * @param {string} criterion - Visibility criterion id (default: 'odeh')
+ * @param {string|null} timeZone - IANA zone for civil local dates (default: longitude-based)
+ * @returns {Object|null} { date, classification, details } or null if not seen in the search window
+ */
+export function findLastOldCrescentMorning(conjunctionDate, location, criterion = DEFAULT_CRITERION, timeZone = null) {
+    const MAX_MORNINGS_BACK = 5;
+    const { lat, lon, elevation = 0 } = location;
+
+    // Start one day after the conjunction's UT date so eastern local dates are covered
+    const startDate = new Date(conjunctionDate);
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() + 1);
+
+    for (let i = 0; i <= MAX_MORNINGS_BACK; i++) {
+        const date = new Date(startDate);
+        date.setUTCDate(startDate.getUTCDate() - i);
+
+        const visibility = getVisibility(date, lat, lon, criterion, conjunctionDate, elevation, timeZone, VISIBILITY_EVENTS.MORNING);
+        if (visibility.sunriseUTC && visibility.sunriseUTC >= conjunctionDate) continue;
+
+        if (isVisibleCode(criterion, visibility.code)) {
+            return { date, classification: visibility.code, details: visibility };
+        }
+    }
+
+    return null;
 }
 
 /**
  * Find Night 1 of a lunar month starting from conjunction date
  */
-export async function findNight1(conjunctionDate, location, workers) {
+export async function findNight1(conjunctionDate, location, workers, options = {}) {
     // Wrapper for backward compatibility if called without progress
-    return findNight1WithProgress(conjunctionDate, location, null, () => false, workers);
+    return findNight1WithProgress(conjunctionDate, location, null, () => false, workers, options);
 }
 
 /**
- * Calculate lunar calendar for a given location
- * @param {Date} startDate - Starting date
- * @param {Object} location - Location with lat, lon, and name properties
- * @param {number} numMonths - Number of lunar months to generate (default: 12)
- * @param {Function} onProgress - Optional callback for progress updates (receives completed month count and total months)
- * @returns {Promise<Object>} Promise resolving to { months: Array, location: Object }
+ * Start a pool of map calculation workers, one per core (clamped 4-16)
+ * @returns {Array<Worker>} Workers; empty if they could not be created
  */
-export async function calculateLunarCalendar(startDate, location, numMonths = 2, onProgress = null, shouldCancel = () => false) {
-    const months = [];
-    const ESTIMATED_DAYS_PER_MONTH = 30;
-
-    // --- WORKER POOL INITIALIZATION ---
+function createWorkerPool() {
     // Determine concurrency: Use hardware concurrency or default to 4, clamped 4-16
-    const concurrency = Math.max(4, Math.min(16, navigator.hardwareConcurrency || 4));
+    const concurrency = Math.max(4, Math.min(16, (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4));
     console.log(`[LunarCalendar] Initializing worker pool with ${concurrency} workers`);
 
     const workers = [];
@@ -249,11 +737,166 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
         // Fallback to empty array? Logic handles it by skipping shared night.
         // Ideally should have fallback synchronous logic but for now logging error.
     }
+    return workers;
+}
+
+// Kept alive between runs so consecutive calculations skip worker start-up
+const WORKER_POOL_IDLE_MS = 60 * 1000;
+let sharedWorkerPool = null;
+let sharedWorkerPoolInUse = false;
+let sharedWorkerPoolTimer = null;
+
+/**
+ * Borrow the shared worker pool, or a pool of its own when another run is
+ * using it. The shared pool is terminated after a minute without use.
+ * @returns {{ workers: Array<Worker>, release: Function }} Call release() when done
+ */
+function acquireWorkerPool() {
+    if (sharedWorkerPoolInUse) {
+        const workers = createWorkerPool();
+        return { workers, release: () => workers.forEach(w => w.terminate()) };
+    }
+
+    clearTimeout(sharedWorkerPoolTimer);
+    if (!sharedWorkerPool) sharedWorkerPool = createWorkerPool();
+    sharedWorkerPoolInUse = true;
+
+    return {
+        workers: sharedWorkerPool,
+        release: () => {
+            sharedWorkerPoolInUse = false;
+            if (sharedWorkerPool.length === 0) {
+                sharedWorkerPool = null;
+                return;
+            }
+            sharedWorkerPoolTimer = setTimeout(() => {
+                console.log('[LunarCalendar] Terminating idle worker pool');
+                sharedWorkerPool.forEach(w => w.terminate());
+                sharedWorkerPool = null;
+            }, WORKER_POOL_IDLE_MS);
+        }
+    };
+}
+
+/**
+ * Problems with a generated month's length. A lunar month has 29 or 30 nights,
+ * so anything else means a Night 1 was misdetected on one side of it.
+ */
+export const MONTH_WARNING_TYPES = {
+    SHORT_MONTH: 'short-month',     // Fewer than 29 nights
+    LONG_MONTH: 'long-month',       // More than 30 nights
+    PARTIAL_MONTH: 'partial-month'  // Next Night 1 not found; ends at the next conjunction
+};
+
+const MIN_MONTH_NIGHTS = 29;
+const MAX_MONTH_NIGHTS = 30;
+
+/**
+ * Check a generated month against the 29/30-night constraint
+ * @param {Object} monthInfo - Pass 1 month entry with islamicMonthName and hijriMonth
+ * @param {number} monthIndex - Index of the month in the calendar
+ * @param {number} nights - Nights generated for the month
+ * @param {boolean} isPartial - True when the month ends at the next conjunction instead of the next Night 1
+ * @returns {Object|null} Warning for calendarData.warnings, or null if the month is fine
+ */
+export function getMonthLengthWarning(monthInfo, monthIndex, nights, isPartial) {
+    const label = `${monthInfo.islamicMonthName} ${monthInfo.hijriMonth.year}`;
+    const base = { monthIndex, monthName: monthInfo.islamicMonthName, hijriYear: monthInfo.hijriMonth.year, nights };
+
+    if (isPartial) {
+        return { ...base, type: MONTH_WARNING_TYPES.PARTIAL_MONTH, message: `${label} is incomplete: the next Night 1 could not be found, so it ends at the next conjunction after ${nights} nights` };
+    }
+    if (nights < MIN_MONTH_NIGHTS) {
+        return { ...base, type: MONTH_WARNING_TYPES.SHORT_MONTH, message: `${label} has only ${nights} nights; Night 1 of this month or the next may be misdetected` };
+    }
+    if (nights > MAX_MONTH_NIGHTS) {
+        return { ...base, type: MONTH_WARNING_TYPES.LONG_MONTH, message: `${label} has ${nights} nights; Night 1 of this month or the next may be misdetected` };
+    }
+    return null;
+}
+
+/**
+ * Month entry as it is cached. Shared-night and global Night 1 details list
+ * their source cells, thousands for a global rule; the cache keeps only their
+ * count and the nearest one's distance, so a cached month is not highlighted
+ * on the map.
+ */
+function toCachedMonth(month, location) {
+    const cells = month.night1Details?.inheritedFromCells;
+    if (!cells) return month;
+    const night1Details = { ...month.night1Details, inheritedCellCount: cells.length, nearestInheritedCellKm: getNearestCellKm(location, cells) };
+    delete night1Details.inheritedFromCells;
+    return { ...month, night1Details };
+}
+
+/**
+ * Directions a multi-month calendar can extend from its start date
+ */
+export const CALENDAR_DIRECTIONS = {
+    FORWARD: 'forward',   // Months from the one containing the start date onwards
+    BACKWARD: 'backward'  // Months up to and including the one containing the start date
+};
+
+// Bump whenever a change to the Night 1 search or the visibility math can move
+// a Night 1, so months and announcement evaluations saved by the previous
+// version are not reused
+export const NIGHT1_ALGORITHM_VERSION = 1;
+
+/**
+ * Calculate lunar calendar for a given location
+ * @param {Date} startDate - Starting date
+ * @param {Object} location - Location with lat, lon, and name properties
+ * @param {number} numMonths - Number of lunar months to generate (default: 12)
+ * @param {Function} onProgress - Optional callback for progress updates (receives completed month count and total months)
+ * @param {Function} shouldCancel - Optional callback returning true to abort the calculation
+ * @param {Object} options - Calculation options
+ * @param {string} options.criterion - Visibility criterion id (default: 'odeh')
+ * @param {string} options.calendarMode - One of CALENDAR_MODES (default: visibility)
+ * @param {string|Object} options.globalRule - Rule for the global mode: id from GLOBAL_RULES or { cutoffHoursUT, americasException }
+ * @param {string} options.timeZoneMode - One of TIME_ZONE_MODES; CIVIL reads local dates in location.timezone (default: longitude)
+ * @param {string} options.conjunctionMode - One of CONJUNCTION_MODES for the "conjunction after sunset" rule (default: geocentric)
+ * @param {string|Object} options.nightDefinition - Id from NIGHT_DEFINITIONS or { id, dawnAngle } for shared-night windows (default: astronomical)
+ * @param {Object} options.sharedNightPolicy - { minOverlapMinutes, direction, maxDistanceKm, sameContinent } for shared-night inheritance (default: any overlap)
+ * @param {string} options.country - Country whose policy the country mode follows (default: the location's country)
+ * @param {string} options.direction - One of CALENDAR_DIRECTIONS: months after or before the start date (default: forward)
+ * @param {boolean} options.useCache - Reuse months already computed with the same settings and store new ones as they finish (default: true)
+ * @returns {Promise<Object>} Promise resolving to { months: Array, location: Object, criterion: string, calendarMode: string, globalRule: Object|null, timeZoneMode: string, conjunctionMode: string, nightDefinition: Object, sharedNightPolicy: Object, country: string|null, countryPolicy: Object|null, direction: string, cachedMonths: number, warnings: Array }
+ *   where warnings are { type (MONTH_WARNING_TYPES), monthIndex, monthName, hijriYear, nights, message }
+ */
+export async function calculateLunarCalendar(startDate, location, numMonths = 2, onProgress = null, shouldCancel = () => false, options = {}) {
+    const { calendarMode = CALENDAR_MODES.VISIBILITY, globalRule = DEFAULT_GLOBAL_RULE, timeZoneMode = TIME_ZONE_MODES.LONGITUDE, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, direction = CALENDAR_DIRECTIONS.FORWARD, useCache = true } = options;
+    const country = calendarMode === CALENDAR_MODES.COUNTRY ? (options.country || getCityCountry(location)) : null;
+    const countryPolicy = country ? getCountryPolicy(country) : null;
+    // Under a country policy its criterion classifies Night 1 and the old crescent
+    const criterion = countryPolicy?.criterion || options.criterion || DEFAULT_CRITERION;
+    const nightDefinition = resolveNightDefinition(options.nightDefinition);
+    const sharedNightPolicy = resolveSharedNightPolicy(options.sharedNightPolicy);
+    const months = [];
+    const ESTIMATED_DAYS_PER_MONTH = 30;
+    const night1Options = { criterion, calendarMode, globalRule, timeZoneMode, conjunctionMode, nightDefinition, sharedNightPolicy, country };
+    const cacheKey = getCalendarCacheKey(location, night1Options, NIGHT1_ALGORITHM_VERSION);
+    let cachedMonths = 0;
+    // Make room for this run's months and drop those of an earlier search
+    if (useCache) await pruneCalendarCache(NIGHT1_ALGORITHM_VERSION);
+
+    // --- WORKER POOL ---
+    // Only shared-night and global searches use workers; the pool is borrowed
+    // on the first month that is not cached
+    const needsWorkers = calendarMode === CALENDAR_MODES.VISIBILITY || calendarMode === CALENDAR_MODES.GLOBAL
+        || countryPolicy?.policy === COUNTRY_POLICY_TYPES.GLOBAL;
+    let workerPool = null;
+    const getWorkers = () => {
+        if (!needsWorkers) return [];
+        if (!workerPool) workerPool = acquireWorkerPool();
+        return workerPool.workers;
+    };
 
     try {
         // ========== PASS 1: CALCULATE ALL NIGHT 1 DATES ==========
         console.log('[LunarCalendar] Pass 1: Calculating all Night 1 dates...');
         const monthData = []; // Store conjunction, night1Date, etc. for each month
+        // One month more than requested: its Night 1 ends the last month
+        const monthsToFind = numMonths + 1;
 
         // Start from the PREVIOUS conjunction to include the month containing the input date
         let passDate = new Date(startDate);
@@ -266,9 +909,19 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
         }
 
         passDate = firstConjunction;
-        console.log(`[LunarCalendar] Starting from previous conjunction: ${passDate.toISOString().split('T')[0]} to include month containing input date`);
+        if (direction === CALENDAR_DIRECTIONS.BACKWARD) {
+            // Step back so the month containing the input date is the last one
+            for (let i = 1; i < numMonths && passDate; i++) {
+                passDate = getPrevNewMoonConjunction(new Date(passDate.getTime() - 24 * 60 * 60 * 1000));
+            }
+            if (!passDate) {
+                console.error('Failed to step back from conjunction:', firstConjunction);
+                return null;
+            }
+        }
+        console.log(`[LunarCalendar] Starting from previous conjunction: ${passDate.toISOString().split('T')[0]} to include month containing input date (${direction})`);
 
-        for (let monthIndex = 0; monthIndex < numMonths; monthIndex++) {
+        for (let monthIndex = 0; monthIndex < monthsToFind; monthIndex++) {
             // Check for cancellation
             if (shouldCancel()) {
                 console.log('Calculation cancelled by user');
@@ -277,7 +930,7 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
 
             // Report Pass 1 progress (0-50%)
             if (onProgress) {
-                const passProgress = (monthIndex / numMonths) * 50;
+                const passProgress = (monthIndex / monthsToFind) * 50;
                 onProgress(passProgress, 100);
             }
 
@@ -289,6 +942,22 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
                 break;
             }
 
+            // Number the first month from the epoch, then count forward so
+            // consecutive months can never skip or repeat a name
+            const hijriMonth = monthData.length > 0
+                ? offsetHijriMonth(monthData[monthData.length - 1].hijriMonth, 1)
+                : getHijriMonthForConjunction(conjunction);
+            const islamicMonthName = hijriMonth.name;
+
+            const cachedMonth = useCache ? await loadCachedMonth(cacheKey, conjunction) : null;
+            if (cachedMonth) {
+                monthData.push({ ...cachedMonth, hijriMonth, islamicMonthName });
+                cachedMonths++;
+                console.log(`[LunarCalendar] Pass 1: Month ${monthIndex + 1} (${islamicMonthName} ${hijriMonth.year}) - Night 1: ${cachedMonth.night1Date.toISOString().split('T')[0]} (cached)`);
+                passDate = new Date(cachedMonth.nextConjunction);
+                continue;
+            }
+
             // Find Night 1 for this lunar month
             const night1Result = await findNight1WithProgress(
                 conjunction,
@@ -296,13 +965,14 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
                 (dayIndex) => {
                     if (onProgress) {
                         // Calculate sub-progress within Pass 1
-                        const baseProgress = (monthIndex / numMonths) * 50;
-                        const monthProgress = (dayIndex / ESTIMATED_DAYS_PER_MONTH) * (1 / numMonths) * 25;
+                        const baseProgress = (monthIndex / monthsToFind) * 50;
+                        const monthProgress = (dayIndex / ESTIMATED_DAYS_PER_MONTH) * (1 / monthsToFind) * 25;
                         onProgress(baseProgress + monthProgress, 100);
                     }
                 },
                 shouldCancel,
-                workers
+                getWorkers(),
+                night1Options
             );
 
             if (!night1Result) {
@@ -317,6 +987,29 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
 
             const night1Date = night1Result.night1Date;
 
+            // Close-call check: would plausible model perturbations move Night 1?
+            // Only the visibility mode depends on this location's own sightings.
+            const night1Sensitivity = calendarMode === CALENDAR_MODES.VISIBILITY
+                ? assessNight1Sensitivity(night1Result, location, conjunction, criterion, {
+                    timeZone: timeZoneMode === TIME_ZONE_MODES.CIVIL ? (location.timezone || null) : null,
+                    conjunctionMode
+                })
+                : null;
+
+            // Topocentric conjunction at the location, reported alongside the geocentric one
+            const topocentricConjunction = getTopocentricConjunction(
+                createObserver(location.lat, location.lon, location.elevation),
+                conjunction
+            );
+
+            // Last sighting of the previous month's old crescent at this location
+            const lastOldCrescentMorning = findLastOldCrescentMorning(
+                conjunction,
+                location,
+                criterion,
+                timeZoneMode === TIME_ZONE_MODES.CIVIL ? (location.timezone || null) : null
+            );
+
             // Find next conjunction for reference
             const nextConjunction = getNextNewMoonConjunction(
                 new Date(conjunction.getTime() + 24 * 60 * 60 * 1000)
@@ -327,21 +1020,22 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
                 break;
             }
 
-            // Determine Islamic month name based on full moon date (approximate day 14)
-            const approxDay14 = new Date(night1Date);
-            approxDay14.setDate(approxDay14.getDate() + 13);
-            const islamicMonthName = getIslamicMonthName(approxDay14);
-
-            monthData.push({
+            const computedMonth = {
                 conjunction,
+                topocentricConjunction,
                 night1Date,
                 night1Method: night1Result.method,
                 night1Details: night1Result,
-                nextConjunction,
-                islamicMonthName
-            });
+                night1Sensitivity,
+                lastOldCrescentMorning,
+                nextConjunction
+            };
+            monthData.push({ ...computedMonth, hijriMonth, islamicMonthName });
 
-            console.log(`[LunarCalendar] Pass 1: Month ${monthIndex + 1} (${islamicMonthName}) - Night 1: ${night1Date.toISOString().split('T')[0]}`);
+            // Persist as soon as the month is done so a cancelled run can resume
+            if (useCache) await saveCachedMonth(cacheKey, toCachedMonth(computedMonth, location));
+
+            console.log(`[LunarCalendar] Pass 1: Month ${monthIndex + 1} (${islamicMonthName} ${hijriMonth.year}) - Night 1: ${night1Date.toISOString().split('T')[0]}`);
 
             // Allow UI to update
             await new Promise(resolve => setTimeout(resolve, 0));
@@ -352,8 +1046,12 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
 
         // ========== PASS 2: GENERATE DAYS FOR EACH MONTH ==========
         console.log('[LunarCalendar] Pass 2: Generating days for each month...');
+        // The extra month found in Pass 1 only bounds the last one
+        const monthCount = Math.min(numMonths, monthData.length);
+        const warnings = [];
+        const almanacTimeZone = timeZoneMode === TIME_ZONE_MODES.CIVIL ? location.timezone : null;
 
-        for (let monthIndex = 0; monthIndex < monthData.length; monthIndex++) {
+        for (let monthIndex = 0; monthIndex < monthCount; monthIndex++) {
             // Check for cancellation
             if (shouldCancel()) {
                 console.log('Calculation cancelled by user');
@@ -362,7 +1060,7 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
 
             // Report Pass 2 progress (50-100%)
             if (onProgress) {
-                const passProgress = 50 + ((monthIndex / monthData.length) * 50);
+                const passProgress = 50 + ((monthIndex / monthCount) * 50);
                 onProgress(passProgress, 100);
             }
 
@@ -370,29 +1068,35 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
             const night1Date = monthInfo.night1Date;
 
             // Determine the end date for this month
-            // If there's a next month, stop before its Night 1
-            // Otherwise, use the next conjunction
+            // Stop before the next month's Night 1; only if that could not be
+            // found does the month end at the next conjunction (a partial month)
             let monthEndDate;
-            if (monthIndex + 1 < monthData.length) {
+            const isPartial = monthIndex + 1 >= monthData.length;
+            if (!isPartial) {
                 // Use next month's Night 1 as the boundary
                 monthEndDate = monthData[monthIndex + 1].night1Date;
                 console.log(`[LunarCalendar] Pass 2: Month ${monthIndex + 1} ends before ${monthEndDate.toISOString().split('T')[0]} (next month's Night 1)`);
             } else {
-                // Last month: use next conjunction as boundary
                 monthEndDate = monthInfo.nextConjunction;
-                console.log(`[LunarCalendar] Pass 2: Month ${monthIndex + 1} (last) ends at conjunction ${monthEndDate.toISOString().split('T')[0]}`);
+                console.warn(`[LunarCalendar] Pass 2: Month ${monthIndex + 1} ends at conjunction ${monthEndDate.toISOString().split('T')[0]} (next Night 1 not found)`);
             }
 
             // Generate all days in this lunar month
             const days = [];
             let dayDate = new Date(night1Date);
             let nightNumber = 1;
+            // The month's conjunctions give each day's moon age without a phase search
+            const monthConjunctions = [monthInfo.conjunction, monthInfo.nextConjunction];
 
             while (dayDate < monthEndDate) {
                 days.push({
                     nightNumber,
                     gregorianDate: new Date(dayDate),
-                    gregorianDateString: dayDate.toISOString().split('T')[0]
+                    gregorianDateString: dayDate.toISOString().split('T')[0],
+                    // Built-in observances; user-defined ones are matched when displayed
+                    observances: getObservancesForNight(monthInfo.hijriMonth.month, nightNumber),
+                    // Sunset, moonset, moon age and illumination for the day row
+                    almanac: getDailyAlmanac(new Date(dayDate), location.lat, location.lon, location.elevation, almanacTimeZone, monthConjunctions)
                 });
 
                 dayDate.setDate(dayDate.getDate() + 1);
@@ -401,14 +1105,26 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
 
             console.log(`[LunarCalendar] Pass 2: Month ${monthIndex + 1} (${monthInfo.islamicMonthName}) has ${days.length} nights`);
 
+            const monthWarning = getMonthLengthWarning(monthInfo, monthIndex, days.length, isPartial);
+            if (monthWarning) {
+                console.warn(`[LunarCalendar] Pass 2: ${monthWarning.message}`);
+                warnings.push(monthWarning);
+            }
+
             months.push({
                 monthName: monthInfo.islamicMonthName,
+                monthNumber: monthInfo.hijriMonth.month,
+                hijriYear: monthInfo.hijriMonth.year,
                 conjunctionDate: monthInfo.conjunction,
+                topocentricConjunctionDate: monthInfo.topocentricConjunction,
                 night1Date: monthInfo.night1Date,
                 night1Method: monthInfo.night1Method,
                 night1Details: monthInfo.night1Details,
+                night1Sensitivity: monthInfo.night1Sensitivity,
+                lastOldCrescentMorning: monthInfo.lastOldCrescentMorning,
                 nextConjunctionDate: monthInfo.nextConjunction,
-                days
+                days,
+                partial: isPartial
             });
 
             // Allow UI to update
@@ -418,24 +1134,52 @@ export async function calculateLunarCalendar(startDate, location, numMonths = 2,
         return {
             months,
             location,
+            criterion,
+            calendarMode,
+            globalRule: calendarMode === CALENDAR_MODES.GLOBAL ? resolveGlobalRule(globalRule) : null,
+            timeZoneMode,
+            conjunctionMode,
+            // Shared-night Night 1 depends on where the night ends; recorded for the PDF
+            nightDefinition,
+            // Committees differ on overlap, direction and distance; recorded for the Night 1 explanation
+            sharedNightPolicy,
+            country,
+            countryPolicy,
+            direction,
+            cachedMonths,
+            // Months outside 29-30 nights or cut short; shown by the modal and PDF
+            warnings,
             generatedAt: new Date()
         };
     } finally {
-        // TERMINATE WORKERS
-        console.log('[LunarCalendar] Terminating worker pool');
-        workers.forEach(w => w.terminate());
+        // Hand the workers back for the next run
+        if (workerPool) workerPool.release();
     }
 }
 
 /**
  * Find Night 1 with progress reporting
  */
-async function findNight1WithProgress(conjunctionDate, location, onDayProgress = null, shouldCancel = () => false, workers = []) {
+async function findNight1WithProgress(conjunctionDate, location, onDayProgress = null, shouldCancel = () => false, workers = [], options = {}) {
+    const { criterion = DEFAULT_CRITERION, calendarMode = CALENDAR_MODES.VISIBILITY, globalRule = DEFAULT_GLOBAL_RULE, timeZoneMode = TIME_ZONE_MODES.LONGITUDE, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, nightDefinition = DEFAULT_NIGHT_DEFINITION, sharedNightPolicy = DEFAULT_SHARED_NIGHT_POLICY, country = null } = options;
+    const timeZone = timeZoneMode === TIME_ZONE_MODES.CIVIL ? (location.timezone || null) : null;
     const MAX_ITERATIONS = 35;
     let currentDate = new Date(conjunctionDate);
 
+    if (calendarMode === CALENDAR_MODES.UMM_AL_QURA) {
+        return findUmmAlQuraNight1(conjunctionDate, shouldCancel);
+    }
+
+    if (calendarMode === CALENDAR_MODES.GLOBAL) {
+        return findGlobalNight1(conjunctionDate, onDayProgress, shouldCancel, workers, criterion, globalRule, conjunctionMode);
+    }
+
+    if (calendarMode === CALENDAR_MODES.COUNTRY) {
+        return findCountryNight1(conjunctionDate, country || getCityCountry(location), onDayProgress, shouldCancel, workers, { timeZoneMode, conjunctionMode });
+    }
+
     console.log(`[findNight1] Starting search from conjunction: ${conjunctionDate.toISOString()}`);
-    console.log(`[findNight1] Location: ${location.name} (${location.lat}, ${location.lon})`);
+    console.log(`[findNight1] Location: ${location.name} (${location.lat}, ${location.lon}), criterion: ${criterion}, time zone: ${timeZone || 'longitude-based'}, conjunction: ${conjunctionMode}, night: ${resolveNightDefinition(nightDefinition).name}, shared-night policy: ${describeSharedNightPolicy(sharedNightPolicy)}`);
 
     for (let i = 0; i < MAX_ITERATIONS; i++) {
         // Check cancellation
@@ -453,7 +1197,7 @@ async function findNight1WithProgress(conjunctionDate, location, onDayProgress =
         console.log(`[findNight1] Day ${i}: Checking ${currentDate.toISOString().split('T')[0]}`);
 
         // Check direct visibility first
-        const directVisibility = checkDirectVisibility(currentDate, location, conjunctionDate);
+        const directVisibility = checkDirectVisibility(currentDate, location, conjunctionDate, criterion, timeZone, conjunctionMode);
         console.log(`[findNight1]   Direct visibility: ${directVisibility.visible} (${directVisibility.classification})`);
 
         if (directVisibility.visible) {
@@ -461,13 +1205,17 @@ async function findNight1WithProgress(conjunctionDate, location, onDayProgress =
             return {
                 night1Date: new Date(currentDate),
                 method: 'direct',
-                classification: directVisibility.classification
+                classification: directVisibility.classification,
+                // When to look on Night 1 at this location
+                visibilityWindow: getVisibilityWindow(directVisibility.details),
+                tzHours: directVisibility.details?.tzHours,
+                timeZone: directVisibility.details?.timeZone || null
             };
         }
 
         // If not directly visible, check Shared Night criteria
         // NOW ASYNC/PARALLEL
-        const sharedNightVisibility = await checkSharedNightVisibility(currentDate, location, conjunctionDate, workers);
+        const sharedNightVisibility = await checkSharedNightVisibility(currentDate, location, conjunctionDate, workers, criterion, timeZone, conjunctionMode, nightDefinition, sharedNightPolicy);
         console.log(`[findNight1]   Shared Night visibility: ${sharedNightVisibility.visible}`);
 
         if (sharedNightVisibility.visible) {
@@ -487,3 +1235,63 @@ async function findNight1WithProgress(conjunctionDate, location, onDayProgress =
     console.error('[findNight1] ✗ Failed to find Night 1 after', MAX_ITERATIONS, 'iterations');
     return null;
 }
+
+/**
+ * Predict the start of one lunar month in every country under its policy
+ * profile. Countries sharing a rule (follow Saudi Arabia, the same global rule)
+ * are calculated once; a worker pool is only started for global rules.
+ *
+ * @param {Date} conjunctionDate - Conjunction that starts the month (see getHijriMonthConjunction)
+ * @param {Array<string>} countries - Country names (default: every country with a profile and a city)
+ * @param {Function} onProgress - Optional callback receiving (completed, total)
+ * @param {Function} shouldCancel - Returns true to abort
+ * @returns {Promise<Array|null>} [{ country, profile, night1Date, firstDay, method, sightedFrom, night1Details }] sorted by start, or null if cancelled
+ */
+export async function predictCountryMonthStarts(conjunctionDate, countries = getPolicyCountries(), onProgress = null, shouldCancel = () => false) {
+    const profiles = countries.map(country => getCountryPolicy(country)).filter(Boolean);
+    const needsWorkers = profiles.some(profile => profile.policy === COUNTRY_POLICY_TYPES.GLOBAL);
+    const workerPool = needsWorkers ? acquireWorkerPool() : null;
+    const workers = workerPool ? workerPool.workers : [];
+    const sharedResults = new Map(); // Rule key -> Night 1 result
+
+    try {
+        const predictions = [];
+        for (let i = 0; i < profiles.length; i++) {
+            if (shouldCancel()) return null;
+            if (onProgress) onProgress(i, profiles.length);
+
+            const profile = profiles[i];
+            const ruleKey = profile.policy === COUNTRY_POLICY_TYPES.FOLLOW_SAUDI
+                ? profile.policy
+                : profile.policy === COUNTRY_POLICY_TYPES.GLOBAL ? `${profile.policy}:${profile.globalRule}:${profile.criterion}` : null;
+
+            let night1Result = ruleKey ? sharedResults.get(ruleKey) : null;
+            if (!night1Result) {
+                night1Result = await findCountryNight1(conjunctionDate, profile.country, null, shouldCancel, workers, { timeZoneMode: TIME_ZONE_MODES.CIVIL });
+                if (ruleKey && night1Result) sharedResults.set(ruleKey, night1Result);
+            }
+
+            const firstDay = night1Result ? new Date(night1Result.night1Date) : null;
+            if (firstDay) firstDay.setUTCDate(firstDay.getUTCDate() + 1);
+
+            predictions.push({
+                country: profile.country,
+                profile,
+                night1Date: night1Result?.night1Date || null,
+                // The evening of Night 1 begins the month; the first full day is the next date
+                firstDay,
+                method: night1Result?.method || null,
+                sightedFrom: night1Result?.sightedFrom || null,
+                night1Details: night1Result
+            });
+
+            // Allow UI to update
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        if (onProgress) onProgress(profiles.length, profiles.length);
+        return predictions.sort((a, b) => (a.firstDay?.getTime() ?? Infinity) - (b.firstDay?.getTime() ?? Infinity) || a.country.localeCompare(b.country));
+    } finally {
+        if (workerPool) workerPool.release();
+    }
+}
@@ -4,6 +4,22 @@ export const globalCalculationTracking = {
     dataCache: new Map()
 };
 
+// Night definition id, plus the angle for the custom Fajr definition
+const getNightDefinitionKey = (nightDefinition) => {
+    if (!nightDefinition || typeof nightDefinition === 'string') return nightDefinition || 'astronomical';
+    return nightDefinition.id === 'fajr' ? `fajr@${nightDefinition.dawnAngle}` : nightDefinition.id;
+};
+
+/**
+ * Cache key for a computed grid. Grids differ per criterion and per
+ * evening/morning event, so both are part of the key alongside the reference date.
+ * Physical criteria also depend on the atmosphere settings, and every grid
+ * on the conjunction mode used by the "conjunction after sunset" rule and on
+ * the night definition that sets the cells' night windows.
+ */
+export const getGridCacheKey = (dateStr, criterion, event = 'evening', atmosphere = null, conjunctionMode = 'geocentric', nightDefinition = 'astronomical') =>
+    `${dateStr}|${criterion}|${event}|${conjunctionMode}|${getNightDefinitionKey(nightDefinition)}${atmosphere ? `|${JSON.stringify(atmosphere)}` : ''}`;
+
 export const resetGlobalCalculationTracking = () => {
     console.log('[MoonMap] Resetting global calculation tracking');
     globalCalculationTracking.inProgress = false;
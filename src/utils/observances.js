@@ -0,0 +1,81 @@
+import { OBSERVANCES, OBSERVANCE_TIMES } from '../data/observances';
+
+const CUSTOM_OBSERVANCES_KEY = 'moonvis_custom_observances';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Observances on a night of a Hijri month. Night N is the evening that begins
+ * Hijri day N, so calendar rows (one per night) match observance days directly.
+ * @param {number} monthNumber - Hijri month, 1 (Muharram) to 12 (Dhul-Hijjah)
+ * @param {number} nightNumber - Night of the month (1-30)
+ * @param {Array} observances - Observance definitions (default: the built-in OBSERVANCES)
+ * @returns {Array} [{ id, name, time, custom }]
+ */
+export function getObservancesForNight(monthNumber, nightNumber, observances = OBSERVANCES) {
+    return observances
+        .filter(observance => (observance.month === null || observance.month === monthNumber) && observance.days.includes(nightNumber))
+        .map(observance => ({ id: observance.id, name: observance.name, time: observance.time, custom: observance.custom === true }));
+}
+
+/**
+ * Gregorian date an observance falls on for a calendar row: the evening itself
+ * for night observances, the following daytime for day observances.
+ * @param {Object} day - Calendar day ({ gregorianDate, ... })
+ * @param {Object} observance - Entry from getObservancesForNight
+ * @returns {Date}
+ */
+export function getObservanceDate(day, observance) {
+    return observance.time === OBSERVANCE_TIMES.NIGHT
+        ? new Date(day.gregorianDate)
+        : new Date(day.gregorianDate.getTime() + DAY_MS);
+}
+
+/**
+ * Create a user-defined recurring observance
+ * @param {string} name - Display name
+ * @param {number|null} month - Hijri month (1-12), or null for every month
+ * @param {number} day - Hijri day (1-30)
+ * @param {string} time - One of OBSERVANCE_TIMES (default: day)
+ * @returns {Object|null} Observance definition, or null if the input is invalid
+ */
+export function createCustomObservance(name, month, day, time = OBSERVANCE_TIMES.DAY) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) return null;
+    if (month !== null && !(Number.isInteger(month) && month >= 1 && month <= 12)) return null;
+    if (!(Number.isInteger(day) && day >= 1 && day <= 30)) return null;
+    if (!Object.values(OBSERVANCE_TIMES).includes(time)) return null;
+    return {
+        id: `custom-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: trimmedName,
+        month,
+        days: [day],
+        time,
+        custom: true
+    };
+}
+
+/**
+ * User-defined observances saved in this browser
+ * @returns {Array} Observance definitions
+ */
+export function loadCustomObservances() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_OBSERVANCES_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter(observance => observance && observance.name && Array.isArray(observance.days)) : [];
+    } catch (error) {
+        console.error('[observances] Could not read custom observances:', error);
+        return [];
+    }
+}
+
+/**
+ * Save user-defined observances in this browser
+ * @param {Array} observances - Observance definitions
+ */
+export function saveCustomObservances(observances) {
+    try {
+        localStorage.setItem(CUSTOM_OBSERVANCES_KEY, JSON.stringify(observances));
+    } catch (error) {
+        console.error('[observances] Could not save custom observances:', error);
+    }
+}
@@ -1,6 +1,11 @@
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
-import { getHijriYear } from './lunarCalendar';
+import { getNight1MethodLabel, getSharedNightExplanation, getCountryPolicyLabel, getConjunctionOffsetLabel, CALENDAR_MODES } from './lunarCalendar';
+import { getCriterion, getZone, normalizeElevation, formatVisibilityWindow, DEFAULT_CRITERION, TIME_ZONE_MODES, CONJUNCTION_MODES, resolveNightDefinition, describeSharedNightPolicy } from './astronomy';
+import { getDiscrepancyReasonLabel, formatDayDifference, DISCREPANCY_REASONS } from './calendarDiscrepancies';
+import { getObservancesForNight, getObservanceDate } from './observances';
+import { OBSERVANCE_TIMES } from '../data/observances';
+import { getPrayerTimes, getPrayerMethod, formatPrayerTime, PRAYER_NAMES, ASR_METHODS } from './prayerTimes';
 
 /**
  * Capture the map container (Canvas + SVG) as a JPEG image
@@ -45,9 +50,12 @@ export async function captureMapAsImage(mapContainer) {
  * @param {Object} calendarData - Calendar data from calculateLunarCalendar
  * @param {Function} captureMapCallback - Callback to trigger map capture for a specific date
  * @param {Function} checkCancelled - Optional callback that returns true if export should be cancelled
+ * @param {Object|null} prayerSettings - Prayer-time settings (see DEFAULT_PRAYER_SETTINGS) to add daily prayer columns, or null
+ * @param {Object|null} discrepancyReport - Result of getCalendarDiscrepancies to add a comparison with printed calendars, or null
+ * @param {Array} customObservances - User-defined observances listed with the built-in ones
  * @returns {Promise<void>}
  */
-export async function generateLunarCalendarPDF(calendarData, captureMapCallback, onProgress, checkCancelled) {
+export async function generateLunarCalendarPDF(calendarData, captureMapCallback, onProgress, checkCancelled, prayerSettings = null, discrepancyReport = null, customObservances = []) {
     console.log('--- STARTING PDF EXPORT DEBUG ---');
 
     if (!calendarData || !calendarData.months) {
@@ -96,9 +104,114 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
     yPosition += 6;
     pdf.text(`Coordinates: Lat: ${Math.abs(calendarData.location.lat).toFixed(2)}°${calendarData.location.lat >= 0 ? 'N' : 'S'}, Long: ${Math.abs(calendarData.location.lon).toFixed(2)}°${calendarData.location.lon >= 0 ? 'E' : 'W'}`, margin, yPosition);
     yPosition += 6;
+    pdf.text(calendarData.timeZoneMode === TIME_ZONE_MODES.CIVIL
+        ? `Local Dates: Civil time zone (${calendarData.location.timezone || 'longitude-based fallback'})`
+        : 'Local Dates: Longitude-based offset (lon / 15)', margin, yPosition);
+    yPosition += 6;
+    pdf.text(`Observer Elevation: ${normalizeElevation(calendarData.location.elevation)} m (horizon dip applied)`, margin, yPosition);
+    yPosition += 6;
+    const criterionId = calendarData.criterion || DEFAULT_CRITERION;
+    if (calendarData.calendarMode === CALENDAR_MODES.UMM_AL_QURA) {
+        pdf.text('Calendar Mode: Umm al-Qura (Mecca conjunction and moonset rule)', margin, yPosition);
+    } else if (calendarData.calendarMode === CALENDAR_MODES.COUNTRY) {
+        pdf.text(`Country Policy: ${calendarData.country} - ${getCountryPolicyLabel(calendarData.countryPolicy)}`, margin, yPosition);
+    } else {
+        pdf.text(`Criterion: ${getCriterion(criterionId)?.name || criterionId}`, margin, yPosition);
+    }
+    if (calendarData.calendarMode !== CALENDAR_MODES.UMM_AL_QURA) {
+        yPosition += 6;
+        pdf.text(calendarData.conjunctionMode === CONJUNCTION_MODES.TOPOCENTRIC
+            ? 'Conjunction Rule: Topocentric (conjunction as seen from each location)'
+            : 'Conjunction Rule: Geocentric (conjunction at the Earth\'s centre)', margin, yPosition);
+    }
+    if (calendarData.calendarMode === CALENDAR_MODES.VISIBILITY && calendarData.nightDefinition) {
+        yPosition += 6;
+        const sharedNightLines = pdf.splitTextToSize(`Shared Night: ${resolveNightDefinition(calendarData.nightDefinition).name}; ${describeSharedNightPolicy(calendarData.sharedNightPolicy)}`, contentWidth);
+        pdf.text(sharedNightLines, margin, yPosition);
+        yPosition += 6 * (sharedNightLines.length - 1);
+    }
+    if (calendarData.calendarMode === CALENDAR_MODES.GLOBAL && calendarData.globalRule) {
+        yPosition += 6;
+        pdf.text(`Global Rule: ${calendarData.globalRule.name}`, margin, yPosition);
+    }
+    if (prayerSettings) {
+        yPosition += 6;
+        const prayerMethod = getPrayerMethod(prayerSettings.method, prayerSettings);
+        const prayerLines = pdf.splitTextToSize(`Prayer Times: ${prayerMethod?.name || prayerSettings.method}, Asr ${prayerSettings.asr === ASR_METHODS.HANAFI ? 'Hanafi' : 'standard'}, ${calendarData.location.timezone || 'longitude-based'} time (* set by the high-latitude rule)`, contentWidth);
+        pdf.text(prayerLines, margin, yPosition);
+        yPosition += 6 * (prayerLines.length - 1);
+    }
+    yPosition += 6;
     pdf.text(`Generated: ${new Date().toLocaleDateString()}`, margin, yPosition);
     yPosition += 12;
 
+    if (calendarData.warnings?.length > 0) {
+        pdf.setFontSize(14);
+        pdf.setFont(undefined, 'bold');
+        pdf.text('Month Length Warnings', margin, yPosition);
+        yPosition += 7;
+
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'normal');
+        pdf.setTextColor(180, 83, 9); // Amber, as for close calls
+        for (const warning of calendarData.warnings) {
+            const warningLines = pdf.splitTextToSize(`- ${warning.message}`, contentWidth);
+            checkPageBreak(5 * warningLines.length);
+            pdf.text(warningLines, margin, yPosition);
+            yPosition += 5 * warningLines.length;
+        }
+        pdf.setTextColor(0, 0, 0);
+        yPosition += 10;
+    }
+
+    if (discrepancyReport) {
+        const formatDay = (date) => date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }) : '-';
+        const { summary } = discrepancyReport;
+
+        pdf.setFontSize(14);
+        pdf.setFont(undefined, 'bold');
+        pdf.text('Comparison with Printed Calendars', margin, yPosition);
+        yPosition += 7;
+
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(`Umm al-Qura: ${summary.ummAlQura.same} same, ${summary.ummAlQura.earlier} earlier, ${summary.ummAlQura.later} later. Tabular: ${summary.tabular.same} same, ${summary.tabular.earlier} earlier, ${summary.tabular.later} later.`, margin, yPosition);
+        yPosition += 5;
+        pdf.text('Differences in days, positive when the computed month starts later.', margin, yPosition);
+        yPosition += 8;
+
+        // Month, Computed Day 1, Umm al-Qura Day 1, Tabular Day 1
+        const reportColumns = [0, 45, 80, 125];
+        pdf.setFontSize(9);
+        pdf.setFont(undefined, 'bold');
+        ['Month', 'Computed Day 1', 'Umm al-Qura Day 1', 'Tabular Day 1'].forEach((header, index) => pdf.text(header, margin + reportColumns[index], yPosition));
+        yPosition += 6;
+        pdf.setFont(undefined, 'normal');
+
+        for (const row of discrepancyReport.months) {
+            const reasonLines = [row.ummAlQura, row.tabular]
+                .filter(ref => ref && ref.reason !== DISCREPANCY_REASONS.NONE)
+                .flatMap(ref => pdf.splitTextToSize(`${ref === row.ummAlQura ? 'Umm al-Qura' : 'Tabular'}: ${getDiscrepancyReasonLabel(ref.reason)} - ${ref.detail}`, contentWidth - 5));
+            checkPageBreak(6 + reasonLines.length * 4.5);
+
+            pdf.text(`${row.monthName} ${row.hijriYear}`, margin, yPosition);
+            pdf.text(formatDay(row.firstDay), margin + reportColumns[1], yPosition);
+            pdf.text(`${formatDay(row.ummAlQura?.firstDay)}${row.ummAlQura ? ` (${formatDayDifference(row.ummAlQura.difference)})` : ''}`, margin + reportColumns[2], yPosition);
+            pdf.text(`${formatDay(row.tabular?.firstDay)}${row.tabular ? ` (${formatDayDifference(row.tabular.difference)})` : ''}`, margin + reportColumns[3], yPosition);
+            yPosition += 5;
+
+            if (reasonLines.length > 0) {
+                pdf.setTextColor(100, 100, 100);
+                pdf.text(reasonLines, margin + 5, yPosition);
+                pdf.setTextColor(0, 0, 0);
+                yPosition += reasonLines.length * 4.5;
+            }
+            yPosition += 1;
+        }
+
+        yPosition += 10;
+    }
+
     // Process each month
     for (let monthIndex = 0; monthIndex < calendarData.months.length; monthIndex++) {
         const month = calendarData.months[monthIndex];
@@ -109,10 +222,7 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
 
         checkPageBreak(20);
 
-        // Calculate Hijri Year based on 10th night (or close to it)
-        const tenthDayIndex = Math.min(9, month.days.length - 1);
-        const refDateForYear = month.days[tenthDayIndex]?.gregorianDate || month.night1Date;
-        const hijriYear = getHijriYear(refDateForYear);
+        const hijriYear = month.hijriYear;
 
         // Month header
         pdf.setFontSize(16);
@@ -122,9 +232,58 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
 
         pdf.setFontSize(10);
         pdf.setFont(undefined, 'normal');
-        pdf.text(`Night 1: ${month.night1Date.toLocaleDateString()} (${month.night1Method === 'direct' ? 'Direct visibility' : 'Shared Night inheritance'})`, margin, yPosition);
+        const night1Zone = getZone(criterionId, month.night1Details?.classification);
+        const night1MethodLabel = month.night1Method === 'direct'
+            ? `Direct visibility${night1Zone ? `: ${night1Zone.code} - ${night1Zone.label}` : ''}${month.night1Details?.sightedFrom ? ` from ${month.night1Details.sightedFrom}` : ''}`
+            : getNight1MethodLabel(month.night1Method);
+        pdf.text(`Night 1: ${month.night1Date.toLocaleDateString()} (${night1MethodLabel})`, margin, yPosition);
+        yPosition += 6;
+        if (month.night1Method === 'shared_night') {
+            const explanationLines = pdf.splitTextToSize(getSharedNightExplanation(month.night1Details, calendarData.location, calendarData.sharedNightPolicy), contentWidth);
+            pdf.text(explanationLines, margin, yPosition);
+            yPosition += 5 * explanationLines.length + 1;
+        }
+        if (month.night1Sensitivity?.closeCall) {
+            const closeCallLines = pdf.splitTextToSize(`Close call: ${month.night1Sensitivity.reasons.join('; ')}`, contentWidth);
+            pdf.setTextColor(180, 83, 9); // Amber for close calls
+            pdf.text(closeCallLines, margin, yPosition);
+            pdf.setTextColor(0, 0, 0);
+            yPosition += 5 * closeCallLines.length + 1;
+        }
+        for (const warning of (calendarData.warnings || []).filter(w => w.monthIndex === monthIndex)) {
+            const warningLines = pdf.splitTextToSize(warning.message, contentWidth);
+            checkPageBreak(5 * warningLines.length + 1);
+            pdf.setTextColor(180, 83, 9);
+            pdf.text(warningLines, margin, yPosition);
+            pdf.setTextColor(0, 0, 0);
+            yPosition += 5 * warningLines.length + 1;
+        }
+        const lookBetween = formatVisibilityWindow(month.night1Details?.visibilityWindow);
+        if (lookBetween) {
+            pdf.text(`Night 1 sighting: look between ${lookBetween}`, margin, yPosition);
+            yPosition += 6;
+        }
+        pdf.text(month.lastOldCrescentMorning
+            ? `Last old crescent: morning of ${month.lastOldCrescentMorning.date.toLocaleDateString()} (${month.lastOldCrescentMorning.classification})`
+            : 'Last old crescent: not visible in the mornings before conjunction', margin, yPosition);
         yPosition += 6;
 
+        // Observances, grouped by name ("White Day: Sep 23, Sep 24, Sep 25")
+        const observanceDates = new Map();
+        month.days.forEach(day => {
+            [...(day.observances || []), ...getObservancesForNight(month.monthNumber, day.nightNumber, customObservances)].forEach(observance => {
+                const date = getObservanceDate(day, observance).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+                const label = observance.time === OBSERVANCE_TIMES.NIGHT ? `${date} (evening)` : date;
+                observanceDates.set(observance.name, [...(observanceDates.get(observance.name) || []), label]);
+            });
+        });
+        if (observanceDates.size > 0) {
+            const observanceText = [...observanceDates.entries()].map(([name, dates]) => `${name}: ${dates.join(', ')}`).join('; ');
+            const observanceLines = pdf.splitTextToSize(`Observances: ${observanceText}`, contentWidth);
+            pdf.text(observanceLines, margin, yPosition);
+            yPosition += 5 * observanceLines.length + 1;
+        }
+
         // Conjunction Info
         const conjunctionDate = new Date(month.conjunctionDate);
         let localTimeStr;
@@ -157,6 +316,11 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
         pdf.setFontSize(9);
         pdf.setTextColor(100, 100, 100); // Grey color for conjunction info
         pdf.text(`Conjunction: ${conjunctionDate.toUTCString().replace('GMT', 'UTC')} | ${timeLabel}: ${localTimeStr}`, margin, yPosition);
+        if (month.topocentricConjunctionDate) {
+            const topocentricDate = new Date(month.topocentricConjunctionDate);
+            yPosition += 5;
+            pdf.text(`Topocentric conjunction: ${topocentricDate.toUTCString().replace('GMT', 'UTC')} (${getConjunctionOffsetLabel(topocentricDate, conjunctionDate)} from geocentric)`, margin, yPosition);
+        }
         pdf.setTextColor(0, 0, 0); // Reset to black
         yPosition += 10;
 
@@ -174,9 +338,7 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
                 date: night1Date,
                 label: 'Night 1',
                 options: {
-                    highlightSharedNightCells: (month.night1Method === 'shared_night' && month.night1Details?.inheritedFromCells)
-                        ? month.night1Details.inheritedFromCells
-                        : null
+                    highlightSharedNightCells: month.night1Details?.inheritedFromCells || null
                 }
             },
             { date: nightAfter, label: 'Night After Night 1' }
@@ -236,7 +398,11 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
         yPosition += 7;
 
         // Table headers
-        const colWidths = [15, 45, 20, 110]; // Adjusted widths: Night#, Month, Year, Date
+        // Night#, Month, Year, Date (+ one column per prayer when prayer times are included)
+        const colWidths = prayerSettings
+            ? [12, 30, 14, 40, ...PRAYER_NAMES.map(() => 14)]
+            : [15, 45, 20, 110];
+        const columnX = (index) => margin + colWidths.slice(0, index).reduce((sum, w) => sum + w, 0) + 2;
 
         const rowHeight = 7;
 
@@ -251,7 +417,10 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
         pdf.text('Night #', margin + 2, yPosition);
         pdf.text('Lunar Month', margin + colWidths[0] + 2, yPosition);
         pdf.text('Hijri Year', margin + colWidths[0] + colWidths[1] + 2, yPosition);
-        pdf.text('Gregorian Date - Evening Of', margin + colWidths[0] + colWidths[1] + colWidths[2] + 2, yPosition);
+        pdf.text(prayerSettings ? 'Evening Of' : 'Gregorian Date - Evening Of', margin + colWidths[0] + colWidths[1] + colWidths[2] + 2, yPosition);
+        if (prayerSettings) {
+            PRAYER_NAMES.forEach((prayer, index) => pdf.text(prayer.label, columnX(4 + index), yPosition));
+        }
 
         // Header Borders
         let currentX = margin;
@@ -279,6 +448,13 @@ export async function generateLunarCalendarPDF(calendarData, captureMapCallback,
             pdf.text(month.monthName, margin + colWidths[0] + 2, yPosition);
             pdf.text(hijriYear.toString(), margin + colWidths[0] + colWidths[1] + 2, yPosition);
             pdf.text(day.gregorianDate.toLocaleDateString(), margin + colWidths[0] + colWidths[1] + colWidths[2] + 2, yPosition);
+            if (prayerSettings) {
+                const { location } = calendarData;
+                const prayerTimes = getPrayerTimes(new Date(`${day.gregorianDateString}T00:00:00Z`), location.lat, location.lon, location.elevation, location.timezone || null, prayerSettings);
+                PRAYER_NAMES.forEach((prayer, index) => {
+                    pdf.text(`${formatPrayerTime(prayerTimes, prayer.key)}${prayerTimes?.adjusted[prayer.key] ? '*' : ''}`, columnX(4 + index), yPosition);
+                });
+            }
             yPosition += rowHeight;
         }
 
@@ -0,0 +1,222 @@
+import * as Astronomy from 'astronomy-engine';
+import { createObserver, normalizeLon, resolveLocalOffset, searchRiseSet } from './astronomy';
+
+/**
+ * Prayer-time calculation methods. Fajr and Isha are the Sun depression angles
+ * (degrees below the horizon) at which dawn starts and dusk ends; Umm al-Qura
+ * sets Isha a fixed interval after Maghrib instead (120 min in Ramadan, which
+ * is not applied here). Tehran also delays Maghrib until the Sun is 4.5° down.
+ */
+export const PRAYER_METHODS = {
+    mwl: { id: 'mwl', name: 'Muslim World League', fajrAngle: 18, ishaAngle: 17 },
+    isna: { id: 'isna', name: 'Islamic Society of North America', fajrAngle: 15, ishaAngle: 15 },
+    egypt: { id: 'egypt', name: 'Egyptian General Authority of Survey', fajrAngle: 19.5, ishaAngle: 17.5 },
+    makkah: { id: 'makkah', name: 'Umm al-Qura, Makkah', fajrAngle: 18.5, ishaMinutes: 90 },
+    karachi: { id: 'karachi', name: 'University of Islamic Sciences, Karachi', fajrAngle: 18, ishaAngle: 18 },
+    tehran: { id: 'tehran', name: 'Institute of Geophysics, University of Tehran', fajrAngle: 17.7, ishaAngle: 14, maghribAngle: 4.5 },
+    custom: { id: 'custom', name: 'Custom angles', fajrAngle: 18, ishaAngle: 17 }
+};
+
+export const DEFAULT_PRAYER_METHOD = 'mwl';
+
+/**
+ * Asr starts when an object's shadow equals its noon shadow plus `shadowFactor`
+ * times its height: 1 for Shafi'i, Maliki and Hanbali, 2 for Hanafi.
+ */
+export const ASR_METHODS = {
+    STANDARD: 'standard',
+    HANAFI: 'hanafi'
+};
+
+const ASR_SHADOW_FACTORS = {
+    [ASR_METHODS.STANDARD]: 1,
+    [ASR_METHODS.HANAFI]: 2
+};
+
+/**
+ * Where Fajr or Isha comes too close to sunrise/sunset or never happens (high
+ * latitudes in summer), the time is limited to a portion of the night:
+ * ANGLE_BASED uses angle / 60, ONE_SEVENTH 1/7 and MIDDLE_OF_NIGHT 1/2.
+ */
+export const HIGH_LATITUDE_METHODS = {
+    NONE: 'none',
+    ANGLE_BASED: 'angle-based',
+    ONE_SEVENTH: 'one-seventh',
+    MIDDLE_OF_NIGHT: 'middle-of-night'
+};
+
+export const DEFAULT_PRAYER_SETTINGS = {
+    method: DEFAULT_PRAYER_METHOD,
+    asr: ASR_METHODS.STANDARD,
+    highLatitude: HIGH_LATITUDE_METHODS.ANGLE_BASED,
+    fajrAngle: null, // Custom method only
+    ishaAngle: null
+};
+
+/**
+ * Look up a prayer-time method, applying custom angles for the 'custom' method.
+ * @returns {Object|null} Method definition or null if unknown
+ */
+export function getPrayerMethod(id = DEFAULT_PRAYER_METHOD, settings = DEFAULT_PRAYER_SETTINGS) {
+    const method = PRAYER_METHODS[id];
+    if (!method) return null;
+    if (id !== 'custom') return method;
+    return {
+        ...method,
+        fajrAngle: Number.isFinite(settings.fajrAngle) ? settings.fajrAngle : method.fajrAngle,
+        ishaAngle: Number.isFinite(settings.ishaAngle) ? settings.ishaAngle : method.ishaAngle
+    };
+}
+
+function getNightPortion(highLatitude, angle) {
+    switch (highLatitude) {
+        case HIGH_LATITUDE_METHODS.ANGLE_BASED:
+            return angle / 60;
+        case HIGH_LATITUDE_METHODS.ONE_SEVENTH:
+            return 1 / 7;
+        case HIGH_LATITUDE_METHODS.MIDDLE_OF_NIGHT:
+            return 1 / 2;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Time the Sun crosses an altitude, or null when it does not within a day.
+ * @param {number} direction - +1 rising, -1 setting
+ */
+function searchSunAltitude(observer, direction, start, altitude) {
+    const result = Astronomy.SearchAltitude('Sun', observer, direction, new Astronomy.AstroTime(start), 1, altitude);
+    return result ? result.date : null;
+}
+
+/**
+ * Daily prayer times for a local calendar date at a location.
+ *
+ * Sunrise and Maghrib use the same rise/set search (with horizon dip) as the
+ * visibility calculations; Fajr and Isha are searched at the method's Sun
+ * depression angles, like the -18° twilight searches. A prayer that cannot be
+ * determined (e.g. no sunset in polar summer) is null.
+ *
+ * @param {Date} date - Local calendar date (UTC midnight of that date)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} elevation - Observer elevation in metres (default 0)
+ * @param {string|null} timeZone - IANA zone for the local day (default: longitude-based)
+ * @param {Object} settings - { method, asr, highLatitude, fajrAngle, ishaAngle } (see DEFAULT_PRAYER_SETTINGS)
+ * @returns {Object|null} { fajr, sunrise, dhuhr, asr, maghrib, isha, adjusted, method, tzHours, timeZone } or null for an unknown method
+ */
+export function getPrayerTimes(date, lat, lon, elevation = 0, timeZone = null, settings = DEFAULT_PRAYER_SETTINGS) {
+    settings = { ...DEFAULT_PRAYER_SETTINGS, ...settings };
+    const method = getPrayerMethod(settings.method, settings);
+    if (!method) return null;
+
+    lon = normalizeLon(lon);
+    const observer = createObserver(lat, lon, elevation);
+    const local = resolveLocalOffset(lon, date, timeZone);
+    const dayStart = new Date(date.getTime() - local.tzHours * 3600 * 1000);
+    const dayStartTime = new Astronomy.AstroTime(dayStart);
+
+    const sunriseResult = searchRiseSet('Sun', observer, 1, dayStartTime, 1);
+    const sunrise = sunriseResult ? sunriseResult.date : null;
+    const sunsetResult = sunrise ? searchRiseSet('Sun', observer, -1, sunriseResult, 1) : null;
+    const sunset = sunsetResult ? sunsetResult.date : null;
+
+    const dhuhr = Astronomy.SearchHourAngle('Sun', observer, 0, dayStartTime).time.date;
+
+    // Asr: Sun altitude whose shadow is the noon shadow plus shadowFactor times the height
+    const declination = Astronomy.Equator('Sun', new Astronomy.AstroTime(dhuhr), observer, true, true).dec;
+    const shadowFactor = ASR_SHADOW_FACTORS[settings.asr] || ASR_SHADOW_FACTORS[ASR_METHODS.STANDARD];
+    const asrAltitude = Math.atan(1 / (shadowFactor + Math.tan(Math.abs(lat - declination) * Math.PI / 180))) * 180 / Math.PI;
+    let asr = searchSunAltitude(observer, -1, dhuhr, asrAltitude);
+    if (asr && sunset && asr > sunset) asr = null;
+
+    let fajr = null;
+    let maghrib = sunset;
+    let isha = null;
+    const adjusted = { fajr: false, maghrib: false, isha: false };
+
+    if (sunrise && sunset) {
+        fajr = searchSunAltitude(observer, 1, new Date(sunrise.getTime() - 12 * 3600 * 1000), -method.fajrAngle);
+        if (fajr && fajr > sunrise) fajr = null;
+
+        if (method.maghribAngle) {
+            maghrib = searchSunAltitude(observer, -1, sunset, -method.maghribAngle);
+        }
+
+        if (method.ishaMinutes) {
+            isha = maghrib ? new Date(maghrib.getTime() + method.ishaMinutes * 60 * 1000) : null;
+        } else {
+            isha = searchSunAltitude(observer, -1, sunset, -method.ishaAngle);
+        }
+
+        // Night from sunset to the next sunrise, approximated from today's day length
+        const nightMs = 24 * 3600 * 1000 - (sunset - sunrise);
+        const limitBefore = (time, base, angle, key) => {
+            const portion = getNightPortion(settings.highLatitude, angle);
+            if (portion === null) return time;
+            const limit = new Date(base.getTime() - portion * nightMs);
+            if (!time || time < limit) {
+                adjusted[key] = true;
+                return limit;
+            }
+            return time;
+        };
+        const limitAfter = (time, base, angle, key) => {
+            const portion = getNightPortion(settings.highLatitude, angle);
+            if (portion === null) return time && time - base < nightMs ? time : null;
+            const limit = new Date(base.getTime() + portion * nightMs);
+            if (!time || time > limit) {
+                adjusted[key] = true;
+                return limit;
+            }
+            return time;
+        };
+
+        fajr = limitBefore(fajr, sunrise, method.fajrAngle, 'fajr');
+        if (method.maghribAngle) maghrib = limitAfter(maghrib, sunset, method.maghribAngle, 'maghrib');
+        if (!method.ishaMinutes) isha = limitAfter(isha, sunset, method.ishaAngle, 'isha');
+    }
+
+    return {
+        date,
+        lat,
+        lon,
+        method: method.id,
+        asrMethod: settings.asr,
+        highLatitude: settings.highLatitude,
+        tzHours: local.tzHours,
+        timeZone: local.timeZone,
+        fajr,
+        sunrise,
+        dhuhr,
+        asr,
+        maghrib,
+        isha,
+        adjusted
+    };
+}
+
+/**
+ * Prayers in display order with their labels
+ */
+export const PRAYER_NAMES = [
+    { key: 'fajr', label: 'Fajr' },
+    { key: 'sunrise', label: 'Sunrise' },
+    { key: 'dhuhr', label: 'Dhuhr' },
+    { key: 'asr', label: 'Asr' },
+    { key: 'maghrib', label: 'Maghrib' },
+    { key: 'isha', label: 'Isha' }
+];
+
+/**
+ * Format a prayer time as local "HH:MM", or '—' when it could not be determined.
+ * @param {Object} prayerTimes - Result of getPrayerTimes
+ * @param {string} key - One of the PRAYER_NAMES keys
+ * @returns {string}
+ */
+export function formatPrayerTime(prayerTimes, key) {
+    const time = prayerTimes?.[key];
+    if (!time) return '—';
+    return new Date(time.getTime() + prayerTimes.tzHours * 3600 * 1000).toISOString().substring(11, 16);
+}
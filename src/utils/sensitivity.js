@@ -0,0 +1,240 @@
+import {
+    getVisibility,
+    getGeocentricConjunction,
+    getCriterion,
+    isVisibleCode,
+    normalizeElevation,
+    withDeltaTOffset,
+    DEFAULT_CRITERION,
+    DEFAULT_ATMOSPHERE,
+    DEFAULT_VISIBILITY_MODEL,
+    VISIBILITY_EVENTS,
+    CONJUNCTION_MODES
+} from './astronomy';
+
+/**
+ * Plausible uncertainties for a crescent prediction. Each one is applied on its
+ * own (one-at-a-time), so the analysis shows which assumption a result hinges on.
+ */
+const DELTA_T_MIN_UNCERTAINTY_SECONDS = 10; // Near-present ΔT is known to a few seconds
+const ELEVATION_UNCERTAINTY_M = 50; // Observing site vs the city's reference elevation
+const BEST_TIME_FRACTIONS = [1 / 3, 5 / 9]; // Either side of the 4/9 convention
+
+/**
+ * ΔT uncertainty for a date, from the Morrison & Stephenson (2004) error
+ * model: 0.8·u² seconds with u in centuries from 1820. It passes the
+ * near-present margin before about 1470 and after about 2175 and reaches
+ * minutes in antiquity; in between the margin applies.
+ * @param {Date} date - Evening being checked
+ * @returns {number} Seconds, applied either way
+ */
+export function getDeltaTUncertaintySeconds(date) {
+    const u = (date.getUTCFullYear() - 1820) / 100;
+    return Math.max(DELTA_T_MIN_UNCERTAINTY_SECONDS, Math.round(0.8 * u * u));
+}
+
+/**
+ * Shared-night Night 1 is re-checked cell by cell only when few cells carried
+ * it; with more cells the sighting does not hinge on a single marginal cell.
+ */
+const MAX_INHERITED_CELLS_CHECKED = 8;
+
+/**
+ * How robust a classification is under the perturbations
+ */
+export const SENSITIVITY_LEVELS = {
+    ROBUST: 'robust',
+    ZONE_SENSITIVE: 'zone-sensitive',
+    CLOSE_CALL: 'close-call'
+};
+
+const SENSITIVITY_LEVEL_LABELS = {
+    [SENSITIVITY_LEVELS.ROBUST]: 'Robust',
+    [SENSITIVITY_LEVELS.ZONE_SENSITIVE]: 'Zone may change, sighting holds',
+    [SENSITIVITY_LEVELS.CLOSE_CALL]: 'Close call'
+};
+
+/**
+ * Get display label for a sensitivity level
+ * @param {string} level - One of SENSITIVITY_LEVELS
+ * @returns {string} Label for UI
+ */
+export function getSensitivityLevelLabel(level) {
+    return SENSITIVITY_LEVEL_LABELS[level] || level;
+}
+
+/**
+ * Perturbations that apply to a location and date. The time-zone scenario swaps the
+ * longitude-based and civil models and is only offered when the location has a zone.
+ * @returns {Array} [{ id, label, overrides }]
+ */
+function getScenarios(date, location, timeZone) {
+    const elevation = normalizeElevation(location.elevation);
+    const deltaTUncertainty = getDeltaTUncertaintySeconds(date);
+    const scenarios = [
+        { id: 'delta-t-plus', label: `ΔT +${deltaTUncertainty} s`, overrides: { deltaT: deltaTUncertainty } },
+        { id: 'delta-t-minus', label: `ΔT -${deltaTUncertainty} s`, overrides: { deltaT: -deltaTUncertainty } },
+        { id: 'elevation-plus', label: `Elevation +${ELEVATION_UNCERTAINTY_M} m`, overrides: { elevation: elevation + ELEVATION_UNCERTAINTY_M } },
+        { id: 'elevation-minus', label: `Elevation -${ELEVATION_UNCERTAINTY_M} m`, overrides: { elevation: Math.max(0, elevation - ELEVATION_UNCERTAINTY_M) } },
+        { id: 'refraction', label: 'Refraction in criterion altitudes', overrides: { model: { refraction: true } } },
+        ...BEST_TIME_FRACTIONS.map(fraction => ({
+            id: `best-time-${fraction.toFixed(3)}`,
+            label: `Best time at ${(fraction * 9).toFixed(0)}/9 of lag`,
+            overrides: { model: { bestTimeFraction: fraction } }
+        }))
+    ];
+
+    if (timeZone) {
+        scenarios.push({ id: 'time-zone', label: 'Longitude-based time zone', overrides: { timeZone: null } });
+    } else if (location.timezone) {
+        scenarios.push({ id: 'time-zone', label: `Civil time zone (${location.timezone})`, overrides: { timeZone: location.timezone } });
+    }
+
+    return scenarios;
+}
+
+/**
+ * Zone threshold closest to a criterion value
+ * @returns {Object|null} { code, min, distance } where distance = value - min
+ */
+function getNearestThreshold(criterion, value) {
+    if (value === null || value === undefined) return null;
+    let nearest = null;
+    criterion.zones.filter(zone => Number.isFinite(zone.min)).forEach(zone => {
+        const distance = value - zone.min;
+        if (!nearest || Math.abs(distance) < Math.abs(nearest.distance)) {
+            nearest = { code: zone.code, min: zone.min, distance };
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Recompute the evening visibility for a location under each plausible
+ * perturbation (ΔT, elevation, refraction, best-time fraction, time-zone model)
+ * and report how robust the classification is.
+ *
+ * @param {Date} date - Evening to check (UTC midnight of the local date)
+ * @param {Object} location - { lat, lon, elevation?, timezone? }
+ * @param {string} criterion - Visibility criterion id (default: 'odeh')
+ * @param {Object} options - Calculation settings of the baseline
+ * @param {Date} options.conjunctionTime - Geocentric conjunction (default: nearest to date)
+ * @param {string|null} options.timeZone - IANA zone of the baseline (default: longitude-based)
+ * @param {string} options.conjunctionMode - CONJUNCTION_MODES value (default: geocentric)
+ * @returns {Object} { baseline, scenarios, nearestThreshold, zoneStable, visibilityStable, level }
+ */
+export function analyzeVisibilitySensitivity(date, location, criterion = DEFAULT_CRITERION, options = {}) {
+    const { conjunctionTime = getGeocentricConjunction(date), timeZone = null, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC } = options;
+    const criterionDef = getCriterion(criterion);
+    const elevation = normalizeElevation(location.elevation);
+
+    const run = ({ deltaT = 0, elevation: scenarioElevation = elevation, timeZone: scenarioTimeZone = timeZone, model = {} } = {}) => {
+        const calculate = () => getVisibility(
+            date, location.lat, location.lon, criterion, conjunctionTime, scenarioElevation, scenarioTimeZone,
+            VISIBILITY_EVENTS.EVENING, DEFAULT_ATMOSPHERE, conjunctionMode, { ...DEFAULT_VISIBILITY_MODEL, ...model }
+        );
+        return deltaT ? withDeltaTOffset(deltaT, calculate) : calculate();
+    };
+
+    const baselineResult = run();
+    const baseline = {
+        code: baselineResult.code,
+        value: baselineResult.value,
+        visible: isVisibleCode(criterion, baselineResult.code)
+    };
+
+    const scenarios = getScenarios(date, location, timeZone).map(({ id, label, overrides }) => {
+        const result = run(overrides);
+        const visible = isVisibleCode(criterion, result.code);
+        return {
+            id,
+            label,
+            code: result.code,
+            value: result.value,
+            visible,
+            valueDelta: result.value !== null && baseline.value !== null ? result.value - baseline.value : null,
+            zoneChanged: result.code !== baseline.code,
+            visibilityChanged: visible !== baseline.visible
+        };
+    });
+
+    const zoneStable = scenarios.every(scenario => !scenario.zoneChanged);
+    const visibilityStable = scenarios.every(scenario => !scenario.visibilityChanged);
+
+    return {
+        criterion,
+        date,
+        baseline,
+        scenarios,
+        nearestThreshold: criterionDef ? getNearestThreshold(criterionDef, baseline.value) : null,
+        zoneStable,
+        visibilityStable,
+        level: !visibilityStable
+            ? SENSITIVITY_LEVELS.CLOSE_CALL
+            : !zoneStable ? SENSITIVITY_LEVELS.ZONE_SENSITIVE : SENSITIVITY_LEVELS.ROBUST
+    };
+}
+
+/**
+ * Flag a month whose Night 1 would change under plausible perturbations.
+ *
+ * - Direct Night 1: the location itself loses the sighting → Night 1 moves later.
+ * - Shared-night Night 1 carried by few cells: every one of them loses the
+ *   sighting under the same perturbation → Night 1 moves later.
+ * - Evening before Night 1: the location gains a direct sighting → Night 1 moves earlier.
+ *
+ * Shared-night sightings that would newly appear elsewhere on the evening before
+ * need a full world scan and are not re-checked.
+ *
+ * @param {Object} night1Result - Result of the Night 1 search (night1Date, method, inheritedFromCells)
+ * @param {Object} location - Calendar location
+ * @param {Date} conjunctionTime - Conjunction that starts the month
+ * @param {string} criterion - Visibility criterion id
+ * @param {Object} options - { timeZone, conjunctionMode } as used for the calendar
+ * @returns {Object} { closeCall: boolean, reasons: Array<string>, night1: Object|null, eveningBefore: Object }
+ */
+export function assessNight1Sensitivity(night1Result, location, conjunctionTime, criterion = DEFAULT_CRITERION, options = {}) {
+    const analysisOptions = { ...options, conjunctionTime };
+    const reasons = [];
+    let night1 = null;
+
+    const labelsOf = (scenarios) => scenarios.map(scenario => scenario.label).join(', ');
+
+    if (night1Result.method === 'direct') {
+        night1 = analyzeVisibilitySensitivity(night1Result.night1Date, location, criterion, analysisOptions);
+        const lost = night1.scenarios.filter(scenario => !scenario.visible);
+        if (lost.length > 0) {
+            reasons.push(`Night 1 sighting lost with ${labelsOf(lost)}`);
+        }
+    } else if (night1Result.method === 'shared_night') {
+        const cells = night1Result.inheritedFromCells || [];
+        if (cells.length > 0 && cells.length <= MAX_INHERITED_CELLS_CHECKED) {
+            // Worker cells use sea level and longitude-based local dates
+            const cellAnalyses = cells.map(cell => analyzeVisibilitySensitivity(
+                night1Result.night1Date, { lat: cell.lat, lon: cell.lon, elevation: 0 }, criterion,
+                { ...analysisOptions, timeZone: null }
+            ));
+            const lost = cellAnalyses[0].scenarios.filter((scenario, index) =>
+                cellAnalyses.every(analysis => !analysis.scenarios[index].visible)
+            );
+            if (lost.length > 0) {
+                reasons.push(`Shared-night sighting (${cells.length} cell${cells.length === 1 ? '' : 's'}) lost with ${labelsOf(lost)}`);
+            }
+        }
+    }
+
+    const eveningBeforeDate = new Date(night1Result.night1Date);
+    eveningBeforeDate.setUTCDate(eveningBeforeDate.getUTCDate() - 1);
+    const eveningBefore = analyzeVisibilitySensitivity(eveningBeforeDate, location, criterion, analysisOptions);
+    const gained = eveningBefore.scenarios.filter(scenario => scenario.visible);
+    if (!eveningBefore.baseline.visible && gained.length > 0) {
+        reasons.push(`Evening before becomes visible with ${labelsOf(gained)}`);
+    }
+
+    return {
+        closeCall: reasons.length > 0,
+        reasons,
+        night1,
+        eveningBefore
+    };
+}
@@ -42,6 +42,21 @@ const ROUTE_SEO = {
         description: 'Browse moon sighting and Hijri calendar prediction pages for major cities worldwide using Odeh V-criterion lunar visibility calculations.',
         label: 'Locations',
     },
+    '/ramadan-eid-by-country': {
+        title: 'Ramadan & Eid Dates by Country - Moon Sighting Policies',
+        description: 'Predicted start of Ramadan, Eid al-Fitr and Eid al-Adha in each country under its own moon sighting policy: local sighting, following Saudi Arabia, MABIMS or a global calendar.',
+        label: 'Dates by Country',
+    },
+    '/converter': {
+        title: 'Hijri to Gregorian Date Converter - Moon Visibility Explorer',
+        description: 'Convert any Gregorian date to the Hijri date and back, based on when the crescent moon is actually visible at your location, with tabular and Umm al-Qura equivalents.',
+        label: 'Date Converter',
+    },
+    '/prediction-accuracy': {
+        title: 'Moon Sighting Predictions vs. Official Announcements',
+        description: 'How past official Ramadan, Eid al-Fitr and Eid al-Adha announcements compare with predictions by country policy, Umm al-Qura and each crescent visibility criterion.',
+        label: 'Prediction Accuracy',
+    },
     '/privacy': {
         title: 'Privacy Policy - Moon Visibility Explorer',
         description: 'Privacy policy for Moon Visibility Explorer, including how cookies, analytics, and advertising are used on the site.',
@@ -3,7 +3,17 @@ import {
     getPrevNewMoonConjunction,
     getNextNewMoonConjunction,
     getGeocentricConjunction,
-    getNightWindow
+    getNightWindow,
+    getTopocentricConjunction,
+    createObserver,
+    isVisibleCode,
+    DEFAULT_CRITERION,
+    DEFAULT_ATMOSPHERE,
+    VISIBILITY_EVENTS,
+    CONJUNCTION_MODES,
+    DEFAULT_NIGHT_DEFINITION,
+    DEFAULT_SHARED_NIGHT_POLICY,
+    calculateSharedNight
 } from '../utils/astronomy';
 
 // Listen for messages from the main thread
@@ -29,8 +39,15 @@ self.onmessage = async (e) => {
             // --- SEARCH SHARED NIGHT MODE ---
             // Efficiently search for cells that share night with user and have visibility
             // Returns only matching cells, or empty array
-
-            const { latStart, latEnd, userNightStart, userNightEnd } = params;
+            // Without userNightStart/userNightEnd this is a global scan: every visible cell is returned
+
+            // nightDefinition must match the one used for the user's night window
+            // sharedNightPolicy (minimum overlap, direction, distance, continent) needs userLat/userLon
+            const { latStart, latEnd, userNightStart, userNightEnd, userLat, userLon, criterion = DEFAULT_CRITERION, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, nightDefinition = DEFAULT_NIGHT_DEFINITION, sharedNightPolicy = DEFAULT_SHARED_NIGHT_POLICY } = params;
+            const requireSharedNight = userNightStart != null && userNightEnd != null;
+            const userCell = requireSharedNight
+                ? { lat: userLat, lon: userLon, nightStart: new Date(userNightStart), nightEnd: new Date(userNightEnd) }
+                : null;
             const matchingCells = [];
 
             const stepLon = 2;
@@ -67,40 +84,31 @@ self.onmessage = async (e) => {
                         // Optimization: pass known sunset? accessing res.sunsetUTC implies we ran getVisibility.
                         // We want to avoid running getVisibility if not needed.
 
-                        const nw = getNightWindow(lat, lon, date, conjunctionTime);
-                        if (!nw) continue;
-
-                        // 2. Shared Night Check
-                        // overlap_start = max(userStart, cellStart)
-                        // overlap_end = min(userEnd, cellEnd)
-                        const A_start = userNightStart; // timestamp numbers passed in
-                        const A_end = userNightEnd;
-                        const B_start = nw.nightStart.getTime();
-                        const B_end = nw.nightEnd.getTime();
+                        let overlapDuration = null;
 
-                        const overlap_start = Math.max(A_start, B_start);
-                        const overlap_end = Math.min(A_end, B_end);
+                        if (requireSharedNight) {
+                            const nw = getNightWindow(lat, lon, date, conjunctionTime, null, 0, null, nightDefinition);
+                            if (!nw) continue;
 
-                        if (overlap_start >= overlap_end) continue; // No overlap
+                            // 2. Shared Night Check: overlap plus the policy's minimum
+                            // overlap, sunset direction, distance and continent rules
+                            const shared = calculateSharedNight(userCell, { lat, lon, nightStart: nw.nightStart, nightEnd: nw.nightEnd }, sharedNightPolicy);
+                            if (!shared.sharedNight) continue;
 
-                        // 3. Sunset Order Check (User must be later/West or overlap logic handled?)
-                        // "User sunset must be AFTER cell sunset"?? 
-                        // Logic in lunarCalendar.js: if (userSunset < cellSunset) continue;
-                        // Wait, userSunset < cellSunset means User sunset is EARLIER. 
-                        // So we want User Sunset >= Cell Sunset ??
-                        // Let's copy the logic exactly:
-                        // const cellSunset = cellNightWindow.nightStart.getTime();
-                        // if (userSunset < cellSunset) continue; 
+                            overlapDuration = shared.overlapDuration;
+                        }
 
-                        // 4. Heavy Visibility Check
-                        const vis = getVisibility(date, lat, lon, 'odeh', conjunctionTime);
+                        // 3. Heavy Visibility Check
+                        const vis = getVisibility(date, lat, lon, criterion, conjunctionTime, 0, null, VISIBILITY_EVENTS.EVENING, DEFAULT_ATMOSPHERE, conjunctionMode);
 
-                        if (vis.code === 'VO' || vis.code === 'VP' || vis.code === 'EV') {
+                        if (isVisibleCode(criterion, vis.code)) {
                             matchingCells.push({
                                 lat,
                                 lon,
                                 classification: vis.code,
-                                overlapDuration: (overlap_end - overlap_start) / 60000
+                                overlapDuration,
+                                // Timestamp so the global calendar mode can apply its UT cutoff
+                                sunsetUTC: vis.sunsetUTC.getTime()
                             });
 
                             // Optimization: If we just need to find "is it visible anywhere", 
@@ -127,7 +135,7 @@ self.onmessage = async (e) => {
             // Replicates the interactive "double click" logic from MoonMap.jsx
             // Recalculates shared night for all cells relative to a selected cell
 
-            const { selectedCellLon, selectedCellLat, selectedNightStart, selectedNightEnd } = params;
+            const { selectedCellLon, selectedCellLat, selectedNightStart, selectedNightEnd, nightDefinition = DEFAULT_NIGHT_DEFINITION } = params;
 
             const sharedCellsEarlier = [];
             const sharedCellsLater = [];
@@ -157,7 +165,7 @@ self.onmessage = async (e) => {
                         // We need night window for this cell
                         // Optimization: Try to get night window without full visibility calc if possible?
                         // getNightWindow needs: lat, lon, date, conjunctionTime. (Sunset is optional optimization)
-                        const nightWindow = getNightWindow(lat, lon, date, conjunctionTime);
+                        const nightWindow = getNightWindow(lat, lon, date, conjunctionTime, null, 0, null, nightDefinition);
 
                         if (nightWindow && nightWindow.nightStart && nightWindow.nightEnd) {
                             // Copied logic from calculateSharedNight(cell A, cell B)
@@ -248,7 +256,11 @@ self.onmessage = async (e) => {
 
         } else {
             // --- FULL GRID MODE (Default) ---
-            const { cityParams } = params || {};
+            // event selects the evening (new crescent) or morning (old crescent) grid
+            // atmosphere only affects physical criteria (see DEFAULT_ATMOSPHERE)
+            // conjunctionMode picks the conjunction used by the "conjunction after sunset" rule
+            // nightDefinition sets where each cell's night ends for the shared-night overlap
+            const { cityParams, criterion = DEFAULT_CRITERION, event = VISIBILITY_EVENTS.EVENING, atmosphere = null, conjunctionMode = CONJUNCTION_MODES.GEOCENTRIC, nightDefinition = DEFAULT_NIGHT_DEFINITION } = params || {};
 
             const grid = [];
             const sharedCellsEarlier = [];
@@ -275,15 +287,21 @@ self.onmessage = async (e) => {
                 const lat = lats[i];
                 for (let lon = -179.0; lon <= 179.0; lon += stepLon) {
                     try {
-                        const res = getVisibility(date, lat, lon, 'odeh', conjunctionTime);
-                        const nightWindow = getNightWindow(lat, lon, date, conjunctionTime, res.sunsetUTC);
+                        const res = getVisibility(date, lat, lon, criterion, conjunctionTime, 0, null, event, atmosphere || DEFAULT_ATMOSPHERE, conjunctionMode);
+                        const nightWindow = getNightWindow(lat, lon, date, conjunctionTime, res.sunsetUTC, 0, null, nightDefinition);
 
                         const cellData = {
                             lat, lon,
                             code: res.code, value: res.value, color: res.color, reason: res.reason || null, zoneName: res.zoneName,
                             tzHours: res.tzHours, sunsetUTC: res.sunsetUTC, moonsetUTC: res.moonsetUTC, bestTimeUTC: res.bestTimeUTC,
                             sunsetLocal: res.sunsetLocal, moonsetLocal: res.moonsetLocal, bestTimeLocal: res.bestTimeLocal,
-                            conjunctionTime: res.conjunctionTime, conjunctionTriggered: res.conjunctionTriggered, arcv: res.arcv, w: res.w, lag: res.lag,
+                            sunriseUTC: res.sunriseUTC, moonriseUTC: res.moonriseUTC, sunriseLocal: res.sunriseLocal, moonriseLocal: res.moonriseLocal,
+                            detectionStartUTC: res.detectionStartUTC, detectionEndUTC: res.detectionEndUTC,
+                            conjunctionTime: res.conjunctionTime, conjunctionTriggered: res.conjunctionTriggered,
+                            // Reported for every cell, so found here once rather than inside getVisibility
+                            geocentricConjunctionTime: res.geocentricConjunctionTime,
+                            topocentricConjunctionTime: res.topocentricConjunctionTime || (conjunctionTime ? getTopocentricConjunction(createObserver(lat, lon, 0), conjunctionTime) : null),
+                            arcv: res.arcv, w: res.w, lag: res.lag, q: res.q,
                             nightStart: nightWindow?.nightStart || null, nightEnd: nightWindow?.nightEnd || null
                         };
 
@@ -338,6 +356,11 @@ self.onmessage = async (e) => {
                 dateStr,
                 data: {
                     grid,
+                    criterion,
+                    event,
+                    atmosphere,
+                    conjunctionMode,
+                    nightDefinition,
                     conjunctionTime,
                     prevConjunction,
                     nextConjunction,
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { getVisibility, getGeocentricConjunction, VISIBILITY_CRITERIA, getZone } from '../src/utils/astronomy.js';
+import { CRESCENT_OBSERVATIONS } from '../src/data/crescentObservations.js';
+
+/**
+ * Errors each criterion makes per zone against the scored records, as of the
+ * last deliberate change to the visibility math: { zone: [false positives,
+ * false negatives] }. A change to getVisibility that adds an error in any zone,
+ * or moves a record into a zone without an entry, fails the suite; one that
+ * removes errors should lower the entries too.
+ *
+ * Criteria without optical-aid zones model the naked eye and can miss
+ * telescope and binocular sightings, as Schaefer's P0 does for both.
+ */
+const ZONE_ERROR_BASELINES = {
+    odeh: { VP: [0, 0], VO: [0, 0] },
+    yallop: { C: [0, 0], D: [0, 0] },
+    mabims: { MET: [0, 0] },
+    turkey2016: { MET: [0, 0] },
+    schaefer: { P0: [0, 2] }
+};
+
+// Published ages are given to the minute or tenth of an hour; sunset is the reference instant
+const AGE_TOLERANCE_HOURS = 0.75;
+
+// Disputed claims are checked for consistency but not scored
+const SCORED_RECORDS = CRESCENT_OBSERVATIONS.filter(record => !record.disputed);
+
+/**
+ * Whether a zone predicts the crescent for an observer with the record's aid:
+ * optical-aid zones only count for binocular and telescope attempts
+ */
+function predictsSighting(zone, aid) {
+    if (!zone?.visible) return false;
+    return aid !== 'naked-eye' || !zone.opticalAid;
+}
+
+/**
+ * Run a criterion over the scored records. A record is a hit when the zone's
+ * prediction for the record's optical aid agrees with the reported result; per
+ * zone the report counts false positives (crescent predicted, not seen) and
+ * false negatives (not predicted, seen).
+ */
+function evaluateCriterion(criterionId) {
+    const zones = {};
+    const records = SCORED_RECORDS.map(record => {
+        const date = new Date(`${record.date}T00:00:00Z`);
+        const result = getVisibility(date, record.lat, record.lon, criterionId, getGeocentricConjunction(date), record.elevation);
+        const predictedVisible = predictsSighting(getZone(criterionId, result.code), record.aid);
+        const seen = record.result === 'seen';
+
+        const zone = zones[result.code] || (zones[result.code] = { records: 0, hits: 0, falsePositives: 0, falseNegatives: 0 });
+        zone.records++;
+        if (predictedVisible === seen) zone.hits++;
+        else if (predictedVisible) zone.falsePositives++;
+        else zone.falseNegatives++;
+
+        return { id: record.id, code: result.code, hit: predictedVisible === seen };
+    });
+
+    return { criterionId, records, zones };
+}
+
+describe('crescent observation dataset', () => {
+    it('has complete records', () => {
+        CRESCENT_OBSERVATIONS.forEach(record => {
+            expect(record.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+            expect(['seen', 'not-seen']).toContain(record.result);
+            expect(['naked-eye', 'binoculars', 'telescope']).toContain(record.aid);
+            expect(Math.abs(record.lat)).toBeLessThanOrEqual(90);
+            expect(Math.abs(record.lon)).toBeLessThanOrEqual(180);
+            expect(record.source).toBeTruthy();
+        });
+    });
+
+    it('matches the published moon age at local sunset', () => {
+        CRESCENT_OBSERVATIONS.forEach(record => {
+            const date = new Date(`${record.date}T00:00:00Z`);
+            const conjunction = getGeocentricConjunction(date);
+            const result = getVisibility(date, record.lat, record.lon, 'odeh', conjunction, record.elevation);
+            const ageHours = (result.sunsetUTC - conjunction) / 3600000;
+            expect(Math.abs(ageHours - record.ageHours), record.id).toBeLessThanOrEqual(AGE_TOLERANCE_HOURS);
+        });
+    });
+});
+
+describe('visibility criteria against observations', () => {
+    it('scores every registered criterion', () => {
+        expect(Object.keys(ZONE_ERROR_BASELINES).sort()).toEqual(Object.keys(VISIBILITY_CRITERIA).sort());
+    });
+
+    Object.keys(VISIBILITY_CRITERIA).forEach(criterionId => {
+        it(`${criterionId} makes no more false positives or negatives per zone than its baseline`, () => {
+            const report = evaluateCriterion(criterionId);
+            const baselines = ZONE_ERROR_BASELINES[criterionId] || {};
+            expect(report.records).toHaveLength(SCORED_RECORDS.length);
+            Object.entries(report.zones).forEach(([code, zone]) => {
+                expect(baselines[code], `no baseline for ${criterionId} zone ${code}`).toBeDefined();
+                const [falsePositives, falseNegatives] = baselines[code];
+                expect(zone.falsePositives, `${criterionId} ${code} false positives`).toBeLessThanOrEqual(falsePositives);
+                expect(zone.falseNegatives, `${criterionId} ${code} false negatives`).toBeLessThanOrEqual(falseNegatives);
+            });
+        });
+    });
+});
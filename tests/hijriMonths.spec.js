@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { getGeocentricConjunction, getPrevNewMoonConjunction } from '../src/utils/astronomy.js';
+import { calculateLunarCalendar, getHijriMonthForConjunction, getHijriMonthConjunction, getIslamicMonthName, offsetHijriMonth, CALENDAR_MODES, ISLAMIC_MONTHS } from '../src/utils/lunarCalendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAKKAH = { name: 'Makkah, Saudi Arabia', lat: 21.4225, lon: 39.8262, elevation: 277, timezone: 'Asia/Riyadh' };
+
+// Published Umm al-Qura calendar, used as the reference for real month starts
+const UMM_AL_QURA = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', { year: 'numeric', month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+
+function toUmmAlQura(date) {
+    const parts = Object.fromEntries(UMM_AL_QURA.formatToParts(date).map(part => [part.type, part.value]));
+    return { year: parseInt(parts.year, 10), month: parseInt(parts.month, 10), day: parseInt(parts.day, 10) };
+}
+
+function findUmmAlQuraStart(year, month) {
+    const conjunction = getHijriMonthConjunction(year, month);
+    const start = new Date(conjunction);
+    start.setUTCHours(0, 0, 0, 0);
+    for (let i = 0; i <= 3; i++) {
+        const date = new Date(start.getTime() + i * DAY_MS);
+        const hijri = toUmmAlQura(date);
+        if (hijri.year === year && hijri.month === month && hijri.day === 1) return date;
+    }
+    return null;
+}
+
+/**
+ * Months whose Umm al-Qura start comes two days before the tabular calendar's,
+ * so the tabular calendar still names the previous month on their first day.
+ */
+const TWO_DAY_DIVERGENCES = [
+    { year: 1421, month: 6, firstDay: '2000-08-30' },
+    { year: 1421, month: 7, firstDay: '2000-09-28' },
+    { year: 1421, month: 8, firstDay: '2000-10-28' },
+    { year: 1440, month: 2, firstDay: '2018-10-10' },
+    { year: 1440, month: 4, firstDay: '2018-12-08' },
+    { year: 1446, month: 2, firstDay: '2024-08-05' }
+];
+
+describe('Hijri month numbering', () => {
+    it('anchors Shawwal 1420 to the conjunction of 6 January 2000', () => {
+        const conjunction = getGeocentricConjunction(new Date('2000-01-06T00:00:00Z'));
+        expect(Math.abs(conjunction - new Date('2000-01-06T18:14:00Z'))).toBeLessThan(5 * 60 * 1000);
+        expect(getHijriMonthForConjunction(conjunction)).toEqual({ year: 1420, month: 10, name: 'Shawwal' });
+    });
+
+    it('offsets months across year boundaries', () => {
+        expect(offsetHijriMonth({ year: 1446, month: 12 }, 1)).toEqual({ year: 1447, month: 1, name: 'Muharram' });
+        expect(offsetHijriMonth({ year: 1447, month: 1 }, -1)).toEqual({ year: 1446, month: 12, name: 'Dhul-Hijjah' });
+        expect(offsetHijriMonth({ year: 1440, month: 9 }, 24)).toEqual({ year: 1442, month: 9, name: 'Ramadan' });
+    });
+
+    [1421, 1440, 1446, 1460].forEach(newYear => {
+        it(`numbers computed Night 1 chains across the start of ${newYear} AH`, async () => {
+            // From Dhul-Qadah of the previous year, so the chain crosses Muharram
+            const startDate = findUmmAlQuraStart(newYear - 1, 11);
+            const calendar = await calculateLunarCalendar(new Date(startDate.getTime() + 10 * DAY_MS), MAKKAH, 4, null, () => false, {
+                calendarMode: CALENDAR_MODES.UMM_AL_QURA,
+                useCache: false
+            });
+            expect(calendar.months.map(month => `${month.monthName} ${month.hijriYear}`)).toEqual([
+                `Dhul-Qidah ${newYear - 1}`, `Dhul-Hijjah ${newYear - 1}`, `Muharram ${newYear}`, `Safar ${newYear}`
+            ]);
+            calendar.months.forEach(month => {
+                // The rule can start a month a day off the published table, never a month off
+                const midMonth = toUmmAlQura(new Date(month.night1Date.getTime() + 15 * DAY_MS));
+                expect({ year: midMonth.year, month: midMonth.month }, month.monthName).toEqual({ year: month.hijriYear, month: month.monthNumber });
+            });
+        }, 60000);
+    });
+
+    it('places every Umm al-Qura month start from 1420 to 1460 AH just after its conjunction', () => {
+        for (let year = 1420; year <= 1460; year++) {
+            for (let month = 1; month <= 12; month++) {
+                expect(findUmmAlQuraStart(year, month), `${year}-${month}`).not.toBeNull();
+            }
+        }
+    });
+});
+
+describe('months where the tabular calendar is two days late', () => {
+    TWO_DAY_DIVERGENCES.forEach(({ year, month, firstDay }) => {
+        it(`${ISLAMIC_MONTHS[month - 1]} ${year} starts on ${firstDay}`, () => {
+            expect(findUmmAlQuraStart(year, month).toISOString().split('T')[0]).toBe(firstDay);
+            // The tabular approximation still names the previous month on that day
+            expect(getIslamicMonthName(new Date(`${firstDay}T12:00:00Z`))).toBe(ISLAMIC_MONTHS[(month + 10) % 12]);
+            // Computed months are named from their conjunction, so they get it right
+            const conjunction = getPrevNewMoonConjunction(new Date(`${firstDay}T00:00:00Z`));
+            expect(getHijriMonthForConjunction(conjunction)).toEqual({ year, month, name: ISLAMIC_MONTHS[month - 1] });
+        });
+    });
+
+    [
+        { startDate: '2000-08-20', numMonths: 4, expected: ['Jumada al-Awwal 1421', 'Jumada al-Thani 1421', 'Rajab 1421', 'Shaban 1421'] },
+        { startDate: '2024-07-25', numMonths: 2, expected: ['Muharram 1446', 'Safar 1446'] }
+    ].forEach(({ startDate, numMonths, expected }) => {
+        it(`labels visibility calendar months through ${expected[expected.length - 1]}`, async () => {
+            const calendar = await calculateLunarCalendar(new Date(`${startDate}T00:00:00Z`), MAKKAH, numMonths, null, () => false, {
+                calendarMode: CALENDAR_MODES.VISIBILITY,
+                useCache: false
+            });
+            expect(calendar.months.map(month => `${month.monthName} ${month.hijriYear}`)).toEqual(expected);
+            calendar.months.forEach(month => {
+                expect(month.monthNumber, month.monthName).toBe(ISLAMIC_MONTHS.indexOf(month.monthName) + 1);
+                // Mid-month the computed label agrees with the published calendar
+                const midMonth = toUmmAlQura(new Date(month.night1Date.getTime() + 15 * DAY_MS));
+                expect({ year: midMonth.year, month: midMonth.month }, month.monthName).toEqual({ year: month.hijriYear, month: month.monthNumber });
+            });
+        }, 120000);
+    });
+
+    it('labels computed calendar months consistently through 1440 AH', async () => {
+        const calendar = await calculateLunarCalendar(new Date('2018-09-15T00:00:00Z'), MAKKAH, 5, null, () => false, {
+            calendarMode: CALENDAR_MODES.UMM_AL_QURA
+        });
+        expect(calendar.months.map(month => `${month.monthName} ${month.hijriYear}`)).toEqual([
+            'Muharram 1440', 'Safar 1440', 'Rabi al-Awwal 1440', 'Rabi al-Thani 1440', 'Jumada al-Awwal 1440'
+        ]);
+        calendar.months.forEach((month, index) => {
+            if (index > 0) {
+                expect(offsetHijriMonth({ year: calendar.months[index - 1].hijriYear, month: calendar.months[index - 1].monthNumber }, 1).month).toBe(month.monthNumber);
+            }
+            // Mid-month the computed label agrees with the published calendar
+            const midMonth = toUmmAlQura(new Date(month.night1Date.getTime() + 15 * DAY_MS));
+            expect({ year: midMonth.year, month: midMonth.month }, month.monthName).toEqual({ year: month.hijriYear, month: month.monthNumber });
+        });
+    }, 60000);
+});
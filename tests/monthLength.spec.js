@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { calculateLunarCalendar, getMonthLengthWarning, CALENDAR_MODES, MONTH_WARNING_TYPES } from '../src/utils/lunarCalendar.js';
+
+const MAKKAH = { name: 'Makkah, Saudi Arabia', lat: 21.4225, lon: 39.8262, elevation: 277, timezone: 'Asia/Riyadh' };
+const MONTH_INFO = { islamicMonthName: 'Ramadan', hijriMonth: { year: 1446, month: 9 } };
+
+describe('month length warnings', () => {
+    it('accepts 29 and 30 nights', () => {
+        expect(getMonthLengthWarning(MONTH_INFO, 0, 29, false)).toBeNull();
+        expect(getMonthLengthWarning(MONTH_INFO, 0, 30, false)).toBeNull();
+    });
+
+    it('flags short, long and partial months', () => {
+        expect(getMonthLengthWarning(MONTH_INFO, 2, 28, false)).toMatchObject({ type: MONTH_WARNING_TYPES.SHORT_MONTH, monthIndex: 2, monthName: 'Ramadan', hijriYear: 1446, nights: 28 });
+        expect(getMonthLengthWarning(MONTH_INFO, 2, 31, false)).toMatchObject({ type: MONTH_WARNING_TYPES.LONG_MONTH, nights: 31 });
+        // A partial month is reported as such whatever its length
+        expect(getMonthLengthWarning(MONTH_INFO, 2, 29, true)).toMatchObject({ type: MONTH_WARNING_TYPES.PARTIAL_MONTH, nights: 29 });
+    });
+});
+
+describe('calendar month bounds', () => {
+    [CALENDAR_MODES.UMM_AL_QURA, CALENDAR_MODES.VISIBILITY].forEach(calendarMode => {
+        it(`ends every ${calendarMode} month, the last included, before the next Night 1`, async () => {
+            const calendar = await calculateLunarCalendar(new Date('2025-01-15T00:00:00Z'), MAKKAH, 3, null, () => false, {
+                calendarMode,
+                useCache: false
+            });
+            expect(calendar.months).toHaveLength(3);
+            expect(calendar.warnings).toEqual([]);
+            calendar.months.forEach((month, index) => {
+                expect(month.partial, month.monthName).toBe(false);
+                expect([29, 30], month.monthName).toContain(month.days.length);
+                if (index > 0) {
+                    const previousDays = calendar.months[index - 1].days;
+                    const lastEvening = previousDays[previousDays.length - 1].gregorianDate;
+                    expect(month.night1Date - lastEvening, month.monthName).toBe(24 * 60 * 60 * 1000);
+                }
+            });
+        }, 120000);
+    });
+});